@@ -0,0 +1,214 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import hljs from "highlight.js";
+import { load as loadYaml } from "js-yaml";
+import { Marked } from "marked";
+import { markedHighlight } from "marked-highlight";
+import profile from "../src/data/profile.js";
+import en from "../src/locales/en.js";
+import { escapeXml } from "./xml.js";
+
+// Blog posts are Markdown files in src/posts; the file name is the slug.
+const POSTS_DIR = fileURLToPath(new URL("../src/posts", import.meta.url));
+
+const WORDS_PER_MINUTE = 200;
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+// Heading text to a fragment id: "Why not Redux?" -> "why-not-redux".
+const slugify = (text) =>
+  text
+    .toLowerCase()
+    .replace(/<[^>]*>/g, "")
+    .replace(/&[^;]+;/g, "")
+    .replace(/[^\p{L}\p{N}\s-]/gu, "")
+    .trim()
+    .replace(/\s+/g, "-");
+
+// Text of rendered inline HTML, for the table of contents.
+const plainText = (html) =>
+  html
+    .replace(/<[^>]*>/g, "")
+    .replace(
+      /&(amp|lt|gt|quot|#39);/g,
+      (_, entity) =>
+        ({ amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'" })[entity]
+    );
+
+// YAML dates may come back as Date objects or "YYYY-MM-DD" strings.
+const toDay = (value) =>
+  value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+
+// Renders Markdown to HTML with highlighted code blocks and an id on every
+// heading. Level 2 and 3 headings are collected for the table of contents.
+const renderMarkdown = (markdown) => {
+  const headings = [];
+  const ids = new Map();
+  const marked = new Marked(
+    markedHighlight({
+      emptyLangClass: "hljs",
+      langPrefix: "hljs language-",
+      highlight: (code, lang) =>
+        hljs.highlight(code, {
+          language: hljs.getLanguage(lang) ? lang : "plaintext",
+        }).value,
+    }),
+    {
+      renderer: {
+        heading({ tokens, depth, text }) {
+          const html = this.parser.parseInline(tokens);
+          // Repeated headings get "-2", "-3"... so ids stay unique.
+          const base = slugify(text) || "section";
+          const count = (ids.get(base) ?? 0) + 1;
+          ids.set(base, count);
+          const id = count > 1 ? `${base}-${count}` : base;
+          if (depth === 2 || depth === 3) {
+            headings.push({ id, depth, text: plainText(html) });
+          }
+          return `<h${depth} id="${id}">${html}</h${depth}>\n`;
+        },
+      },
+    }
+  );
+  return { html: marked.parse(markdown), headings };
+};
+
+// parsePost turns a Markdown file into a post:
+//   { slug, title, date, updated, description, tags, readingTime, headings, html }
+// Front-matter needs title and date ("YYYY-MM-DD"); description, tags and
+// updated are optional. readingTime is in whole minutes. Missing fields fail
+// the build with the file name.
+export function parsePost(source, file) {
+  const match = FRONT_MATTER.exec(source);
+  const data = (match && loadYaml(match[1])) || {};
+  const markdown = match ? source.slice(match[0].length) : source;
+  const name = path.basename(file);
+  if (!data.title) throw new Error(`${name}: front-matter needs a title.`);
+  if (!data.date) throw new Error(`${name}: front-matter needs a date.`);
+
+  const words = markdown.split(/\s+/).filter(Boolean).length;
+  return {
+    slug: path.basename(file, ".md"),
+    title: String(data.title),
+    date: toDay(data.date),
+    updated: data.updated ? toDay(data.updated) : null,
+    description: data.description ? String(data.description) : "",
+    tags: Array.isArray(data.tags) ? data.tags.map(String) : [],
+    readingTime: Math.max(1, Math.round(words / WORDS_PER_MINUTE)),
+    ...renderMarkdown(markdown),
+  };
+}
+
+// readPosts parses every post in src/posts, newest first.
+export const readPosts = () =>
+  fs
+    .readdirSync(POSTS_DIR)
+    .filter((file) => file.endsWith(".md"))
+    .map((file) =>
+      parsePost(
+        fs.readFileSync(path.join(POSTS_DIR, file), "utf8"),
+        path.join(POSTS_DIR, file)
+      )
+    )
+    .sort((a, b) => b.date.localeCompare(a.date));
+
+// Atom feed of all posts, with summaries linking to the full post.
+const atomFeed = (posts, siteUrl, title) => {
+  const updated = posts.reduce(
+    (latest, post) => [latest, post.date, post.updated ?? ""].sort().at(-1),
+    ""
+  );
+  const entries = posts.map((post) => {
+    const url = `${siteUrl}/blog/${encodeURIComponent(post.slug)}`;
+    return [
+      "  <entry>",
+      `    <title>${escapeXml(post.title)}</title>`,
+      `    <link href="${escapeXml(url)}" />`,
+      `    <id>${escapeXml(url)}</id>`,
+      `    <published>${post.date}T00:00:00Z</published>`,
+      `    <updated>${post.updated ?? post.date}T00:00:00Z</updated>`,
+      ...post.tags.map((tag) => `    <category term="${escapeXml(tag)}" />`),
+      post.description &&
+        `    <summary>${escapeXml(post.description)}</summary>`,
+      "  </entry>",
+    ]
+      .filter(Boolean)
+      .join("\n");
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(title)}</title>`,
+    `  <link href="${escapeXml(siteUrl)}/blog" />`,
+    `  <link rel="self" href="${escapeXml(siteUrl)}/feed.xml" />`,
+    `  <id>${escapeXml(siteUrl)}/blog</id>`,
+    `  <updated>${updated || "1970-01-01"}T00:00:00Z</updated>`,
+    ...entries,
+    "</feed>",
+    "",
+  ].join("\n");
+};
+
+// blog is a Vite plugin that compiles the Markdown posts at build time:
+//   - Importing a .md file yields the parsed post (see parsePost), so no
+//     Markdown or highlighting code ships to the browser.
+//   - The client build writes an Atom feed to feed.xml and links it from
+//     index.html. Feed links must be absolute, so like sitemap.xml it needs
+//     VITE_SITE_URL and is otherwise skipped with a warning.
+export default function blog() {
+  let config;
+
+  // Site URL the feed is written for, or "" when there is no feed.
+  const feedSiteUrl = () =>
+    config.command === "build" && !config.build.ssr
+      ? (config.env.VITE_SITE_URL ?? "").replace(/\/+$/, "")
+      : "";
+
+  const feedTitle = () => en.meta.blogTitle.replace("{name}", profile.name);
+
+  return {
+    name: "portfolio-blog",
+
+    configResolved(resolved) {
+      config = resolved;
+    },
+
+    transformIndexHtml() {
+      if (!feedSiteUrl()) return;
+      return [
+        {
+          tag: "link",
+          attrs: {
+            rel: "alternate",
+            type: "application/atom+xml",
+            title: feedTitle(),
+            href: "/feed.xml",
+          },
+          injectTo: "head",
+        },
+      ];
+    },
+
+    transform(source, id) {
+      if (!id.endsWith(".md")) return null;
+      return {
+        code: `export default ${JSON.stringify(parsePost(source, id))};`,
+        map: null,
+      };
+    },
+
+    generateBundle() {
+      if (config.command !== "build" || config.build.ssr) return;
+      const siteUrl = feedSiteUrl();
+      if (!siteUrl) {
+        this.warn("VITE_SITE_URL is not set; skipping feed.xml.");
+        return;
+      }
+      this.emitFile({
+        type: "asset",
+        fileName: "feed.xml",
+        source: atomFeed(readPosts(), siteUrl, feedTitle()),
+      });
+    },
+  };
+}
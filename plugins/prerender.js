@@ -0,0 +1,93 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { build } from "vite";
+import { indexedPaths } from "./seo.js";
+
+// Markers around the default <head> tags in index.html; prerendered pages
+// replace what is between them with their own title and metadata.
+const HEAD_PATTERN = /<!--app-head-->[\s\S]*?<!--\/app-head-->/;
+const ROOT_MARKUP = '<div id="root"></div>';
+
+// Output file for a route path: "/" -> "index.html", "/resume" ->
+// "resume.html". Hosting serves them at the clean URL (cleanUrls in
+// firebase.json).
+const outputFile = (urlPath) =>
+  urlPath === "/" ? "index.html" : `${urlPath.slice(1)}.html`;
+
+// prerender is a Vite plugin that renders every indexed route (see
+// indexedPaths in plugins/seo.js) to static HTML after the client build, for
+// crawlers and a useful first paint; main.jsx then hydrates it.
+//   - The app is built a second time for Node from src/entry-server.jsx and
+//     rendered with bundled content only: no network is used.
+//   - The stylesheet is inlined into every page. The whole sheet is small
+//     (Tailwind only emits used classes), so it is all critical and the page
+//     needs no render-blocking request.
+//   - app.html keeps the empty shell for everything else (/admin, unknown
+//     paths); hosting rewrites to it.
+export default function prerender() {
+  let config;
+
+  return {
+    name: "portfolio-prerender",
+    apply: (_, { command, isSsrBuild }) => command === "build" && !isSsrBuild,
+
+    configResolved(resolved) {
+      config = resolved;
+    },
+
+    async closeBundle() {
+      const outDir = path.resolve(config.root, config.build.outDir);
+      const serverDir = path.resolve(config.root, "dist-ssr");
+
+      await build({
+        configFile: config.configFile,
+        mode: config.mode,
+        logLevel: "warn",
+        build: {
+          ssr: "src/entry-server.jsx",
+          outDir: serverDir,
+          emptyOutDir: true,
+          rollupOptions: { output: { entryFileNames: "entry-server.js" } },
+        },
+      });
+
+      try {
+        const { render } = await import(
+          pathToFileURL(path.join(serverDir, "entry-server.js")).href
+        );
+
+        // Inline the built stylesheets in place of their <link> tags.
+        let template = await fs.readFile(
+          path.join(outDir, "index.html"),
+          "utf8"
+        );
+        const links = [
+          ...template.matchAll(
+            /<link rel="stylesheet"[^>]*href="([^"]+)"[^>]*>/g
+          ),
+        ];
+        for (const [tag, href] of links) {
+          const css = await fs.readFile(path.join(outDir, href), "utf8");
+          template = template.replace(tag, () => `<style>${css}</style>`);
+        }
+        await fs.writeFile(path.join(outDir, "app.html"), template);
+
+        for (const urlPath of indexedPaths()) {
+          const { html, head } = render(urlPath);
+          const page = template
+            .replace(HEAD_PATTERN, () => head)
+            .replace(ROOT_MARKUP, () => `<div id="root">${html}</div>`);
+          const file = path.join(outDir, outputFile(urlPath));
+          await fs.mkdir(path.dirname(file), { recursive: true });
+          await fs.writeFile(file, page);
+        }
+        config.logger.info(
+          `Prerendered ${indexedPaths().length} pages to ${config.build.outDir}/.`
+        );
+      } finally {
+        await fs.rm(serverDir, { recursive: true, force: true });
+      }
+    },
+  };
+}
@@ -0,0 +1,156 @@
+import fs from "node:fs";
+import path from "node:path";
+import profile from "../src/data/profile.js";
+import en from "../src/locales/en.js";
+import { SOCIAL_NETWORKS } from "../src/lib/socialNetworks.js";
+import { escapeXml } from "./xml.js";
+
+// Markers around the default <head> tags in index.html (see defaultHead).
+const HEAD_PATTERN = /<!--app-head-->[\s\S]*?<!--\/app-head-->/;
+
+// Values left over from a template, such as "your-profile" or example.com.
+const PLACEHOLDER_PATTERN =
+  /your[-_]?(profile|channel|handle|user(name)?|name|email)|\bexample\.(com|org|net)\b|placeholder|changeme/i;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const parseUrl = (value) => {
+  try {
+    return new URL(value);
+  } catch {
+    return null;
+  }
+};
+
+// validateProfile checks the profile and returns a list of problems, e.g.
+// 'social[0] (github): "https://github.com/your-profile" is a placeholder.'
+// An empty list means the profile is fine. publicFile(path) reports whether a
+// file exists in public/, for the avatar.
+export function validateProfile(profile, { publicFile = () => true } = {}) {
+  const problems = [];
+  const check = (field, value, test, message) => {
+    if (typeof value === "string" && PLACEHOLDER_PATTERN.test(value)) {
+      problems.push(`${field}: "${value}" is a placeholder.`);
+    } else if (!test(value)) {
+      problems.push(`${field}: ${message}`);
+    }
+  };
+
+  check(
+    "name",
+    profile.name,
+    (v) => typeof v === "string" && v.trim(),
+    "is required."
+  );
+  check(
+    "title",
+    profile.title,
+    (v) => typeof v === "string" && v.trim(),
+    "is required."
+  );
+  check(
+    "email",
+    profile.email,
+    (v) => v === "" || EMAIL_PATTERN.test(v),
+    `"${profile.email}" is not an email address.`
+  );
+  check(
+    "location.countryCode",
+    profile.location?.countryCode ?? "",
+    (v) => v === "" || /^[A-Z]{2}$/.test(v),
+    'must be a two-letter code such as "IN".'
+  );
+  check(
+    "avatar",
+    profile.avatar,
+    (v) =>
+      typeof v === "string" &&
+      (v.startsWith("/") ? publicFile(v) : parseUrl(v)?.protocol === "https:"),
+    `"${profile.avatar}" must be a file in public/ or an https:// URL.`
+  );
+
+  const seen = new Set();
+  (profile.social ?? []).forEach(({ network, url }, i) => {
+    const field = `social[${i}] (${network})`;
+    const spec = SOCIAL_NETWORKS[network];
+    if (!spec) {
+      problems.push(
+        `${field}: unknown network; use one of ${Object.keys(SOCIAL_NETWORKS).join(", ")}.`
+      );
+      return;
+    }
+    if (seen.has(network)) problems.push(`${field}: listed twice.`);
+    seen.add(network);
+    check(
+      field,
+      url,
+      (v) => {
+        const parsed = parseUrl(v);
+        const host = parsed?.hostname.replace(/^(www|m)\./, "");
+        return (
+          parsed?.protocol === "https:" &&
+          spec.hosts.includes(host) &&
+          parsed.pathname.length > 1
+        );
+      },
+      `"${url}" must be an https:// profile URL on ${spec.hosts.join(" or ")}.`
+    );
+  });
+
+  return problems;
+}
+
+// defaultHead returns the <head> tags index.html starts with: the home page
+// title and description from the English catalog, for the owner in the
+// profile. Pages then set their own (src/lib/seo.js).
+export function defaultHead() {
+  const fill = (message) => message.replace("{name}", profile.name);
+  const title = escapeXml(fill(en.meta.homeTitle));
+  const description = escapeXml(fill(en.meta.description));
+  return [
+    `<title>${title}</title>`,
+    `<meta name="description" content="${description}" />`,
+    '<meta property="og:type" content="website" />',
+    `<meta property="og:site_name" content="${escapeXml(profile.name)}" />`,
+    `<meta property="og:title" content="${title}" />`,
+    `<meta property="og:description" content="${description}" />`,
+    '<meta name="twitter:card" content="summary_large_image" />',
+  ].join("\n    ");
+}
+
+// profileCheck is a Vite plugin that validates src/data/profile.js (see
+// validateProfile). Problems fail the build, so a placeholder or mistyped link
+// never ships; the dev server only warns. It also fills in the default <head>
+// tags of index.html from the profile (see defaultHead).
+export default function profileCheck() {
+  let config;
+
+  return {
+    name: "portfolio-profile-check",
+
+    configResolved(resolved) {
+      config = resolved;
+    },
+
+    transformIndexHtml(html) {
+      return html.replace(
+        HEAD_PATTERN,
+        () => `<!--app-head-->\n    ${defaultHead()}\n    <!--/app-head-->`
+      );
+    },
+
+    buildStart() {
+      if (config.build.ssr) return;
+      const problems = validateProfile(profile, {
+        publicFile: (file) => fs.existsSync(path.join(config.publicDir, file)),
+      });
+      if (problems.length === 0) return;
+      const message = `Invalid src/data/profile.js:\n  ${problems.join("\n  ")}`;
+      if (config.command === "build") {
+        this.error(message);
+      } else {
+        this.warn(message);
+      }
+    },
+  };
+}
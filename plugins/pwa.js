@@ -0,0 +1,163 @@
+import { createHash } from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import profile from "../src/data/profile.js";
+import en from "../src/locales/en.js";
+import { indexedPaths } from "./seo.js";
+import { escapeXml } from "./xml.js";
+
+const SW_SOURCE = fileURLToPath(new URL("../src/sw.js", import.meta.url));
+
+// Page shown for pages that are not cached (public/offline.html).
+const OFFLINE_PAGE = "/offline.html";
+
+// Browser UI colour and splash background: the dark theme's page colour
+// (gray-900 in src/index.css).
+const THEME_COLOR = "#101828";
+
+// App icon: the owner's initial on the site's purple-to-pink gradient. The
+// letter sits well inside the centre, so the same image works as a maskable
+// icon that launchers crop to a circle or squircle.
+const appIcon = (name) =>
+  [
+    '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 512">',
+    '  <defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1">',
+    '    <stop offset="0" stop-color="#c27aff" /><stop offset="1" stop-color="#e60076" />',
+    "  </linearGradient></defs>",
+    '  <rect width="512" height="512" fill="url(#g)" />',
+    '  <text x="256" y="256" dy=".35em" text-anchor="middle" fill="#fff"',
+    `    font-family="system-ui, sans-serif" font-size="240" font-weight="700">${escapeXml(
+      [...name.trim()][0]?.toUpperCase() ?? ""
+    )}</text>`,
+    "</svg>",
+    "",
+  ].join("\n");
+
+// Web app manifest, so the site can be installed.
+const manifest = () =>
+  JSON.stringify(
+    {
+      name: profile.name,
+      short_name: profile.name,
+      description: en.meta.description.replace("{name}", profile.name),
+      lang: "en",
+      start_url: "/",
+      scope: "/",
+      display: "standalone",
+      background_color: THEME_COLOR,
+      theme_color: THEME_COLOR,
+      icons: [
+        { src: "/icon.svg", sizes: "any", type: "image/svg+xml" },
+        {
+          src: "/icon.svg",
+          sizes: "any",
+          type: "image/svg+xml",
+          purpose: "maskable",
+        },
+      ],
+    },
+    null,
+    2
+  );
+
+// Files in public/, as site paths ("/profile.jpg").
+const publicFiles = (dir, base = dir) =>
+  fs.existsSync(dir)
+    ? fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+        const file = path.join(dir, entry.name);
+        return entry.isDirectory()
+          ? publicFiles(file, base)
+          : [`/${path.relative(base, file).split(path.sep).join("/")}`];
+      })
+    : [];
+
+// pwa is a Vite plugin that makes the built site installable and usable
+// offline:
+//   - manifest.webmanifest and icon.svg come from the profile (also served by
+//     the dev server, so the manifest link works there).
+//   - sw.js is src/sw.js with the list of files to keep offline: every
+//     prerendered page (see indexedPaths), the built assets and public/
+//     (profile photo, offline page). Its version is a hash of their contents,
+//     so each deploy that changes anything ships a new worker and the page
+//     offers to reload (see lib/pwa).
+export default function pwa() {
+  let config;
+
+  return {
+    name: "portfolio-pwa",
+    // After Vite's own plugins, so the bundle already has index.html to hash.
+    enforce: "post",
+
+    configResolved(resolved) {
+      config = resolved;
+    },
+
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        if (req.url === "/manifest.webmanifest") {
+          res.setHeader("Content-Type", "application/manifest+json");
+          res.end(manifest());
+        } else if (req.url === "/icon.svg") {
+          res.setHeader("Content-Type", "image/svg+xml");
+          res.end(appIcon(profile.name));
+        } else {
+          next();
+        }
+      });
+    },
+
+    generateBundle(_, bundle) {
+      if (config.command !== "build" || config.build.ssr) return;
+      this.emitFile({
+        type: "asset",
+        fileName: "manifest.webmanifest",
+        source: manifest(),
+      });
+      this.emitFile({
+        type: "asset",
+        fileName: "icon.svg",
+        source: appIcon(profile.name),
+      });
+
+      const assets = Object.keys(bundle).filter(
+        (file) =>
+          file.startsWith(`${config.build.assetsDir}/`) &&
+          !file.endsWith(".map")
+      );
+      const urls = [
+        ...indexedPaths(),
+        ...assets.map((file) => `/${file}`),
+        ...publicFiles(config.publicDir),
+        "/manifest.webmanifest",
+        "/icon.svg",
+      ];
+      const hash = createHash("sha256");
+      for (const file of [...assets, "index.html"].sort()) {
+        hash
+          .update(file)
+          .update(bundle[file]?.code ?? bundle[file]?.source ?? "");
+      }
+      for (const file of publicFiles(config.publicDir)) {
+        hash
+          .update(file)
+          .update(fs.readFileSync(path.join(config.publicDir, file)));
+      }
+      hash.update(manifest()).update(appIcon(profile.name));
+
+      const swManifest = {
+        version: hash.digest("hex").slice(0, 12),
+        urls,
+        offlinePage: OFFLINE_PAGE,
+      };
+      this.emitFile({
+        type: "asset",
+        fileName: "sw.js",
+        source: `self.__SW_MANIFEST = ${JSON.stringify(swManifest)};\n\n${fs.readFileSync(
+          SW_SOURCE,
+          "utf8"
+        )}`,
+      });
+    },
+  };
+}
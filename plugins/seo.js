@@ -0,0 +1,90 @@
+import { ROUTES } from "../src/lib/routes.js";
+import projects from "../src/data/projects.js";
+import { readPosts } from "./blog.js";
+import { escapeXml } from "./xml.js";
+
+// Values for each route parameter, used to list every concrete page. Projects
+// come from the bundled catalog; ones that only exist in Firestore are not
+// known at build time. Posts are the Markdown files in src/posts.
+const PARAM_VALUES = {
+  slug: projects.map((project) => project.slug),
+  post: readPosts().map((post) => post.slug),
+};
+
+// Expands a route path such as "/projects/:slug" into concrete paths.
+const expandPath = (path) =>
+  path
+    .split("/")
+    .reduce(
+      (prefixes, segment) =>
+        segment.startsWith(":")
+          ? prefixes.flatMap((prefix) =>
+              (PARAM_VALUES[segment.slice(1)] ?? []).map(
+                (value) => `${prefix}/${encodeURIComponent(value)}`
+              )
+            )
+          : prefixes.map((prefix) =>
+              segment ? `${prefix}/${segment}` : prefix
+            ),
+      [""]
+    )
+    .map((expanded) => expanded || "/");
+
+// indexedPaths returns every public page path, e.g. ["/", "/projects/ai-chatbot",
+// "/resume"]. Routes marked index: false are left out.
+export const indexedPaths = () =>
+  ROUTES.filter((route) => route.index !== false).flatMap((route) =>
+    expandPath(route.path)
+  );
+
+// seoFiles is a Vite plugin that writes robots.txt and sitemap.xml into the
+// build from the route list in src/lib/routes.js. Sitemap URLs must be
+// absolute, so sitemap.xml needs VITE_SITE_URL; without it only robots.txt is
+// written and the build warns, since canonical and og:url tags in the
+// prerendered pages then hold relative paths too.
+export default function seoFiles() {
+  let siteUrl = "";
+
+  return {
+    name: "portfolio-seo-files",
+    apply: (_, { command, isSsrBuild }) => command === "build" && !isSsrBuild,
+
+    configResolved(config) {
+      siteUrl = (config.env.VITE_SITE_URL ?? "").replace(/\/+$/, "");
+    },
+
+    generateBundle() {
+      const disallowed = ROUTES.filter((route) => route.index === false).map(
+        (route) => `Disallow: ${route.path}`
+      );
+      const robots = ["User-agent: *", ...disallowed];
+      if (siteUrl) robots.push("", `Sitemap: ${siteUrl}/sitemap.xml`);
+      this.emitFile({
+        type: "asset",
+        fileName: "robots.txt",
+        source: `${robots.join("\n")}\n`,
+      });
+
+      if (!siteUrl) {
+        this.warn(
+          "VITE_SITE_URL is not set; canonical and og:url links are relative and sitemap.xml is skipped."
+        );
+        return;
+      }
+      const urls = indexedPaths().map(
+        (path) => `  <url><loc>${escapeXml(siteUrl + path)}</loc></url>`
+      );
+      this.emitFile({
+        type: "asset",
+        fileName: "sitemap.xml",
+        source: [
+          '<?xml version="1.0" encoding="UTF-8"?>',
+          '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+          ...urls,
+          "</urlset>",
+          "",
+        ].join("\n"),
+      });
+    },
+  };
+}
@@ -0,0 +1,127 @@
+import fs from "node:fs";
+import path from "node:path";
+import timeline from "../src/data/timeline.js";
+import { TIMELINE_TYPES } from "../src/lib/timeline.js";
+
+// Values left over from a template, such as "Your Company" or example.com.
+const PLACEHOLDER_PATTERN =
+  /\byour[-_ ]?(company|employer|school|university|college|job|role|title|degree|city)\b|\bexample\.(com|org|net)\b|lorem ipsum|placeholder|changeme/i;
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const isHttpsUrl = (value) => {
+  try {
+    return new URL(value).protocol === "https:";
+  } catch {
+    return false;
+  }
+};
+
+// validateTimeline checks the timeline entries and returns a list of problems,
+// e.g. '[0] (acme-frontend) organization: "Your Company" is a placeholder.'
+// An empty list means the entries are fine. publicFile(path) reports whether a
+// file exists in public/, for logos.
+export function validateTimeline(entries, { publicFile = () => true } = {}) {
+  const problems = [];
+  const seen = new Set();
+
+  entries.forEach((entry, i) => {
+    const prefix = `[${i}] (${entry.id ?? "no id"})`;
+    const check = (field, value, test, message) => {
+      if (typeof value === "string" && PLACEHOLDER_PATTERN.test(value)) {
+        problems.push(`${prefix} ${field}: "${value}" is a placeholder.`);
+      } else if (!test(value)) {
+        problems.push(`${prefix} ${field}: ${message}`);
+      }
+    };
+    const text = (v) => typeof v === "string" && v.trim();
+
+    check("id", entry.id, text, "is required.");
+    if (seen.has(entry.id)) problems.push(`${prefix} id: listed twice.`);
+    seen.add(entry.id);
+    check(
+      "type",
+      entry.type,
+      (v) => TIMELINE_TYPES.includes(v),
+      `must be one of ${TIMELINE_TYPES.join(", ")}.`
+    );
+    check("role", entry.role, text, "is required.");
+    check("organization", entry.organization, text, "is required.");
+    check(
+      "location",
+      entry.location ?? "",
+      (v) => typeof v === "string",
+      "must be text."
+    );
+    check(
+      "url",
+      entry.url,
+      (v) => v == null || isHttpsUrl(v),
+      `"${entry.url}" must be an https:// URL or null.`
+    );
+    check(
+      "logo",
+      entry.logo,
+      (v) =>
+        v == null ||
+        (typeof v === "string" &&
+          (v.startsWith("/") ? publicFile(v) : isHttpsUrl(v))),
+      `"${entry.logo}" must be a file in public/, an https:// URL or null.`
+    );
+    check(
+      "startDate",
+      entry.startDate,
+      (v) => MONTH_PATTERN.test(v ?? ""),
+      'must be a month such as "2024-01".'
+    );
+    check(
+      "endDate",
+      entry.endDate,
+      (v) => v == null || (MONTH_PATTERN.test(v) && !(entry.startDate > v)),
+      "must be a month no earlier than startDate, or null if current."
+    );
+    if (!Array.isArray(entry.achievements)) {
+      problems.push(`${prefix} achievements: must be a list.`);
+    } else {
+      entry.achievements.forEach((achievement, j) =>
+        check(
+          `achievements[${j}]`,
+          achievement,
+          text,
+          "must be non-empty text."
+        )
+      );
+    }
+  });
+
+  return problems;
+}
+
+// timelineCheck is a Vite plugin that validates src/data/timeline.js (see
+// validateTimeline). Problems fail the build, so template entries never reach
+// the home page or the résumé; the dev server only warns.
+export default function timelineCheck() {
+  let config;
+
+  return {
+    name: "portfolio-timeline-check",
+
+    configResolved(resolved) {
+      config = resolved;
+    },
+
+    buildStart() {
+      if (config.build.ssr) return;
+      const problems = validateTimeline(timeline, {
+        publicFile: (file) => fs.existsSync(path.join(config.publicDir, file)),
+      });
+      if (problems.length === 0) return;
+      const message = `Invalid src/data/timeline.js:\n  ${problems.join("\n  ")}`;
+      if (config.command === "build") {
+        this.error(message);
+      } else {
+        this.warn(message);
+      }
+    },
+  };
+}
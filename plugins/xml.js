@@ -0,0 +1,14 @@
+// escapeXml escapes text for XML content and attribute values (sitemap.xml,
+// feed.xml).
+export const escapeXml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&apos;",
+      })[char]
+  );
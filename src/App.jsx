@@ -1,151 +1,243 @@
-import React, { useState, useEffect, useRef, Suspense, lazy } from "react";
-import { initializeApp } from "firebase/app";
+import React, { useState, useEffect, useRef, useMemo } from "react";
+import ConsentBanner from "./components/ConsentBanner";
+import ContactForm from "./components/ContactForm";
+import DownloadCv from "./components/DownloadCv";
+import FirebaseProvider from "./components/FirebaseProvider";
+import Icon from "./components/Icon";
+import Link from "./components/Link";
+import ProjectCard from "./components/ProjectCard";
+import ProjectFilters from "./components/ProjectFilters";
+import Reveal from "./components/Reveal";
+import Skills from "./components/Skills";
+import SocialLinks from "./components/SocialLinks";
+import Timeline from "./components/Timeline";
+import LanguageSwitcher from "./components/LanguageSwitcher";
+import ThemeToggle from "./components/ThemeToggle";
+import Typewriter from "./components/Typewriter";
+import UpdateToast from "./components/UpdateToast";
+import ProjectPage from "./pages/ProjectPage";
+import BlogPage from "./pages/BlogPage";
+import PostPage from "./pages/PostPage";
+import ResumePage from "./pages/ResumePage";
+import NotFoundPage from "./pages/NotFoundPage";
+import AdminPage from "./pages/AdminPage";
 import {
-  getAuth,
-  signInAnonymously,
-  signInWithCustomToken,
-  onAuthStateChanged,
-} from "firebase/auth";
-import { getFirestore } from "firebase/firestore";
-
-const appId = typeof __app_id !== "undefined" ? __app_id : "default-app-id";
-const firebaseConfig =
-  typeof __firebase_config !== "undefined" ? JSON.parse(__firebase_config) : {};
-const initialAuthToken =
-  typeof __initial_auth_token !== "undefined" ? __initial_auth_token : null;
-
-// Lazy load the HomeContent component for better initial loading performance.
-const LazyHomeContent = lazy(() => Promise.resolve({ default: HomeContent }));
-
-// Main App component (wrapper for lazy loaded content)
-// This component primarily handles the Suspense fallback for the lazy-loaded content.
+  setAnalyticsConsent,
+  trackSectionView,
+  useAnalytics,
+  useAnalyticsConsent,
+} from "./lib/analytics";
+import { flushLocalQueue } from "./lib/contact";
+import { useFirebase } from "./lib/firebase";
+import { formatLocation, useProfile } from "./lib/profile";
+import { useProjects } from "./lib/projects";
+import { useUpdateAvailable } from "./lib/pwa";
+import { useContent } from "./lib/content";
+import {
+  collectTags,
+  filterProjects,
+  useProjectFilters,
+} from "./lib/projectFilters";
+import { matchRoute, useLocation } from "./lib/router";
+import {
+  HEADER_ID,
+  HOME_SECTIONS,
+  goToSection,
+  scrollToSection,
+  useScrollSpy,
+} from "./lib/sections";
+import { useI18n } from "./lib/i18n";
+import { useDocumentMeta, usePersonSchema } from "./lib/seo";
+
+// Main App component
+// Everything renders in one pass, so the build can prerender each route to
+// static HTML (see plugins/prerender.js) that the browser then hydrates.
+// FirebaseProvider connects to Firebase once the page is interactive.
 function App() {
   return (
-    // Suspense provides a fallback UI while LazyHomeContent is loading.
-    <Suspense
-      fallback={
-        <div className="flex justify-center items-center h-screen bg-gray-900 text-white">
-          <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-purple-500"></div>
-          <p className="ml-4 text-xl">Loading...</p>
-        </div>
-      }
-    >
-      <LazyHomeContent />
-    </Suspense>
+    <FirebaseProvider>
+      <HomeContent />
+    </FirebaseProvider>
   );
 }
 
 // Header Component
 // This component provides the fixed navigation bar at the top of the page.
+// Nav links are deep links ("/#projects"); the section in view is highlighted.
+// The blog is a page of its own and comes last.
+// On small screens the links open as a menu that traps focus, supports the
+// arrow keys and closes on Escape.
 const Header = () => {
+  const { t } = useI18n();
+  const { name } = useProfile();
   const [isOpen, setIsOpen] = useState(false); // State to control the visibility of the mobile menu.
   const headerRef = useRef(null); // Ref for the header element to get its height.
-
-  // handleScroll function handles smooth scrolling to different sections of the page.
-  // It now calculates the scroll position to account for the fixed header and an offset.
-  const handleScroll = (id) => {
-    const element = document.getElementById(id);
-    if (element) {
-      // Get the current height of the header.
-      const headerHeight = headerRef.current
-        ? headerRef.current.offsetHeight
-        : 0;
-      // Calculate the target scroll position: element's top - header height - additional 2px padding.
-      const scrollPosition = element.offsetTop - headerHeight - 2; // Subtract 2px for the extra padding.
-
-      // Use window.scrollTo for precise control over the scroll position.
-      window.scrollTo({
-        top: scrollPosition,
-        behavior: "smooth",
-      });
-      setIsOpen(false); // Close mobile menu after clicking a link, ensuring it hides.
-    }
+  const toggleRef = useRef(null); // Mobile menu button, where focus returns on close.
+  const menuRef = useRef(null);
+  const { pathname, hash } = useLocation();
+  const isHome = pathname === "/";
+  const isBlog = pathname === "/blog" || pathname.startsWith("/blog/");
+  // The timeline section is only rendered once it has entries (see HomePage).
+  const { db, appId } = useFirebase();
+  const hasTimeline = useContent("timeline", { db, appId }).length > 0;
+  const sections = useMemo(
+    () =>
+      hasTimeline
+        ? HOME_SECTIONS
+        : HOME_SECTIONS.filter((id) => id !== "timeline"),
+    [hasTimeline]
+  );
+  const activeSection = useScrollSpy(sections, headerRef, {
+    enabled: isHome,
+  });
+
+  // Scroll to the section in the URL hash, accounting for the fixed header.
+  // This covers first load, nav clicks and back/forward. The first scroll
+  // jumps; later ones are smooth.
+  const hasScrolledRef = useRef(false);
+  useEffect(() => {
+    const id = hash.slice(1);
+    if (!isHome || !id) return;
+    scrollToSection(id, {
+      offset: headerRef.current?.offsetHeight ?? 0,
+      behavior: hasScrolledRef.current ? "smooth" : "auto",
+    });
+    hasScrolledRef.current = true;
+  }, [isHome, hash]);
+
+  const closeMenu = ({ restoreFocus = false } = {}) => {
+    setIsOpen(false);
+    if (restoreFocus) toggleRef.current?.focus();
   };
 
-  // Helper component to render Lucide icons
-  const LucideIcon = ({ name, size = 24, color = "currentColor" }) => {
-    const [iconHtml, setIconHtml] = useState("");
+  // Nav links update the URL hash, which triggers the scroll above.
+  const handleNavClick = (e, id) => {
+    e.preventDefault();
+    closeMenu();
+    goToSection(id);
+  };
 
-    useEffect(() => {
-      // Check if lucide object exists and the icon is available
-      if (window.lucide && window.lucide[name]) {
-        setIconHtml(
-          window.lucide[name].toSvg({ width: size, height: size, color: color })
-        );
+  // While the mobile menu is open: focus the first link, keep Tab inside the
+  // menu (and its button), move between links with the arrow/Home/End keys,
+  // close on Escape or a click outside, and close when the desktop layout
+  // takes over.
+  useEffect(() => {
+    if (!isOpen) return;
+    const links = () => [...menuRef.current.querySelectorAll("a")];
+    links()[0]?.focus();
+
+    const handleKeyDown = (e) => {
+      const items = links();
+      const focusable = [toggleRef.current, ...items];
+      const index = focusable.indexOf(document.activeElement);
+      if (e.key === "Escape") {
+        e.preventDefault();
+        closeMenu({ restoreFocus: true });
+      } else if (e.key === "Tab") {
+        e.preventDefault();
+        const step = e.shiftKey ? -1 : 1;
+        focusable[(index + step + focusable.length) % focusable.length].focus();
+      } else if (["ArrowDown", "ArrowUp", "Home", "End"].includes(e.key)) {
+        e.preventDefault();
+        const current = items.indexOf(document.activeElement);
+        const next = {
+          ArrowDown: (current + 1) % items.length,
+          ArrowUp: (current - 1 + items.length) % items.length,
+          Home: 0,
+          End: items.length - 1,
+        }[e.key];
+        items[next].focus();
       }
-    }, [name, size, color]);
+    };
+    const handlePointerDown = (e) => {
+      if (!headerRef.current.contains(e.target)) closeMenu();
+    };
+    const desktop = window.matchMedia("(min-width: 768px)");
+    const handleDesktop = () => {
+      if (desktop.matches) closeMenu();
+    };
 
-    return <div dangerouslySetInnerHTML={{ __html: iconHtml }} />;
-  };
+    document.addEventListener("keydown", handleKeyDown);
+    document.addEventListener("pointerdown", handlePointerDown);
+    desktop.addEventListener("change", handleDesktop);
+    return () => {
+      document.removeEventListener("keydown", handleKeyDown);
+      document.removeEventListener("pointerdown", handlePointerDown);
+      desktop.removeEventListener("change", handleDesktop);
+    };
+  }, [isOpen]);
 
   return (
     <header
+      id={HEADER_ID}
       ref={headerRef}
-      className="fixed top-0 left-0 w-full bg-gray-900 bg-opacity-80 backdrop-blur-sm z-50 shadow-lg py-4 px-8 rounded-b-xl"
+      className="fixed top-0 left-0 w-full bg-page bg-opacity-80 backdrop-blur-sm z-50 shadow-lg py-4 px-8 rounded-b-xl print:hidden"
     >
-      <nav className="max-w-7xl mx-auto flex justify-between items-center">
-        {/* Portfolio title with gradient text and scroll to home functionality. */}
-        <div
+      <nav
+        aria-label={t("nav.label")}
+        className="max-w-7xl mx-auto flex justify-between items-center"
+      >
+        {/* Owner's name with gradient text, linking to the top of the home page. */}
+        <a
+          href="/#home"
+          onClick={(e) => handleNavClick(e, "home")}
           className="text-2xl font-bold bg-gradient-to-r from-purple-400 to-pink-600 text-transparent bg-clip-text cursor-pointer"
-          onClick={() => handleScroll("home")}
         >
-          My Portfolio
+          {name}
+        </a>
+        {/* Language and theme switchers, plus the mobile menu button (hamburger icon) for small screens. */}
+        <div className="flex items-center gap-2 md:order-last">
+          <LanguageSwitcher />
+          <ThemeToggle />
+          <button
+            ref={toggleRef}
+            className="md:hidden text-fg text-3xl focus:outline-none focus-visible:ring-2 focus-visible:ring-purple-500 rounded-md"
+            onClick={() => setIsOpen(!isOpen)} // Toggle mobile menu visibility.
+            aria-label={t("nav.toggle")} // Accessibility improvement.
+            aria-expanded={isOpen}
+            aria-controls="primary-navigation"
+          >
+            <Icon name="Menu" size={30} />
+          </button>
         </div>
-        {/* Mobile menu button (hamburger icon) for small screens. */}
-        <button
-          className="md:hidden text-white text-3xl focus:outline-none"
-          onClick={() => setIsOpen(!isOpen)} // Toggle mobile menu visibility.
-          aria-label="Toggle navigation" // Accessibility improvement.
-        >
-          <LucideIcon name="Menu" size={30} /> {/* Lucide Menu icon */}
-        </button>
         {/* Desktop navigation and mobile menu overlay. */}
         {/* The classes conditionally apply based on the 'isOpen' state for responsiveness. */}
         <ul
+          id="primary-navigation"
+          ref={menuRef}
           className={`md:flex space-x-8 text-lg font-semibold ${
             isOpen ? "block" : "hidden"
-          } md:block absolute md:static top-full left-0 w-full md:w-auto bg-gray-800 md:bg-transparent shadow-md md:shadow-none p-4 md:p-0 transition-all duration-300 ease-in-out rounded-lg md:rounded-none`}
+          } md:block absolute md:static top-full left-0 w-full md:w-auto bg-surface md:bg-transparent shadow-md md:shadow-none p-4 md:p-0 transition-all duration-300 ease-in-out rounded-lg md:rounded-none`}
         >
-          {/* Navigation links, each calling handleScroll on click and closing the menu. */}
-          <li className="mb-2 md:mb-0">
-            <a
-              onClick={() => handleScroll("home")}
-              className="block py-2 px-4 rounded-md text-gray-300 hover:text-white hover:bg-purple-700 transition duration-300 cursor-pointer"
-            >
-              Home
-            </a>
-          </li>
-          <li className="mb-2 md:mb-0">
-            <a
-              onClick={() => handleScroll("about")}
-              className="block py-2 px-4 rounded-md text-gray-300 hover:text-white hover:bg-purple-700 transition duration-300 cursor-pointer"
-            >
-              About
-            </a>
-          </li>
-          <li className="mb-2 md:mb-0">
-            <a
-              onClick={() => handleScroll("projects")}
-              className="block py-2 px-4 rounded-md text-gray-300 hover:text-white hover:bg-purple-700 transition duration-300 cursor-pointer"
-            >
-              Projects
-            </a>
-          </li>
-          <li className="mb-2 md:mb-0">
-            <a
-              onClick={() => handleScroll("skills")}
-              className="block py-2 px-4 rounded-md text-gray-300 hover:text-white hover:bg-purple-700 transition duration-300 cursor-pointer"
-            >
-              Skills
-            </a>
-          </li>
+          {/* Navigation links; the one for the section in view is highlighted. */}
+          {sections.map((id) => {
+            const isActive = activeSection === id;
+            return (
+              <li key={id} className="mb-2 md:mb-0">
+                <a
+                  href={`/#${id}`}
+                  onClick={(e) => handleNavClick(e, id)}
+                  aria-current={isActive ? "location" : undefined}
+                  className={`block py-2 px-4 rounded-md hover:text-white hover:bg-purple-700 transition duration-300 cursor-pointer ${
+                    isActive ? "text-white bg-purple-600" : "text-fg-muted"
+                  }`}
+                >
+                  {t(`nav.${id}`)}
+                </a>
+              </li>
+            );
+          })}
           <li className="mb-2 md:mb-0">
-            <a
-              onClick={() => handleScroll("contact")}
-              className="block py-2 px-4 rounded-md text-gray-300 hover:text-white hover:bg-purple-700 transition duration-300 cursor-pointer"
+            <Link
+              to="/blog"
+              onClick={() => closeMenu()}
+              aria-current={isBlog ? "page" : undefined}
+              className={`block py-2 px-4 rounded-md hover:text-white hover:bg-purple-700 transition duration-300 cursor-pointer ${
+                isBlog ? "text-white bg-purple-600" : "text-fg-muted"
+              }`}
             >
-              Contact
-            </a>
+              {t("nav.blog")}
+            </Link>
           </li>
         </ul>
       </nav>
@@ -154,714 +246,399 @@ const Header = () => {
 };
 
 // Footer Component
-// This component displays copyright information and social media links.
+// This component displays copyright information and social media links, and
+// lets visitors change their analytics choice.
 const Footer = () => {
-  // Helper component to render Lucide icons
-  const LucideIcon = ({ name, size = 24, color = "currentColor" }) => {
-    const [iconHtml, setIconHtml] = useState("");
-
-    useEffect(() => {
-      // Check if lucide object exists and the icon is available
-      if (window.lucide && window.lucide[name]) {
-        setIconHtml(
-          window.lucide[name].toSvg({ width: size, height: size, color: color })
-        );
-      }
-    }, [name, size, color]);
-
-    return <div dangerouslySetInnerHTML={{ __html: iconHtml }} />;
-  };
-
+  const { t, formatDate } = useI18n();
+  const { name } = useProfile();
+  const consent = useAnalyticsConsent();
   return (
-    <footer className="bg-gray-900 bg-opacity-90 py-8 mt-20 text-center text-gray-400 rounded-t-xl">
+    <footer className="bg-page bg-opacity-90 py-8 mt-20 text-center text-fg-subtle rounded-t-xl print:hidden">
       <div className="max-w-7xl mx-auto px-4">
         <p>
-          &copy; {new Date().getFullYear()} My Portfolio. All rights reserved.
+          {t("footer.copyright", {
+            year: formatDate(new Date(), { year: "numeric" }),
+            name,
+          })}
         </p>
-        <div className="flex justify-center space-x-6 mt-4">
-          {/* Social media links with Lucide icons. */}
-          <a
-            href="#"
-            className="text-gray-400 hover:text-white transition duration-300"
-            aria-label="GitHub profile"
-          >
-            <LucideIcon name="Github" size={30} />
-          </a>
-          <a
-            href="#"
-            className="text-gray-400 hover:text-white transition duration-300"
-            aria-label="LinkedIn profile"
-          >
-            <LucideIcon name="Linkedin" size={30} />
-          </a>
-          <a
-            href="#"
-            className="text-gray-400 hover:text-white transition duration-300"
-            aria-label="Email me"
+        {/* Social media and email links from the profile. */}
+        <SocialLinks
+          withEmail
+          className="justify-center space-x-6 mt-4"
+          linkClassName="text-fg-subtle hover:text-fg transition duration-300"
+        />
+        {(consent === "granted" || consent === "denied") && (
+          <button
+            type="button"
+            onClick={() => setAnalyticsConsent(null)}
+            className="mt-4 text-sm text-fg-subtle hover:text-fg underline transition duration-300"
           >
-            <LucideIcon name="Mail" size={30} />
-          </a>
-        </div>
+            {t("analytics.settings")}
+          </button>
+        )}
       </div>
     </footer>
   );
 };
 
 function HomeContent() {
-  // State for Firebase auth and DB instances.
-  const [db, setDb] = useState(null);
-  const [auth, setAuth] = useState(null);
-  const [userId, setUserId] = useState(null);
-  const [isAuthReady, setIsAuthReady] = useState(false);
+  const { t } = useI18n();
+  // Firebase instances and the signed-in user (components/FirebaseProvider).
+  const { db, auth, user, userId, appId, isAuthReady } = useFirebase();
 
-  // REMOVED: Ref for the 3D canvas element for Three.js.
-  // const canvasRef = useRef(null);
-
-  // Refs for sections to observe for scroll-triggered animations.
-  const aboutRef = useRef(null);
-  const projectsRef = useRef(null);
-  const skillsRef = useRef(null);
-  const contactRef = useRef(null); // Ensure this ref is defined
-
-  // State to track if sections are in view for animation.
-  const [aboutInView, setAboutInView] = useState(false);
-  const [projectsInView, setProjectsInView] = useState(false);
-  const [skillsInView, setSkillsInView] = useState(false);
-  const [contactInView, setContactInView] = useState(false);
-
-  // State for text animation in Hero section.
-  const animatedRoles = [
-    "Web Developer",
-    "Frontend Developer",
-    "Backend Developer",
-    "Full Stack Engineer",
-    "UI/UX Designer",
-  ];
-  const [currentRoleIndex, setCurrentRoleIndex] = useState(0);
-  const [displayedRole, setDisplayedRole] = useState("");
-  const [isDeletingRole, setIsDeletingRole] = useState(false);
-  const [typingSpeedRole, setTypingSpeedRole] = useState(150);
-
-  // --- Firebase Initialization and Auth ---
-  // This effect runs once on component mount to initialize Firebase and handle authentication.
+  // --- Contact Queue Flush ---
+  // Sends contact messages that were queued locally while Firebase or the
+  // network was unavailable, now and whenever the connection comes back.
   useEffect(() => {
-    // Initialize Firebase app if config is available.
-    if (Object.keys(firebaseConfig).length > 0) {
-      try {
-        const app = initializeApp(firebaseConfig);
-        const firestore = getFirestore(app);
-        const firebaseAuth = getAuth(app);
-        setDb(firestore);
-        setAuth(firebaseAuth);
-
-        // signInUser function handles authentication using custom token or anonymously.
-        const signInUser = async () => {
-          try {
-            if (initialAuthToken) {
-              await signInWithCustomToken(firebaseAuth, initialAuthToken);
-            } else {
-              await signInAnonymously(firebaseAuth);
-            }
-          } catch (error) {
-            console.error("Firebase Auth Error:", error);
-          }
-        };
-
-        // Listen for auth state changes to get the user ID.
-        const unsubscribe = onAuthStateChanged(firebaseAuth, (user) => {
-          if (user) {
-            setUserId(user.uid);
-          } else {
-            // Generate a random UUID if no user is authenticated (anonymous session).
-            setUserId(crypto.randomUUID());
-          }
-          setIsAuthReady(true); // Mark authentication as ready.
-        });
-
-        signInUser(); // Initiate sign-in process.
-        return () => unsubscribe(); // Cleanup auth listener on component unmount.
-      } catch (error) {
-        console.error("Failed to initialize Firebase:", error);
-        setIsAuthReady(true); // Mark ready even if init fails to proceed with UI.
-      }
-    } else {
-      console.warn("Firebase config not provided. Running without Firebase.");
-      setUserId(crypto.randomUUID()); // Set a random ID if no Firebase config.
-      setIsAuthReady(true); // Mark ready.
+    if (!db || !isAuthReady) return;
+    const flush = () =>
+      flushLocalQueue({ db, appId, userId }).catch((error) =>
+        console.error("Failed to flush contact queue:", error)
+      );
+    flush();
+    window.addEventListener("online", flush);
+    return () => window.removeEventListener("online", flush);
+  }, [db, appId, isAuthReady, userId]);
+
+  // --- Routing ---
+  // Resolve the current path to one of the routes in ROUTES (lib/routes).
+  const { pathname } = useLocation();
+  const route = matchRoute(pathname);
+
+  // --- Analytics ---
+  // Cookieless visit counts, only with the visitor's consent (lib/analytics).
+  useAnalytics({ db, appId, page: route.name, pathname });
+  const consent = useAnalyticsConsent();
+
+  // --- Updates ---
+  // A newer build's service worker is waiting (lib/pwa).
+  const isUpdateAvailable = useUpdateAvailable();
+
+  // Render the page for the current route.
+  const renderPage = () => {
+    switch (route.name) {
+      case "home":
+        return <HomePage />;
+      case "project":
+        return <ProjectPage db={db} appId={appId} slug={route.params.slug} />;
+      case "blog":
+        return <BlogPage />;
+      case "post":
+        return <PostPage slug={route.params.post} />;
+      case "resume":
+        return <ResumePage db={db} appId={appId} />;
+      case "admin":
+        return <AdminPage db={db} auth={auth} appId={appId} user={user} />;
+      default:
+        return <NotFoundPage />;
     }
-  }, []); // Empty dependency array ensures this runs only once on mount.
+  };
 
-  // --- Text Typing Animation Effect for Hero Section ---
-  // This effect manages the typing and deleting animation for the hero section text.
-  useEffect(() => {
-    let typer;
-    const handleTyping = () => {
-      const fullText = animatedRoles[currentRoleIndex];
-      // Check if currently deleting text.
-      if (isDeletingRole) {
-        setDisplayedRole((prev) => fullText.substring(0, prev.length - 1)); // Remove one character.
-        setTypingSpeedRole(50); // Faster deletion speed.
-      } else {
-        setDisplayedRole((prev) => fullText.substring(0, prev.length + 1)); // Add one character.
-        setTypingSpeedRole(150); // Normal typing speed.
-      }
+  return (
+    <div className="relative min-h-screen bg-page text-fg font-inter overflow-hidden">
+      {/* First stop for keyboard users: jump past the header to the page. */}
+      <a
+        href="#main"
+        className="sr-only focus:not-sr-only focus:fixed focus:top-4 focus:start-4 focus:z-[60] focus:px-4 focus:py-2 focus:rounded-md focus:bg-purple-600 focus:text-white focus:font-semibold"
+      >
+        {t("nav.skip")}
+      </a>
+      <Header />
 
-      // Check if typing is complete.
-      if (!isDeletingRole && displayedRole === fullText) {
-        setTypingSpeedRole(1000); // Pause briefly at the end of typing.
-        setIsDeletingRole(true); // Switch to deleting mode.
-      } else if (isDeletingRole && displayedRole === "") {
-        // Check if deletion is complete.
-        setIsDeletingRole(false); // Switch to typing mode.
-        setCurrentRoleIndex((prev) => (prev + 1) % animatedRoles.length); // Move to the next text.
-        setTypingSpeedRole(500); // Pause briefly before starting next text.
-      }
-    };
+      <main id="main" tabIndex={-1} className="focus:outline-none">
+        {renderPage()}
+      </main>
 
-    typer = setTimeout(handleTyping, typingSpeedRole); // Schedule the next typing step.
-    return () => clearTimeout(typer); // Cleanup timeout on component unmount or re-render.
-  }, [
-    displayedRole,
-    isDeletingRole,
-    typingSpeedRole,
-    currentRoleIndex,
-    animatedRoles,
-  ]); // Dependencies for re-running the effect.
-
-  // --- Intersection Observer for Section Animations ---
-  // This effect uses Intersection Observer API to detect when sections are in view
-  // and applies entry animations.
-  useEffect(() => {
-    // Options for the Intersection Observer.
-    const options = {
-      root: null, // Use the viewport as the root.
-      rootMargin: "0px",
-      threshold: 0.3, // Trigger when 30% of the target is visible.
-    };
+      {/* Footer component */}
+      <Footer />
 
-    // Callback function when intersection changes.
-    const callback = (entries, observer) => {
-      entries.forEach((entry) => {
-        if (entry.target === aboutRef.current) {
-          setAboutInView(entry.isIntersecting);
-        } else if (entry.target === projectsRef.current) {
-          setProjectsInView(entry.isIntersecting);
-        } else if (entry.target === skillsRef.current) {
-          setSkillsInView(entry.isIntersecting);
-        } else if (entry.target === contactRef.current) {
-          setContactInView(entry.isIntersecting);
-        }
-      });
-    };
+      {consent === "unset" && route.name !== "admin" && <ConsentBanner />}
+      {isUpdateAvailable && <UpdateToast />}
+    </div>
+  );
+}
 
-    const observer = new IntersectionObserver(callback, options);
+// HomePage Component
+// The single-page portfolio rendered at "/": hero, About, Timeline, Projects,
+// Skills and Contact.
+function HomePage() {
+  const { t, locale } = useI18n();
+  const { db, userId, appId, isAuthReady } = useFirebase();
+  const profile = useProfile();
+  // REMOVED: Ref for the 3D canvas element for Three.js.
+  // const canvasRef = useRef(null);
 
-    // Observe each section if its ref is available.
-    if (aboutRef.current) observer.observe(aboutRef.current);
-    if (projectsRef.current) observer.observe(projectsRef.current);
-    if (skillsRef.current) observer.observe(skillsRef.current);
-    if (contactRef.current) observer.observe(contactRef.current);
+  // Projects catalog: bundled data, overridden by Firestore when available.
+  const projects = useProjects({ db, appId });
+  // Filter bar state (search, tags, sort), mirrored in the URL query string.
+  const { filters, updateFilters, resetFilters } = useProjectFilters();
+  const projectTags = useMemo(() => collectTags(projects), [projects]);
+  const projectSlugs = useMemo(
+    () => projects.map((project) => project.slug),
+    [projects]
+  );
+  const visibleProjects = useMemo(
+    () => filterProjects(projects, filters),
+    [projects, filters]
+  );
 
-    // Cleanup observer on component unmount.
-    return () => {
-      if (aboutRef.current) observer.unobserve(aboutRef.current);
-      if (projectsRef.current) observer.unobserve(projectsRef.current);
-      if (skillsRef.current) observer.unobserve(skillsRef.current);
-      if (contactRef.current) observer.unobserve(contactRef.current);
-    };
-  }, []); // Empty dependency array means this effect runs once after initial render.
+  // Editable content (bundled data, overridden live by Firestore).
+  const aboutCards = useContent("about", { db, appId });
+  const skills = useContent("skills", { db, appId });
+  const timeline = useContent("timeline", { db, appId });
+  const heroRoles = useContent("heroRoles", { db, appId });
 
-  // Helper component to render Lucide icons
-  const LucideIcon = ({ name, size = 24, color = "currentColor" }) => {
-    const [iconHtml, setIconHtml] = useState("");
+  // Title, description and Person structured data for the home page.
+  const person = usePersonSchema();
+  useDocumentMeta({
+    title: t("meta.homeTitle", { name: person.name }),
+    description: person.description,
+    path: "/",
+    jsonLd: person,
+  });
 
-    useEffect(() => {
-      if (window.lucide && window.lucide[name]) {
-        setIconHtml(
-          window.lucide[name].toSvg({ width: size, height: size, color: color })
-        );
-      }
-    }, [name, size, color]);
+  const location = formatLocation(profile.location, locale);
 
-    return <div dangerouslySetInnerHTML={{ __html: iconHtml }} />;
-  };
+  // The name inside the greeting is highlighted, so split the message around it.
+  const [greetingBefore, greetingAfter = ""] =
+    t("hero.greeting").split("{name}");
 
   return (
-    <div className="relative min-h-screen bg-gray-900 text-white font-inter overflow-hidden">
-      <script src="https://unpkg.com/lucide@latest/dist/umd/lucide.js"></script>
-
-      <Header />
-
-      <div className="relative z-10 pt-20 p-4 md:p-8 max-w-7xl mx-auto flex flex-col items-center">
-        {/* Hero Section - Modified for enhanced attractiveness */}
-        <section
-          id="home"
-          className="flex flex-col md:flex-row items-center justify-between min-h-[calc(100vh-100px)] text-left w-full py-16"
-        >
-          {/* Subtle radial gradient overlay for the hero section */}
-          <div className="absolute inset-0 bg-gradient-radial from-transparent via-gray-900/50 to-gray-900 animate-pulse-light opacity-50 z-0"></div>
-
-          {/* Left side: Text content and social icons */}
-          <div className="relative z-10 flex-1 text-center md:text-left mb-8 md:mb-0 md:pr-8">
-            <h1 className="text-3xl md:text-4xl lg:text-5xl font-extrabold mb-4 leading-tight">
-              Hi, My name is{" "}
-              <span className="bg-gradient-to-r from-purple-400 to-pink-600 text-transparent bg-clip-text">
-                Jaysingh
-              </span>{" "}
-              <br />
-              and I am a passionate <br />
-              Full stack Web <br />
-              Developer having <br />
-              Experience website and <br />
-              Mobile application using <br />
-              Skills
-            </h1>
-            {/* Dynamic "WEB DEVELOPER" text with typing animation */}
-            {/* Updated with gradient text */}
-            <p className="text-3xl md:text-4xl lg:text-5xl font-bold bg-gradient-to-r from-purple-400 to-pink-600 text-transparent bg-clip-text mt-6 mb-8 uppercase min-h-[48px] md:min-h-[64px]">
-              {displayedRole}
-              <span className="inline-block w-1 h-8 bg-purple-400 align-bottom animate-pulse"></span>{" "}
-              {/* Typing cursor */}
-            </p>
-            {/* Social Icons - Using Lucide icons now, with actual (placeholder) links */}
-            <div className="flex justify-center md:justify-start space-x-6 mt-4">
-              <a
-                href="https://linkedin.com/in/your-profile"
-                target="_blank"
-                rel="noopener noreferrer"
-                className="text-gray-300 hover:text-purple-400 transition duration-300"
-                aria-label="LinkedIn profile"
-              >
-                <LucideIcon name="Linkedin" size={30} />
-              </a>
-              <a
-                href="https://facebook.com/your-profile"
-                target="_blank"
-                rel="noopener noreferrer"
-                className="text-gray-300 hover:text-purple-400 transition duration-300"
-                aria-label="Facebook profile"
-              >
-                <LucideIcon name="Facebook" size={30} />
-              </a>
-              <a
-                href="https://github.com/your-profile"
-                target="_blank"
-                rel="noopener noreferrer"
-                className="text-gray-300 hover:text-purple-400 transition duration-300"
-                aria-label="GitHub profile"
-              >
-                <LucideIcon name="Github" size={30} />
-              </a>
-              <a
-                href="https://youtube.com/your-channel"
-                target="_blank"
-                rel="noopener noreferrer"
-                className="text-gray-300 hover:text-purple-400 transition duration-300"
-                aria-label="YouTube channel"
-              >
-                <LucideIcon name="Youtube" size={30} />
-              </a>
-              <a
-                href="https://instagram.com/your-profile"
-                target="_blank"
-                rel="noopener noreferrer"
-                className="text-gray-300 hover:text-purple-400 transition duration-300"
-                aria-label="Instagram profile"
-              >
-                <LucideIcon name="Instagram" size={30} />
-              </a>
-            </div>
-            {/* Buttons */}
-            <div className="flex flex-col sm:flex-row justify-center md:justify-start space-y-4 sm:space-y-0 sm:space-x-4 mt-12">
-              {/* Updated "Contact Me" button to scroll to contact section */}
-              <button
-                onClick={() => {
-                  if (contactRef.current) {
-                    contactRef.current.scrollIntoView({ behavior: "smooth" });
-                  }
-                }}
-                className="px-8 py-3 rounded-full bg-blue-600 text-white text-lg font-bold shadow-lg hover:bg-blue-700 transition duration-300 transform hover:scale-105"
-              >
-                Contact Me
-              </button>
-              <button className="px-8 py-3 rounded-full border border-blue-600 text-blue-300 text-lg font-bold shadow-lg hover:bg-blue-600 hover:text-white transition duration-300 transform hover:scale-105">
-                See Resume
-              </button>
-            </div>
-          </div>
-          {/* Right side: Image - Updated for circular shape and hover effects */}
-          <div className="flex-1 flex justify-center md:justify-end relative z-10">
-            <img
-              src="/profile.jpg"
-              className="w-64 h-64 md:w-80 md:h-80 rounded-full object-cover shadow-2xl transition-all duration-300 transform hover:scale-110 hover:shadow-purple-500/80"
-              // Fallback for image loading errors
-              onError={(e) => {
-                e.target.onerror = null;
-                e.target.src =
-                  "https://placehold.co/500x500/8B5CF6/FFFFFF?text=Image+Not+Found";
+    <div className="relative z-10 pt-20 p-4 md:p-8 max-w-7xl mx-auto flex flex-col items-center">
+      {/* Hero Section - Modified for enhanced attractiveness */}
+      <section
+        id="home"
+        aria-labelledby="home-heading"
+        className="flex flex-col md:flex-row items-center justify-between min-h-[calc(100vh-100px)] text-start w-full py-16"
+      >
+        {/* Subtle radial gradient overlay for the hero section */}
+        <div className="absolute inset-0 bg-gradient-radial from-transparent via-page/50 to-page animate-pulse-light opacity-50 z-0"></div>
+
+        {/* Left side: Text content and social icons */}
+        <div className="relative z-10 flex-1 text-center md:text-start mb-8 md:mb-0 md:pe-8">
+          <h1
+            id="home-heading"
+            className="text-3xl md:text-4xl lg:text-5xl font-extrabold leading-tight"
+          >
+            {greetingBefore}
+            <span className="bg-gradient-to-r from-purple-400 to-pink-600 text-transparent bg-clip-text">
+              {profile.name}
+            </span>
+            {greetingAfter}
+          </h1>
+          {/* The intro keeps the catalog's line breaks without splitting the heading. */}
+          <p className="text-3xl md:text-4xl lg:text-5xl font-extrabold mb-4 leading-tight whitespace-pre-line">
+            {t("hero.intro")}
+          </p>
+          {/* Dynamic "WEB DEVELOPER" text with typing animation */}
+          {/* Updated with gradient text */}
+          <p className="text-3xl md:text-4xl lg:text-5xl font-bold bg-gradient-to-r from-purple-400 to-pink-600 text-transparent bg-clip-text mt-6 mb-8 uppercase min-h-[48px] md:min-h-[64px]">
+            {/* Hero roles come from content data and may set their own speeds. */}
+            <Typewriter phrases={heroRoles} />
+          </p>
+          {/* Social icons for the accounts in the profile. */}
+          <SocialLinks
+            className="justify-center md:justify-start space-x-6 mt-4"
+            linkClassName="text-fg-muted hover:text-purple-400 transition duration-300"
+          />
+          {/* Buttons */}
+          <div className="flex flex-col sm:flex-row justify-center md:justify-start space-y-4 sm:space-y-0 sm:space-x-4 mt-12">
+            {/* Links to the contact section like the header's nav links. */}
+            <a
+              href="/#contact"
+              onClick={(e) => {
+                e.preventDefault();
+                goToSection("contact");
               }}
+              className="px-8 py-3 rounded-full bg-blue-600 text-white text-lg font-bold shadow-lg hover:bg-blue-700 transition duration-300 transform hover:scale-105 text-center"
+            >
+              {t("hero.contactMe")}
+            </a>
+            <Link
+              to="/resume"
+              className="px-8 py-3 rounded-full border border-blue-600 text-secondary text-lg font-bold shadow-lg hover:bg-blue-600 hover:text-white transition duration-300 transform hover:scale-105 text-center"
+            >
+              {t("hero.resume")}
+            </Link>
+            <DownloadCv
+              db={db}
+              appId={appId}
+              className="w-full px-8 py-3 rounded-full border border-purple-600 text-accent text-lg font-bold shadow-lg hover:bg-purple-600 hover:text-white transition duration-300 transform hover:scale-105"
             />
           </div>
-        </section>
-
-        {/* About Section */}
-        <section
-          ref={aboutRef} // Attach ref for Intersection Observer
-          id="about"
-          className={`py-20 w-full text-center transition-all duration-1000 ease-out transform ${
-            aboutInView
-              ? "opacity-100 translate-y-0"
-              : "opacity-0 translate-y-10"
-          }`}
+        </div>
+        {/* Right side: Image - Updated for circular shape and hover effects */}
+        <div className="flex-1 flex justify-center md:justify-end relative z-10">
+          <img
+            src={profile.avatar}
+            alt={profile.name}
+            className="w-64 h-64 md:w-80 md:h-80 rounded-full object-cover shadow-2xl transition-all duration-300 transform hover:scale-110 hover:shadow-purple-500/80"
+            // Fallback for image loading errors
+            onError={(e) => {
+              e.target.onerror = null;
+              e.target.src =
+                "https://placehold.co/500x500/8B5CF6/FFFFFF?text=Image+Not+Found";
+            }}
+          />
+        </div>
+      </section>
+
+      {/* About Section */}
+      <Reveal
+        as="section"
+        id="about"
+        aria-labelledby="about-heading"
+        onView={() => trackSectionView("about")}
+        className="py-20 w-full text-center"
+      >
+        <h2
+          id="about-heading"
+          className="text-4xl md:text-5xl font-bold mb-12 drop-shadow-md"
         >
-          <h2 className="text-4xl md:text-5xl font-bold mb-12 drop-shadow-md">
-            <span className="bg-gradient-to-r from-green-400 to-cyan-600 text-transparent bg-clip-text">
-              About Me
-            </span>
-          </h2>
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-8 max-w-4xl mx-auto">
-            <div className="bg-gray-800 bg-opacity-70 backdrop-blur-sm p-8 rounded-xl shadow-2xl border border-gray-700 flex flex-col justify-between items-center transform hover:scale-105 hover:shadow-purple-500/50 transition duration-300">
-              <h3 className="text-2xl font-bold mb-4 text-white">Who I Am</h3>
-              <p className="text-lg leading-relaxed text-gray-300 text-center">
-                I'm a passionate full-stack developer with a strong foundation
-                in modern web technologies. I love bringing ideas to life
-                through clean, efficient, and scalable code. My journey in
-                development started with a curiosity for how things work, and it
-                quickly evolved into a dedicated pursuit of creating impactful
-                digital experiences.
-              </p>
-            </div>
-            <div className="bg-gray-800 bg-opacity-70 backdrop-blur-sm p-8 rounded-xl shadow-2xl border border-gray-700 flex flex-col justify-between items-center transform hover:scale-105 hover:shadow-purple-500/50 transition duration-300">
-              <h3 className="text-2xl font-bold mb-4 text-white">
-                My Philosophy
-              </h3>
-              <p className="text-lg leading-relaxed text-gray-300 text-center">
-                My approach to development is rooted in continuous learning and
-                problem-solving. I believe in writing modular, testable code and
-                adhering to best practices to ensure maintainability and
-                robustness. User experience is paramount, and I strive to build
-                interfaces that are intuitive and engaging.
-              </p>
-            </div>
-            <div className="bg-gray-800 bg-opacity-70 backdrop-blur-sm p-8 rounded-xl shadow-2xl border border-gray-700 flex flex-col justify-between items-center transform hover:scale-105 hover:shadow-purple-500/50 transition duration-300">
-              <h3 className="text-2xl font-bold mb-4 text-white">What I Do</h3>
-              <p className="text-lg leading-relaxed text-gray-300 text-center">
-                I specialize in building end-to-end web applications, from
-                designing database schemas to crafting interactive frontends. My
-                expertise spans across various frameworks and libraries,
-                allowing me to adapt to different project requirements and
-                deliver comprehensive solutions.
-              </p>
-            </div>
-            <div className="bg-gray-800 bg-opacity-70 backdrop-blur-sm p-8 rounded-xl shadow-2xl border border-gray-700 flex flex-col justify-between items-center transform hover:scale-105 hover:shadow-purple-500/50 transition duration-300">
-              <h3 className="text-2xl font-bold mb-4 text-white">
-                Looking Forward
-              </h3>
-              <p className="text-lg leading-relaxed text-gray-300 text-center">
-                I am always eager to explore new technologies and take on
-                challenging projects that push my boundaries. I am committed to
-                delivering high-quality work and collaborating effectively with
-                teams to achieve shared goals. Let's build something amazing
-                together!
-              </p>
-            </div>
-          </div>
-        </section>
-
-        {/* Projects Section */}
-        <section
-          ref={projectsRef} // Attach ref for Intersection Observer
-          id="projects"
-          className={`py-20 w-full text-center transition-all duration-1000 ease-out transform ${
-            projectsInView
-              ? "opacity-100 translate-y-0"
-              : "opacity-0 translate-y-10"
-          }`}
+          <span className="bg-gradient-to-r from-green-400 to-cyan-600 text-transparent bg-clip-text">
+            {t("sections.about")}
+          </span>
+        </h2>
+        <Reveal
+          preset="stagger"
+          once
+          className="grid grid-cols-1 md:grid-cols-2 gap-8 max-w-4xl mx-auto"
         >
-          <h2 className="text-4xl md:text-5xl font-bold mb-12 drop-shadow-md">
-            <span className="bg-gradient-to-r from-teal-400 to-blue-600 text-transparent bg-clip-text">
-              My Projects
-            </span>
-          </h2>
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-2 gap-8 max-w-4xl mx-auto">
-            {/* Project 1: Interactive Dashboard */}
-            <div className="bg-gray-800 bg-opacity-70 backdrop-blur-sm p-8 rounded-xl shadow-2xl border border-gray-700 flex flex-col justify-between items-start text-left transform hover:scale-105 hover:shadow-teal-500/50 transition duration-300">
-              <h3 className="text-2xl font-bold mb-2 text-white">
-                Project Alpha: Interactive Dashboard
-              </h3>
-              <p className="text-lg leading-relaxed text-gray-200">
-                This project involved developing a highly responsive and
-                interactive dashboard for data visualization. It features
-                real-time data updates, customizable widgets, and a
-                user-friendly interface built with React and D3.js. Performance
-                optimization was a key focus, ensuring smooth interactions even
-                with large datasets.
-              </p>
-            </div>
-            {/* Project 2: E-commerce Platform */}
-            <div className="bg-gray-800 bg-opacity-70 backdrop-blur-sm p-8 rounded-xl shadow-2xl border border-gray-700 flex flex-col justify-between items-start text-left transform hover:scale-105 hover:shadow-teal-500/50 transition duration-300">
-              <h3 className="text-2xl font-bold mb-2 text-white">
-                Project Beta: E-commerce Platform
-              </h3>
-              <p className="text-lg leading-relaxed text-gray-200">
-                A full-stack e-commerce solution, this platform supports product
-                listings, secure payment gateways, user authentication, and
-                order management. It was built using Next.js for the frontend,
-                Node.js with Express for the backend, and MongoDB for database
-                management, emphasizing scalability and security.
-              </p>
-            </div>
-            {/* Project 3: Mobile Game Development */}
-            <div className="bg-gray-800 bg-opacity-70 backdrop-blur-sm p-8 rounded-xl shadow-2xl border border-gray-700 flex flex-col justify-between items-start text-left transform hover:scale-105 hover:shadow-teal-500/50 transition duration-300">
-              <h3 className="text-2xl font-bold mb-2 text-white">
-                Project Gamma: Mobile Game Development
-              </h3>
-              <p className="text-lg leading-relaxed text-gray-200">
-                This project explored game development with a focus on
-                cross-platform compatibility. It's a casual puzzle game
-                implemented using JavaScript and Canvas API, featuring dynamic
-                animations, sound effects (Tone.js), and a leader board system,
-                providing an engaging user experience.
-              </p>
-            </div>
-            {/* Project 4: AI-Powered Chatbot */}
-            <div className="bg-gray-800 bg-opacity-70 backdrop-blur-sm p-8 rounded-xl shadow-2xl border border-gray-700 flex flex-col justify-between items-start text-left transform hover:scale-105 hover:shadow-teal-500/50 transition duration-300">
-              <h3 className="text-2xl font-bold mb-2 text-white">
-                Project Delta: AI-Powered Chatbot
-              </h3>
-              <p className="text-lg leading-relaxed text-gray-200">
-                Designed a conversational AI chatbot integrated into a web
-                application. The chatbot leverages Google's Gemini API for
-                natural language understanding and generation, providing helpful
-                responses and performing tasks for users. The frontend was built
-                with React, focusing on a seamless chat interface.
+          {aboutCards.map((card) => (
+            <div
+              key={card.id}
+              className="bg-surface bg-opacity-70 backdrop-blur-sm p-8 rounded-xl shadow-2xl border border-line flex flex-col justify-between items-center transform hover:scale-105 hover:shadow-purple-500/50 transition duration-300"
+            >
+              <h3 className="text-2xl font-bold mb-4 text-fg">{card.title}</h3>
+              <p className="text-lg leading-relaxed text-fg-muted text-center">
+                {card.body}
               </p>
             </div>
-          </div>
-        </section>
-
-        {/* Skills Section */}
-        <section
-          ref={skillsRef} // Attach ref for Intersection Observer
-          id="skills"
-          className={`py-20 w-full text-center transition-all duration-1000 ease-out transform ${
-            skillsInView
-              ? "opacity-100 translate-y-0"
-              : "opacity-0 translate-y-10"
-          }`}
+          ))}
+        </Reveal>
+      </Reveal>
+
+      {/* Timeline Section, left out until there are entries. */}
+      {timeline.length > 0 && (
+        <Reveal
+          as="section"
+          id="timeline"
+          aria-labelledby="timeline-heading"
+          onView={() => trackSectionView("timeline")}
+          className="py-20 w-full text-center"
         >
-          <h2 className="text-4xl md:text-5xl font-bold mb-12 drop-shadow-md">
-            <span className="bg-gradient-to-r from-pink-400 to-purple-600 text-transparent bg-clip-text">
-              My Skills
+          <h2
+            id="timeline-heading"
+            className="text-4xl md:text-5xl font-bold mb-12 drop-shadow-md"
+          >
+            <span className="bg-gradient-to-r from-yellow-400 to-orange-600 text-transparent bg-clip-text">
+              {t("sections.timeline")}
             </span>
           </h2>
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8 max-w-6xl mx-auto">
-            {/* Skill 1: HTML & CSS */}
-            <div className="bg-gray-800 bg-opacity-70 backdrop-blur-sm p-6 rounded-xl shadow-2xl border border-gray-700 flex flex-col items-center transform hover:scale-105 hover:shadow-orange-500/50 transition duration-300">
-              <div className="text-6xl text-orange-500 mb-4">
-                <LucideIcon name="Html5" size={60} /> {/* Lucide HTML icon */}
-              </div>
-              <h3 className="text-2xl font-bold mb-2 text-white">HTML & CSS</h3>
-              <p className="text-gray-300 text-center">
-                Mastery in semantic HTML5 and modern CSS3, including Flexbox,
-                Grid, and responsive design principles with Tailwind CSS.
-              </p>
-            </div>
-
-            {/* Skill 2: JavaScript & React.js */}
-            <div className="bg-gray-800 bg-opacity-70 backdrop-blur-sm p-6 rounded-xl shadow-2xl border border-gray-700 flex flex-col items-center transform hover:scale-105 hover:shadow-blue-400/50 transition duration-300">
-              <div className="text-6xl text-blue-400 mb-4">
-                <LucideIcon name="React" size={60} /> {/* Lucide React icon */}
-              </div>
-              <h3 className="text-2xl font-bold mb-2 text-white">
-                JavaScript & React.js
-              </h3>
-              <p className="text-gray-300 text-center">
-                Proficient in ES6+ JavaScript, building dynamic user interfaces
-                with React, hooks, context API, and state management libraries.
-              </p>
-            </div>
-
-            {/* Skill 3: Next.js */}
-            <div className="bg-gray-800 bg-opacity-70 backdrop-blur-sm p-6 rounded-xl shadow-2xl border border-gray-700 flex flex-col items-center transform hover:scale-105 hover:shadow-gray-300/50 transition duration-300">
-              <div className="text-6xl text-gray-300 mb-4">
-                {/* Lucide Next.js icon (if available) or fallback SVG */}
-                <LucideIcon name="Vercel" size={60} />{" "}
-                {/* Vercel icon as a proxy for Next.js */}
-              </div>
-              <h3 className="text-2xl font-bold mb-2 text-white">Next.js</h3>
-              <p className="text-gray-300 text-center">
-                Experience in building server-side rendered and static-generated
-                React applications with Next.js for optimal performance and SEO.
-              </p>
-            </div>
-
-            {/* Skill 4: Node.js & Express */}
-            <div className="bg-gray-800 bg-opacity-70 backdrop-blur-sm p-6 rounded-xl shadow-2xl border border-gray-700 flex flex-col items-center transform hover:scale-105 hover:shadow-green-500/50 transition duration-300">
-              <div className="text-6xl text-green-500 mb-4">
-                <LucideIcon name="Cable" size={60} />{" "}
-                {/* Lucide Cable icon for Node.js */}
-              </div>
-              <h3 className="text-2xl font-bold mb-2 text-white">
-                Node.js & Express
-              </h3>
-              <p className="text-gray-300 text-center">
-                Backend development with Node.js and Express, creating RESTful
-                APIs, handling authentication, and integrating with databases.
-              </p>
-            </div>
-
-            {/* Skill 5: Databases (MongoDB, Firestore) */}
-            <div className="bg-gray-800 bg-opacity-70 backdrop-blur-sm p-6 rounded-xl shadow-2xl border border-gray-700 flex flex-col items-center transform hover:scale-105 hover:shadow-purple-500/50 transition duration-300">
-              <div className="text-6xl text-purple-500 mb-4">
-                <LucideIcon name="Database" size={60} />{" "}
-                {/* Lucide Database icon */}
-              </div>
-              <h3 className="text-2xl font-bold mb-2 text-white">Databases</h3>
-              <p className="text-gray-300 text-center">
-                Proficiency in NoSQL databases like MongoDB and cloud-based
-                solutions like Google Firestore for flexible data storage.
-              </p>
-            </div>
-
-            {/* Skill 6: Cloud Platforms (Firebase, Vercel) */}
-            <div className="bg-gray-800 bg-opacity-70 backdrop-blur-sm p-6 rounded-xl shadow-2xl border border-gray-700 flex flex-col items-center transform hover:scale-105 hover:shadow-yellow-400/50 transition duration-300">
-              <div className="text-6xl text-yellow-400 mb-4">
-                <LucideIcon name="Cloud" size={60} /> {/* Lucide Cloud icon */}
-              </div>
-              <h3 className="text-2xl font-bold mb-2 text-white">
-                Cloud Platforms
-              </h3>
-              <p className="text-gray-300 text-center">
-                Deployment and management of applications on platforms like
-                Firebase and Vercel, including serverless functions.
-              </p>
-            </div>
-          </div>
-        </section>
-
-        {/* Contact Section */}
-        <section
-          ref={contactRef} // Attach ref for Intersection Observer
-          id="contact"
-          className={`py-20 w-full text-center transition-all duration-1000 ease-out transform ${
-            contactInView
-              ? "opacity-100 translate-y-0"
-              : "opacity-0 translate-y-10"
-          }`}
+          <Timeline entries={timeline} />
+        </Reveal>
+      )}
+
+      {/* Projects Section */}
+      <Reveal
+        as="section"
+        id="projects"
+        aria-labelledby="projects-heading"
+        onView={() => trackSectionView("projects")}
+        className="py-20 w-full text-center"
+      >
+        <h2
+          id="projects-heading"
+          className="text-4xl md:text-5xl font-bold mb-12 drop-shadow-md"
         >
-          <h2 className="text-4xl md:text-5xl font-bold mb-12 drop-shadow-md">
-            <span className="bg-gradient-to-r from-red-400 to-pink-600 text-transparent bg-clip-text">
-              Contact Me
-            </span>
-          </h2>
-          <div className="max-w-xl mx-auto bg-gray-800 bg-opacity-70 backdrop-blur-sm p-8 rounded-xl shadow-2xl border border-gray-700">
-            {/* Social Media Links added above the form */}
-            <p className="text-lg text-gray-300 mb-6">
-              Connect with me on social media:
+          <span className="bg-gradient-to-r from-teal-400 to-blue-600 text-transparent bg-clip-text">
+            {t("sections.projects")}
+          </span>
+        </h2>
+        <ProjectFilters
+          filters={filters}
+          tags={projectTags}
+          resultCount={visibleProjects.length}
+          onChange={updateFilters}
+          onReset={resetFilters}
+        />
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-2 gap-8 max-w-4xl mx-auto">
+          {visibleProjects.map((project) => (
+            <ProjectCard
+              key={project.slug}
+              project={project}
+              catalogSlugs={projectSlugs}
+            />
+          ))}
+        </div>
+        {visibleProjects.length === 0 && (
+          <p className="text-lg text-fg-subtle mt-8">{t("projects.empty")}</p>
+        )}
+      </Reveal>
+
+      {/* Skills Section */}
+      <Reveal
+        as="section"
+        id="skills"
+        aria-labelledby="skills-heading"
+        onView={() => trackSectionView("skills")}
+        className="py-20 w-full text-center"
+      >
+        <h2
+          id="skills-heading"
+          className="text-4xl md:text-5xl font-bold mb-12 drop-shadow-md"
+        >
+          <span className="bg-gradient-to-r from-pink-400 to-purple-600 text-transparent bg-clip-text">
+            {t("sections.skills")}
+          </span>
+        </h2>
+        <Skills skills={skills} projects={projects} />
+      </Reveal>
+
+      {/* Contact Section */}
+      <Reveal
+        as="section"
+        id="contact"
+        aria-labelledby="contact-heading"
+        onView={() => trackSectionView("contact")}
+        className="py-20 w-full text-center"
+      >
+        <h2
+          id="contact-heading"
+          className="text-4xl md:text-5xl font-bold mb-12 drop-shadow-md"
+        >
+          <span className="bg-gradient-to-r from-red-400 to-pink-600 text-transparent bg-clip-text">
+            {t("sections.contact")}
+          </span>
+        </h2>
+        <div className="max-w-xl mx-auto bg-surface bg-opacity-70 backdrop-blur-sm p-8 rounded-xl shadow-2xl border border-line">
+          {/* Where the owner is based, and their social and email links. */}
+          {location && (
+            <p className="text-lg text-fg-muted mb-4">
+              {t("contact.location", { location })}
             </p>
-            <div className="flex justify-center space-x-6 mb-8">
-              <a
-                href="https://linkedin.com/in/your-profile"
-                target="_blank"
-                rel="noopener noreferrer"
-                className="text-gray-300 hover:text-purple-400 transition duration-300"
-                aria-label="LinkedIn profile"
-              >
-                <LucideIcon name="Linkedin" size={30} />
-              </a>
-              <a
-                href="https://github.com/your-profile"
-                target="_blank"
-                rel="noopener noreferrer"
-                className="text-gray-300 hover:text-purple-400 transition duration-300"
-                aria-label="GitHub profile"
-              >
-                <LucideIcon name="Github" size={30} />
-              </a>
-              <a
-                href="https://instagram.com/your-profile"
-                target="_blank"
-                rel="noopener noreferrer"
-                className="text-gray-300 hover:text-purple-400 transition duration-300"
-                aria-label="Instagram profile"
-              >
-                <LucideIcon name="Instagram" size={30} />
-              </a>
-              <a
-                href="https://twitter.com/your-profile"
-                target="_blank"
-                rel="noopener noreferrer"
-                className="text-gray-300 hover:text-purple-400 transition duration-300"
-                aria-label="Twitter profile"
-              >
-                <LucideIcon name="Twitter" size={30} />
-              </a>
-            </div>
-
-            <form className="space-y-6">
-              <div>
-                <label
-                  htmlFor="name"
-                  className="block text-left text-lg font-semibold text-gray-200 mb-2"
-                >
-                  Name
-                </label>
-                <input
-                  type="text"
-                  id="name"
-                  name="name"
-                  className="w-full px-4 py-3 rounded-lg bg-gray-700 border border-gray-600 text-white focus:outline-none focus:ring-2 focus:ring-purple-500 transition duration-300"
-                  placeholder="Your Name"
-                  aria-label="Name input field"
-                />
-              </div>
-              <div>
-                <label
-                  htmlFor="email"
-                  className="block text-left text-lg font-semibold text-gray-200 mb-2"
-                >
-                  Email
-                </label>
-                <input
-                  type="email"
-                  id="email"
-                  name="email"
-                  className="w-full px-4 py-3 rounded-lg bg-gray-700 border border-gray-600 text-white focus:outline-none focus:ring-2 focus:ring-purple-500 transition duration-300"
-                  placeholder="your.email@example.com"
-                  aria-label="Email input field"
-                />
-              </div>
-              <div>
-                <label
-                  htmlFor="message"
-                  className="block text-left text-lg font-semibold text-gray-200 mb-2"
-                >
-                  Message
-                </label>
-                <textarea
-                  id="message"
-                  name="message"
-                  rows="5"
-                  className="w-full px-4 py-3 rounded-lg bg-gray-700 border border-gray-600 text-white focus:outline-none focus:ring-2 focus:ring-purple-500 resize-y transition duration-300"
-                  placeholder="Your message..."
-                  aria-label="Message textarea field"
-                ></textarea>
-              </div>
-              <button
-                type="submit"
-                className="w-full px-6 py-3 rounded-lg bg-gradient-to-r from-red-600 to-pink-600 text-white text-xl font-bold shadow-lg hover:from-red-700 hover:to-pink-700 transition duration-300 transform hover:scale-105"
-                aria-label="Send message"
-              >
-                Send Message
-              </button>
-            </form>
-          </div>
-        </section>
-      </div>
-
-      {/* Footer component */}
-      <Footer />
+          )}
+          {(profile.social.length > 0 || profile.email) && (
+            <>
+              <p className="text-lg text-fg-muted mb-6">
+                {t("social.connect")}
+              </p>
+              <SocialLinks
+                withEmail
+                className="justify-center space-x-6 mb-8"
+                linkClassName="text-fg-muted hover:text-purple-400 transition duration-300"
+              />
+            </>
+          )}
+
+          <ContactForm
+            db={db}
+            appId={appId}
+            userId={userId}
+            isAuthReady={isAuthReady}
+          />
+        </div>
+      </Reveal>
     </div>
   );
 }
@@ -0,0 +1,218 @@
+import React from "react";
+import { act, fireEvent, render, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import App from "./App";
+
+// src/data/timeline.js ships empty; tests fill it with one entry by default.
+const timeline = vi.hoisted(() => []);
+vi.mock("./data/timeline", () => ({ default: timeline }));
+
+const TIMELINE_ENTRY = {
+  id: "acme-frontend",
+  type: "job",
+  role: "Frontend Developer",
+  organization: "Acme",
+  location: "Remote",
+  url: null,
+  logo: null,
+  startDate: "2024-01",
+  endDate: null,
+  achievements: ["Rebuilt the storefront in React."],
+};
+
+// Renders the whole app at path (without Firebase) and waits for its effects.
+const renderAt = async (path) => {
+  window.history.replaceState(null, "", path);
+  await act(async () => render(<App />));
+  return userEvent.setup();
+};
+
+const nav = () => screen.getByRole("navigation", { name: "Main" });
+const toggle = () => screen.getByRole("button", { name: "Toggle navigation" });
+const navLink = (name) => within(nav()).getByRole("link", { name });
+
+beforeEach(() => {
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+  timeline.splice(0, timeline.length, TIMELINE_ENTRY);
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("Header mobile menu", () => {
+  it("opens and closes with the menu button", async () => {
+    const user = await renderAt("/");
+    const menu = document.getElementById("primary-navigation");
+    expect(toggle()).toHaveAttribute("aria-expanded", "false");
+    expect(menu).toHaveClass("hidden");
+
+    await user.click(toggle());
+    expect(toggle()).toHaveAttribute("aria-expanded", "true");
+    expect(menu).toHaveClass("block");
+    expect(navLink("Home")).toHaveFocus();
+
+    await user.click(toggle());
+    expect(toggle()).toHaveAttribute("aria-expanded", "false");
+    expect(menu).toHaveClass("hidden");
+  });
+
+  it("closes on Escape and returns focus to the button", async () => {
+    const user = await renderAt("/");
+    await user.click(toggle());
+    await user.keyboard("{Escape}");
+    expect(toggle()).toHaveAttribute("aria-expanded", "false");
+    expect(toggle()).toHaveFocus();
+  });
+
+  it("moves between links with the arrow keys", async () => {
+    const user = await renderAt("/");
+    await user.click(toggle());
+    await user.keyboard("{ArrowDown}");
+    expect(navLink("About")).toHaveFocus();
+    await user.keyboard("{End}");
+    expect(navLink("Blog")).toHaveFocus();
+    await user.keyboard("{ArrowDown}");
+    expect(navLink("Home")).toHaveFocus();
+    await user.keyboard("{ArrowUp}");
+    expect(navLink("Blog")).toHaveFocus();
+  });
+
+  it("keeps Tab inside the open menu", async () => {
+    const user = await renderAt("/");
+    await user.click(toggle());
+    await user.keyboard("{End}");
+    await user.tab();
+    expect(toggle()).toHaveFocus();
+    await user.tab();
+    expect(navLink("Home")).toHaveFocus();
+    await user.tab({ shift: true });
+    expect(toggle()).toHaveFocus();
+  });
+
+  it("closes on a click outside the header", async () => {
+    const user = await renderAt("/");
+    await user.click(toggle());
+    await user.click(document.getElementById("main"));
+    expect(toggle()).toHaveAttribute("aria-expanded", "false");
+  });
+
+  it("closes when a link is followed", async () => {
+    const user = await renderAt("/");
+    await user.click(toggle());
+    await user.click(navLink("Blog"));
+    expect(window.location.pathname).toBe("/blog");
+    expect(toggle()).toHaveAttribute("aria-expanded", "false");
+  });
+});
+
+describe("Header navigation", () => {
+  // Places each home section at a top offset (px) from the viewport.
+  const layOut = (tops) => {
+    for (const [id, top] of Object.entries(tops)) {
+      vi.spyOn(
+        document.getElementById(id),
+        "getBoundingClientRect"
+      ).mockReturnValue({ top });
+    }
+  };
+
+  it("scrolls to a section through the URL hash", async () => {
+    const scrollTo = vi.spyOn(window, "scrollTo");
+    const user = await renderAt("/");
+    layOut({ about: 500 });
+
+    await user.click(navLink("About"));
+    expect(window.location.hash).toBe("#about");
+    // 2px gap below the header, which has no height in jsdom.
+    expect(scrollTo).toHaveBeenLastCalledWith({ top: 498, behavior: "auto" });
+
+    // The same link again leaves the URL as it is, so it scrolls directly.
+    await user.click(navLink("About"));
+    expect(scrollTo).toHaveBeenCalledTimes(2);
+    expect(scrollTo).toHaveBeenLastCalledWith({
+      top: 498,
+      behavior: "smooth",
+    });
+  });
+
+  it("keeps the project filters when following a nav link", async () => {
+    const scrollTo = vi.spyOn(window, "scrollTo");
+    const user = await renderAt("/#projects");
+    await user.type(screen.getByLabelText("Search projects"), "chat");
+    expect(window.location.search).toBe("?q=chat");
+
+    await user.click(navLink("About"));
+    expect(window.location.search).toBe("?q=chat");
+    expect(window.location.hash).toBe("#about");
+
+    // A filter changed while on #about still counts as the same section.
+    await user.clear(screen.getByLabelText("Search projects"));
+    scrollTo.mockClear();
+    await user.click(navLink("About"));
+    expect(window.location.search).toBe("");
+    expect(scrollTo).toHaveBeenCalledTimes(1);
+    expect(scrollTo).toHaveBeenLastCalledWith(
+      expect.objectContaining({ behavior: "smooth" })
+    );
+  });
+
+  it("scrolls to the contact form from the hero link", async () => {
+    const scrollTo = vi.spyOn(window, "scrollTo");
+    const user = await renderAt("/?q=chat");
+    layOut({ contact: 3000 });
+    const contactMe = screen.getByRole("link", { name: "Contact Me" });
+
+    await user.click(contactMe);
+    expect(window.location.search).toBe("?q=chat");
+    expect(window.location.hash).toBe("#contact");
+    expect(scrollTo).toHaveBeenLastCalledWith({ top: 2998, behavior: "auto" });
+
+    await user.click(contactMe);
+    expect(scrollTo).toHaveBeenCalledTimes(2);
+    expect(scrollTo).toHaveBeenLastCalledWith({
+      top: 2998,
+      behavior: "smooth",
+    });
+  });
+
+  it("goes back to the home page from other pages", async () => {
+    const user = await renderAt("/blog");
+    expect(navLink("Blog")).toHaveAttribute("aria-current", "page");
+    await user.click(navLink("Projects"));
+    expect(window.location.pathname).toBe("/");
+    expect(window.location.hash).toBe("#projects");
+    expect(document.getElementById("projects")).toBeInTheDocument();
+  });
+
+  it("highlights the section being read while scrolling", async () => {
+    await renderAt("/");
+    vi.spyOn(window, "innerHeight", "get").mockReturnValue(900);
+    layOut({
+      home: -1200,
+      about: -400,
+      timeline: 200,
+      projects: 1000,
+      skills: 2000,
+      contact: 3000,
+    });
+
+    await act(async () => {
+      fireEvent.scroll(window);
+      await new Promise(requestAnimationFrame);
+    });
+    expect(navLink("Experience")).toHaveAttribute("aria-current", "location");
+    expect(navLink("About")).not.toHaveAttribute("aria-current");
+  });
+
+  it("leaves out the timeline while it has no entries", async () => {
+    timeline.length = 0;
+    await renderAt("/");
+    expect(document.getElementById("timeline")).toBeNull();
+    expect(
+      within(nav()).queryByRole("link", { name: "Experience" })
+    ).not.toBeInTheDocument();
+    expect(navLink("Projects")).toBeInTheDocument();
+  });
+});
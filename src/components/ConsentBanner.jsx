@@ -0,0 +1,38 @@
+import React from "react";
+import { setAnalyticsConsent } from "../lib/analytics";
+import { useI18n } from "../lib/i18n";
+
+// ConsentBanner Component
+// Asks once whether the visit may be counted by the site's cookieless
+// analytics (see lib/analytics). Either answer is remembered; the footer link
+// brings the banner back.
+const ConsentBanner = () => {
+  const { t } = useI18n();
+
+  return (
+    <section
+      aria-label={t("analytics.label")}
+      className="fixed bottom-4 inset-x-4 z-50 max-w-2xl mx-auto bg-surface border border-line rounded-xl shadow-2xl p-6 text-start print:hidden"
+    >
+      <p className="text-fg-soft mb-4">{t("analytics.prompt")}</p>
+      <div className="flex flex-wrap justify-end gap-3">
+        <button
+          type="button"
+          onClick={() => setAnalyticsConsent("denied")}
+          className="px-6 py-2 rounded-full bg-control text-fg font-semibold hover:bg-control-hover transition duration-300"
+        >
+          {t("analytics.decline")}
+        </button>
+        <button
+          type="button"
+          onClick={() => setAnalyticsConsent("granted")}
+          className="px-6 py-2 rounded-full bg-purple-600 text-white font-semibold hover:bg-purple-700 transition duration-300"
+        >
+          {t("analytics.allow")}
+        </button>
+      </div>
+    </section>
+  );
+};
+
+export default ConsentBanner;
@@ -0,0 +1,197 @@
+import React, { useState } from "react";
+import {
+  CONTACT_LIMITS,
+  MIN_MESSAGE_LENGTH,
+  submitContactMessage,
+  validateContactForm,
+} from "../lib/contact";
+import { trackEvent } from "../lib/analytics";
+import {
+  HONEYPOT_FIELD,
+  SubmissionRejectedError,
+  checkSubmission,
+} from "../lib/spam";
+import { useI18n } from "../lib/i18n";
+
+const inputClassName =
+  "w-full px-4 py-3 rounded-lg bg-control border text-fg focus:outline-none focus:ring-2 focus:ring-purple-500 transition duration-300";
+
+// ContactForm Component
+// Validates the contact fields and submits them through the Firestore pipeline.
+// status is one of "idle", "pending", "success", "queued", "rejected" or "error".
+const ContactForm = ({ db, appId, userId, isAuthReady }) => {
+  const { t } = useI18n();
+  const [values, setValues] = useState({ name: "", email: "", message: "" });
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState("idle");
+  const [honeypot, setHoneypot] = useState(""); // Filled in only by bots.
+  const [startedAt, setStartedAt] = useState(() => Date.now()); // When the form was shown.
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setValues((prev) => ({ ...prev, [name]: value }));
+    // Clear the field error as soon as the user edits the field.
+    setErrors((prev) => ({ ...prev, [name]: undefined }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault(); // Keep the page from reloading.
+    const { values: cleaned, errors: fieldErrors } =
+      validateContactForm(values);
+    setErrors(fieldErrors);
+    if (Object.keys(fieldErrors).length > 0) return;
+
+    const rejection = checkSubmission({
+      values: cleaned,
+      honeypot,
+      startedAt,
+      now: Date.now(),
+    });
+    if (rejection) {
+      // Don't tell the sender which check failed.
+      console.warn("Contact message rejected:", rejection);
+      setStatus("rejected");
+      return;
+    }
+
+    setStatus("pending");
+    try {
+      const result = await submitContactMessage({
+        db,
+        appId,
+        userId,
+        values: cleaned,
+      });
+      setStatus(result.queued ? "queued" : "success");
+      trackEvent("contacts", result.queued ? "queued" : "sent");
+      setValues({ name: "", email: "", message: "" });
+      setStartedAt(Date.now());
+    } catch (error) {
+      if (error instanceof SubmissionRejectedError) {
+        console.warn("Contact message rejected:", error.reason);
+        setStatus("rejected");
+      } else {
+        console.error("Failed to send contact message:", error);
+        setStatus("error");
+      }
+    }
+  };
+
+  const isPending = status === "pending";
+
+  // Renders the validation message under a field, if there is one.
+  const fieldError = (name) =>
+    errors[name] ? (
+      <p id={`${name}-error`} className="mt-2 text-start text-sm text-red-400">
+        {t(`contact.errors.${name}.${errors[name]}`, {
+          min: MIN_MESSAGE_LENGTH,
+          max: CONTACT_LIMITS[name],
+        })}
+      </p>
+    ) : null;
+
+  const borderClass = (name) =>
+    errors[name] ? "border-red-500" : "border-line-strong";
+
+  return (
+    <form className="space-y-6" onSubmit={handleSubmit} noValidate>
+      {/* Honeypot: hidden from people and assistive tech, but bots fill it in. */}
+      <div className="hidden" aria-hidden="true">
+        <label htmlFor={HONEYPOT_FIELD}>{t("contact.honeypot")}</label>
+        <input
+          type="text"
+          id={HONEYPOT_FIELD}
+          name={HONEYPOT_FIELD}
+          tabIndex={-1}
+          autoComplete="off"
+          value={honeypot}
+          onChange={(e) => setHoneypot(e.target.value)}
+        />
+      </div>
+      <div>
+        <label
+          htmlFor="name"
+          className="block text-start text-lg font-semibold text-fg-soft mb-2"
+        >
+          {t("contact.name")}
+        </label>
+        <input
+          type="text"
+          id="name"
+          name="name"
+          value={values.name}
+          onChange={handleChange}
+          className={`${inputClassName} ${borderClass("name")}`}
+          placeholder={t("contact.namePlaceholder")}
+          aria-invalid={Boolean(errors.name)}
+          aria-describedby={errors.name ? "name-error" : undefined}
+        />
+        {fieldError("name")}
+      </div>
+      <div>
+        <label
+          htmlFor="email"
+          className="block text-start text-lg font-semibold text-fg-soft mb-2"
+        >
+          {t("contact.email")}
+        </label>
+        <input
+          type="email"
+          id="email"
+          name="email"
+          value={values.email}
+          onChange={handleChange}
+          className={`${inputClassName} ${borderClass("email")}`}
+          placeholder={t("contact.emailPlaceholder")}
+          aria-invalid={Boolean(errors.email)}
+          aria-describedby={errors.email ? "email-error" : undefined}
+        />
+        {fieldError("email")}
+      </div>
+      <div>
+        <label
+          htmlFor="message"
+          className="block text-start text-lg font-semibold text-fg-soft mb-2"
+        >
+          {t("contact.message")}
+        </label>
+        <textarea
+          id="message"
+          name="message"
+          rows="5"
+          value={values.message}
+          onChange={handleChange}
+          className={`${inputClassName} ${borderClass("message")} resize-y`}
+          placeholder={t("contact.messagePlaceholder")}
+          aria-invalid={Boolean(errors.message)}
+          aria-describedby={errors.message ? "message-error" : undefined}
+        ></textarea>
+        {fieldError("message")}
+      </div>
+      <button
+        type="submit"
+        disabled={isPending || !isAuthReady}
+        className="w-full px-6 py-3 rounded-lg bg-gradient-to-r from-red-600 to-pink-600 text-white text-xl font-bold shadow-lg hover:from-red-700 hover:to-pink-700 transition duration-300 transform hover:scale-105 disabled:opacity-60 disabled:cursor-not-allowed disabled:hover:scale-100"
+      >
+        {isPending ? t("contact.sending") : t("contact.send")}
+      </button>
+      {/* Submission result, announced to screen readers. */}
+      <div role="status" aria-live="polite" className="text-start">
+        {status === "success" && (
+          <p className="text-green-400">{t("contact.success")}</p>
+        )}
+        {status === "queued" && (
+          <p className="text-yellow-300">{t("contact.queued")}</p>
+        )}
+        {status === "rejected" && (
+          <p className="text-red-400">{t("contact.rejected")}</p>
+        )}
+        {status === "error" && (
+          <p className="text-red-400">{t("contact.error")}</p>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default ContactForm;
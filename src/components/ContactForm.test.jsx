@@ -0,0 +1,121 @@
+import React from "react";
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import ContactForm from "./ContactForm";
+import { readLocalQueue } from "../lib/contact";
+import { MIN_FILL_TIME_MS } from "../lib/spam";
+
+// Only Date is faked, so the spam check's time-to-submit can be skipped over
+// while user-event keeps its real timers.
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ["Date"] });
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+// Renders the form without Firestore, so sent messages land in the local queue.
+const renderForm = () => {
+  render(<ContactForm db={null} appId="test-app" userId={null} isAuthReady />);
+  return userEvent.setup();
+};
+
+const fill = async (user, { name, email, message }) => {
+  if (name) await user.type(screen.getByLabelText("Name"), name);
+  if (email) await user.type(screen.getByLabelText("Email"), email);
+  if (message) await user.type(screen.getByLabelText("Message"), message);
+};
+
+const submit = async (user) => {
+  vi.setSystemTime(Date.now() + MIN_FILL_TIME_MS);
+  await user.click(screen.getByRole("button", { name: "Send Message" }));
+};
+
+describe("ContactForm", () => {
+  it("shows an error under each empty field", async () => {
+    const user = renderForm();
+    await submit(user);
+
+    const name = screen.getByLabelText("Name");
+    expect(name).toHaveAttribute("aria-invalid", "true");
+    expect(name).toHaveAccessibleDescription("Please enter your name.");
+    expect(screen.getByLabelText("Email")).toHaveAccessibleDescription(
+      "Please enter your email address."
+    );
+    expect(screen.getByLabelText("Message")).toHaveAccessibleDescription(
+      "Please enter a message."
+    );
+    expect(readLocalQueue()).toEqual([]);
+  });
+
+  it("explains invalid values", async () => {
+    const user = renderForm();
+    await fill(user, { name: "Ada", email: "ada@example", message: "Hi!" });
+    await submit(user);
+
+    expect(screen.getByLabelText("Name")).toHaveAttribute(
+      "aria-invalid",
+      "false"
+    );
+    expect(screen.getByLabelText("Email")).toHaveAccessibleDescription(
+      "Please enter a valid email address."
+    );
+    expect(screen.getByLabelText("Message")).toHaveAccessibleDescription(
+      "Message must be at least 10 characters."
+    );
+  });
+
+  it("clears a field's error once it is edited", async () => {
+    const user = renderForm();
+    await submit(user);
+    await user.type(screen.getByLabelText("Name"), "A");
+
+    expect(screen.getByLabelText("Name")).toHaveAttribute(
+      "aria-invalid",
+      "false"
+    );
+    expect(screen.queryByText("Please enter your name.")).toBeNull();
+    expect(screen.getByText("Please enter a message.")).toBeInTheDocument();
+  });
+
+  it("sends a valid message and resets the form", async () => {
+    const user = renderForm();
+    await fill(user, {
+      name: " Ada ",
+      email: "ada@example.com",
+      message: "Hello there, nice site!",
+    });
+    await submit(user);
+
+    expect(await screen.findByRole("status")).toHaveTextContent(
+      "Your message has been saved"
+    );
+    expect(readLocalQueue()).toEqual([
+      expect.objectContaining({
+        name: "Ada",
+        email: "ada@example.com",
+        message: "Hello there, nice site!",
+      }),
+    ]);
+    expect(screen.getByLabelText("Name")).toHaveValue("");
+  });
+
+  it("refuses a form submitted too quickly", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const user = renderForm();
+    await fill(user, {
+      name: "Ada",
+      email: "ada@example.com",
+      message: "Hello there, nice site!",
+    });
+    await user.click(screen.getByRole("button", { name: "Send Message" }));
+
+    expect(screen.getByRole("status")).toHaveTextContent(
+      "your message could not be accepted"
+    );
+    expect(readLocalQueue()).toEqual([]);
+  });
+});
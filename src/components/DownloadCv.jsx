@@ -0,0 +1,84 @@
+import React, { useEffect, useRef, useState } from "react";
+import { navigate } from "../lib/router";
+import { PRINT_PARAM, downloadResumeJson, useResume } from "../lib/resume";
+import { useI18n } from "../lib/i18n";
+
+// DownloadCv Component
+// Hero button that opens a small menu of résumé downloads: a PDF, printed from
+// the /resume page with the browser's "Save as PDF", or a JSON Resume file.
+// Both are generated in the browser from the live portfolio content.
+const DownloadCv = ({ db, appId, className = "" }) => {
+  const { t } = useI18n();
+  const resume = useResume({ db, appId });
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+  const buttonRef = useRef(null);
+
+  // Close on Escape (returning focus to the button) or a click elsewhere.
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") {
+        setIsOpen(false);
+        buttonRef.current?.focus();
+      }
+    };
+    const handlePointerDown = (e) => {
+      if (!containerRef.current.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    document.addEventListener("pointerdown", handlePointerDown);
+    return () => {
+      document.removeEventListener("keydown", handleKeyDown);
+      document.removeEventListener("pointerdown", handlePointerDown);
+    };
+  }, [isOpen]);
+
+  const itemClassName =
+    "block w-full px-4 py-2 text-start text-fg hover:bg-control-hover transition duration-300";
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        ref={buttonRef}
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+        aria-controls="download-cv-options"
+        className={className}
+      >
+        {t("resume.download")}
+      </button>
+      {isOpen && (
+        <ul
+          id="download-cv-options"
+          className="absolute z-20 mt-2 start-0 min-w-full bg-surface border border-line rounded-lg shadow-xl overflow-hidden text-base font-semibold"
+        >
+          <li>
+            <button
+              type="button"
+              onClick={() => navigate(`/resume?${PRINT_PARAM}`)}
+              className={itemClassName}
+            >
+              {t("resume.downloadPdf")}
+            </button>
+          </li>
+          <li>
+            <button
+              type="button"
+              onClick={() => {
+                downloadResumeJson(resume);
+                setIsOpen(false);
+              }}
+              className={itemClassName}
+            >
+              {t("resume.downloadJson")}
+            </button>
+          </li>
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DownloadCv;
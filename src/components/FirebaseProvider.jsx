@@ -0,0 +1,74 @@
+import React, { useEffect, useState } from "react";
+import { onAuthStateChanged, signInAnonymously } from "firebase/auth";
+import {
+  FIREBASE_SETTINGS,
+  FirebaseContext,
+  initFirebase,
+} from "../lib/firebase";
+
+// FirebaseProvider Component
+// Connects to Firebase once for the whole app and shares db, auth and the
+// signed-in user through FirebaseContext (read it with useFirebase). Visitors
+// are signed in anonymously; the owner signs in on /admin. settings defaults
+// to the VITE_FIREBASE_* variables (see readFirebaseEnv); without a usable
+// config the app runs without Firebase and says why in the console.
+const FirebaseProvider = ({ settings = FIREBASE_SETTINGS, children }) => {
+  const [state, setState] = useState({
+    db: null,
+    auth: null,
+    user: null,
+    userId: null,
+    appId: settings.appId,
+    isAuthReady: false,
+  });
+
+  useEffect(() => {
+    if (settings.problems.length > 0) {
+      console.error(
+        `Invalid Firebase settings; running without Firebase:\n  ${settings.problems.join("\n  ")}`
+      );
+    } else if (!settings.config) {
+      console.warn(
+        "Firebase is not configured (see VITE_FIREBASE_* in .env.example); running without it."
+      );
+    }
+    if (!settings.config) {
+      setState((prev) => ({ ...prev, isAuthReady: true }));
+      return;
+    }
+
+    let db;
+    let auth;
+    try {
+      ({ db, auth } = initFirebase(settings));
+    } catch (error) {
+      console.error("Failed to initialize Firebase:", error);
+      setState((prev) => ({ ...prev, isAuthReady: true }));
+      return;
+    }
+    setState((prev) => ({ ...prev, db, auth }));
+
+    // The first callback tells whether someone is already signed in (the owner
+    // from an earlier visit, say); only sign in anonymously when nobody is.
+    let isFirstState = true;
+    const unsubscribe = onAuthStateChanged(auth, (user) => {
+      setState((prev) => ({
+        ...prev,
+        user,
+        userId: user?.uid ?? null,
+        isAuthReady: true,
+      }));
+      if (isFirstState && !user) {
+        signInAnonymously(auth).catch((error) =>
+          console.error("Firebase Auth Error:", error)
+        );
+      }
+      isFirstState = false;
+    });
+    return () => unsubscribe();
+  }, [settings]);
+
+  return <FirebaseContext value={state}>{children}</FirebaseContext>;
+};
+
+export default FirebaseProvider;
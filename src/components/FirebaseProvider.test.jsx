@@ -0,0 +1,209 @@
+import React from "react";
+import { act, render, screen } from "@testing-library/react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+// The Firebase SDK is replaced with spies; auth state changes are reported by
+// calling authListener.
+const firebase = vi.hoisted(() => ({
+  getApps: vi.fn(() => []),
+  getApp: vi.fn(),
+  initializeApp: vi.fn((config) => ({ config })),
+  getAuth: vi.fn((app) => ({ app })),
+  getFirestore: vi.fn((app) => ({ app })),
+  connectAuthEmulator: vi.fn(),
+  connectFirestoreEmulator: vi.fn(),
+  onAuthStateChanged: vi.fn(),
+  signInAnonymously: vi.fn(),
+}));
+
+vi.mock("firebase/app", () => ({
+  getApps: firebase.getApps,
+  getApp: firebase.getApp,
+  initializeApp: firebase.initializeApp,
+}));
+vi.mock("firebase/auth", () => ({
+  getAuth: firebase.getAuth,
+  connectAuthEmulator: firebase.connectAuthEmulator,
+  onAuthStateChanged: firebase.onAuthStateChanged,
+  signInAnonymously: firebase.signInAnonymously,
+}));
+vi.mock("firebase/firestore", () => ({
+  getFirestore: firebase.getFirestore,
+  connectFirestoreEmulator: firebase.connectFirestoreEmulator,
+}));
+
+const CONFIG = { apiKey: "key", projectId: "demo-test" };
+const EMULATORS = {
+  firestoreHost: "127.0.0.1",
+  firestorePort: 8080,
+  authUrl: "http://127.0.0.1:9099",
+};
+
+const settingsWith = (overrides) => ({
+  config: CONFIG,
+  appId: "test-app",
+  emulators: null,
+  problems: [],
+  ...overrides,
+});
+
+let authListener;
+let unsubscribe;
+
+// Shows what the provider shares, so tests can read it from the page.
+const Consumer = ({ useFirebase }) => {
+  const { db, auth, userId, appId, isAuthReady } = useFirebase();
+  return (
+    <dl>
+      <dt>db</dt>
+      <dd data-testid="db">{db ? "connected" : "none"}</dd>
+      <dt>auth</dt>
+      <dd data-testid="auth">{auth ? "connected" : "none"}</dd>
+      <dt>user</dt>
+      <dd data-testid="user">{userId ?? "none"}</dd>
+      <dt>app</dt>
+      <dd data-testid="app">{appId}</dd>
+      <dt>ready</dt>
+      <dd data-testid="ready">{String(isAuthReady)}</dd>
+    </dl>
+  );
+};
+
+// initFirebase keeps its instances for the life of the module, so each test
+// imports a fresh copy of the provider and lib/firebase.
+const renderProvider = async (settings) => {
+  const { default: FirebaseProvider } = await import("./FirebaseProvider");
+  const { useFirebase } = await import("../lib/firebase");
+  return render(
+    <FirebaseProvider settings={settings}>
+      <Consumer useFirebase={useFirebase} />
+    </FirebaseProvider>
+  );
+};
+
+const shared = (name) => screen.getByTestId(name).textContent;
+
+beforeEach(() => {
+  vi.resetModules();
+  unsubscribe = vi.fn();
+  firebase.onAuthStateChanged.mockImplementation((auth, listener) => {
+    authListener = listener;
+    return unsubscribe;
+  });
+  firebase.signInAnonymously.mockResolvedValue({});
+});
+
+afterEach(() => {
+  vi.clearAllMocks();
+  vi.restoreAllMocks();
+});
+
+describe("FirebaseProvider", () => {
+  it("connects with a config and signs the visitor in anonymously", async () => {
+    const { unmount } = await renderProvider(settingsWith());
+
+    expect(firebase.initializeApp).toHaveBeenCalledWith(CONFIG);
+    expect(firebase.connectFirestoreEmulator).not.toHaveBeenCalled();
+    expect(shared("db")).toBe("connected");
+    expect(shared("ready")).toBe("false");
+
+    act(() => authListener(null));
+    expect(firebase.signInAnonymously).toHaveBeenCalledTimes(1);
+    expect(shared("ready")).toBe("true");
+    expect(shared("user")).toBe("none");
+
+    act(() => authListener({ uid: "visitor-1" }));
+    expect(shared("user")).toBe("visitor-1");
+    expect(shared("app")).toBe("test-app");
+    expect(firebase.signInAnonymously).toHaveBeenCalledTimes(1);
+
+    unmount();
+    expect(unsubscribe).toHaveBeenCalled();
+  });
+
+  it("keeps a user who is already signed in", async () => {
+    await renderProvider(settingsWith());
+    act(() => authListener({ uid: "owner" }));
+    expect(shared("user")).toBe("owner");
+    expect(firebase.signInAnonymously).not.toHaveBeenCalled();
+  });
+
+  it("reuses an app that is already initialized", async () => {
+    firebase.getApps.mockReturnValueOnce([{}]);
+    firebase.getApp.mockReturnValueOnce({ name: "existing" });
+    await renderProvider(settingsWith());
+    expect(firebase.initializeApp).not.toHaveBeenCalled();
+    expect(firebase.getFirestore).toHaveBeenCalledWith({ name: "existing" });
+  });
+
+  it("points Firestore and Auth at the emulators", async () => {
+    await renderProvider(settingsWith({ emulators: EMULATORS }));
+    expect(firebase.connectFirestoreEmulator).toHaveBeenCalledWith(
+      expect.anything(),
+      "127.0.0.1",
+      8080
+    );
+    expect(firebase.connectAuthEmulator).toHaveBeenCalledWith(
+      expect.anything(),
+      "http://127.0.0.1:9099",
+      { disableWarnings: true }
+    );
+  });
+
+  it("runs without Firebase when there is no config", async () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    await renderProvider(settingsWith({ config: null }));
+
+    expect(warn).toHaveBeenCalledWith(
+      expect.stringContaining("Firebase is not configured")
+    );
+    expect(firebase.initializeApp).not.toHaveBeenCalled();
+    expect(shared("db")).toBe("none");
+    expect(shared("ready")).toBe("true");
+  });
+
+  it("lists the problems with invalid settings", async () => {
+    const error = vi.spyOn(console, "error").mockImplementation(() => {});
+    await renderProvider(
+      settingsWith({
+        config: null,
+        problems: ["VITE_FIREBASE_API_KEY: is required."],
+      })
+    );
+
+    expect(error).toHaveBeenCalledWith(
+      expect.stringContaining("VITE_FIREBASE_API_KEY: is required.")
+    );
+    expect(firebase.initializeApp).not.toHaveBeenCalled();
+    expect(shared("ready")).toBe("true");
+  });
+
+  it("carries on without Firebase when initializing throws", async () => {
+    const error = vi.spyOn(console, "error").mockImplementation(() => {});
+    const failure = new Error("bad config");
+    firebase.initializeApp.mockImplementationOnce(() => {
+      throw failure;
+    });
+    await renderProvider(settingsWith());
+
+    expect(error).toHaveBeenCalledWith(
+      "Failed to initialize Firebase:",
+      failure
+    );
+    expect(firebase.onAuthStateChanged).not.toHaveBeenCalled();
+    expect(shared("db")).toBe("none");
+    expect(shared("auth")).toBe("none");
+    expect(shared("ready")).toBe("true");
+  });
+
+  it("reports a failed anonymous sign-in", async () => {
+    const error = vi.spyOn(console, "error").mockImplementation(() => {});
+    const failure = new Error("auth/operation-not-allowed");
+    firebase.signInAnonymously.mockRejectedValueOnce(failure);
+    await renderProvider(settingsWith());
+
+    await act(async () => authListener(null));
+    expect(error).toHaveBeenCalledWith("Firebase Auth Error:", failure);
+    expect(shared("ready")).toBe("true");
+  });
+});
@@ -0,0 +1,59 @@
+import React from "react";
+import { BRAND_ICONS, FallbackIcon, UI_ICONS } from "../lib/icons";
+
+// Icon Component
+// Renders an icon from the bundled registry in lib/icons by name. Without a
+// title the icon is decorative and hidden from screen readers; with one it is
+// announced as an image. Unknown names render a visible question-mark icon
+// (and a console warning in development) instead of silently rendering nothing.
+const Icon = ({
+  name,
+  size = 24,
+  color = "currentColor",
+  title,
+  className,
+}) => {
+  const a11yProps = title
+    ? { role: "img", "aria-label": title }
+    : { "aria-hidden": true, focusable: "false" };
+
+  const brand = BRAND_ICONS[name];
+  if (brand) {
+    return (
+      <svg
+        viewBox="0 0 24 24"
+        width={size}
+        height={size}
+        fill={color}
+        className={className}
+        {...a11yProps}
+      >
+        <path d={brand.path} />
+      </svg>
+    );
+  }
+
+  const UiIcon = UI_ICONS[name];
+  if (UiIcon) {
+    return (
+      <UiIcon size={size} color={color} className={className} {...a11yProps} />
+    );
+  }
+
+  if (import.meta.env.DEV) {
+    console.warn(
+      `Icon "${name}" is not in the icon registry (src/lib/icons.js).`
+    );
+  }
+  return (
+    <FallbackIcon
+      size={size}
+      color={color}
+      className={className}
+      data-missing-icon={name}
+      {...a11yProps}
+    />
+  );
+};
+
+export default Icon;
@@ -0,0 +1,31 @@
+import React from "react";
+import { LOCALES, setLocale, useI18n } from "../lib/i18n";
+
+// LanguageSwitcher Component
+// Header select for the interface language. Each option is written in its own
+// language so visitors can find theirs whatever the current locale is.
+const LanguageSwitcher = () => {
+  const { t, locale } = useI18n();
+
+  return (
+    <>
+      <label htmlFor="language-switcher" className="sr-only">
+        {t("language.label")}
+      </label>
+      <select
+        id="language-switcher"
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        className="px-2 py-1 rounded-md bg-control border border-line-strong text-fg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+      >
+        {Object.entries(LOCALES).map(([code, { label }]) => (
+          <option key={code} value={code} lang={code}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </>
+  );
+};
+
+export default LanguageSwitcher;
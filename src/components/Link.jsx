@@ -0,0 +1,31 @@
+import React from "react";
+import { navigate } from "../lib/router";
+
+// Link Component
+// An <a> that navigates client-side. Modified clicks (new tab, etc.) and
+// non-primary buttons keep the browser's default behavior.
+const Link = ({ to, onClick, children, ...props }) => {
+  const handleClick = (e) => {
+    if (onClick) onClick(e);
+    if (
+      e.defaultPrevented ||
+      e.button !== 0 ||
+      e.metaKey ||
+      e.ctrlKey ||
+      e.shiftKey ||
+      e.altKey
+    ) {
+      return;
+    }
+    e.preventDefault();
+    navigate(to);
+  };
+
+  return (
+    <a href={to} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  );
+};
+
+export default Link;
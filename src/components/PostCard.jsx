@@ -0,0 +1,54 @@
+import React from "react";
+import Link from "./Link";
+import { postDate } from "../lib/blog";
+import { useI18n } from "../lib/i18n";
+
+// PostCard Component
+// Renders one blog post in the index: date, reading time, title, summary and
+// tags. Tags link to the index filtered by that tag.
+const PostCard = ({ post }) => {
+  const { t, formatDate } = useI18n();
+
+  return (
+    <article className="bg-surface bg-opacity-70 backdrop-blur-sm p-8 rounded-xl shadow-2xl border border-line flex flex-col justify-between items-start text-start transform hover:scale-105 hover:shadow-teal-500/50 transition duration-300">
+      <div className="w-full">
+        <p className="text-sm text-link mb-2">
+          <time dateTime={post.date}>
+            {formatDate(postDate(post.date), { dateStyle: "long" })}
+          </time>
+          {" · "}
+          {t("blog.readingTime", { count: post.readingTime })}
+        </p>
+        <h2 className="text-2xl font-bold mb-2 text-fg">
+          <Link
+            to={`/blog/${post.slug}`}
+            className="hover:text-link transition duration-300"
+          >
+            {post.title}
+          </Link>
+        </h2>
+        {post.description && (
+          <p className="text-lg leading-relaxed text-fg-soft">
+            {post.description}
+          </p>
+        )}
+      </div>
+      {post.tags.length > 0 && (
+        <ul className="flex flex-wrap gap-2 mt-4" aria-label={t("blog.tags")}>
+          {post.tags.map((tag) => (
+            <li key={tag}>
+              <Link
+                to={`/blog?tag=${encodeURIComponent(tag)}`}
+                className="block px-3 py-1 rounded-full bg-control text-sm text-link hover:bg-control-hover transition duration-300"
+              >
+                {tag}
+              </Link>
+            </li>
+          ))}
+        </ul>
+      )}
+    </article>
+  );
+};
+
+export default PostCard;
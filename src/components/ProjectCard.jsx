@@ -0,0 +1,94 @@
+import React from "react";
+import Link from "./Link";
+import { projectKey, trackEvent } from "../lib/analytics";
+import { formatProjectDates } from "../lib/projects";
+import { useI18n } from "../lib/i18n";
+
+// ProjectCard Component
+// Renders a single entry of the projects catalog: cover image, dates, title,
+// description, technology tags and repository/demo links. catalogSlugs lists
+// the slugs of the whole catalog, which bounds the analytics keys (projectKey).
+const ProjectCard = ({ project, catalogSlugs }) => {
+  const { t, locale } = useI18n();
+  const cover = project.images[0];
+  const dates = formatProjectDates(project, {
+    locale,
+    present: t("projects.present"),
+  });
+  const handleOpen = () =>
+    trackEvent("projects", projectKey(project.slug, catalogSlugs));
+
+  return (
+    <article className="bg-surface bg-opacity-70 backdrop-blur-sm p-8 rounded-xl shadow-2xl border border-line flex flex-col justify-between items-start text-start transform hover:scale-105 hover:shadow-teal-500/50 transition duration-300">
+      <div className="w-full">
+        {cover && (
+          <img
+            src={cover.src}
+            alt={cover.alt ?? ""}
+            loading="lazy"
+            className="w-full h-48 object-cover rounded-lg mb-4"
+          />
+        )}
+        {dates && <p className="text-sm text-link mb-2">{dates}</p>}
+        <h3 className="text-2xl font-bold mb-2 text-fg">
+          <Link
+            to={`/projects/${project.slug}`}
+            onClick={handleOpen}
+            className="hover:text-link transition duration-300"
+          >
+            {project.title}
+          </Link>
+        </h3>
+        <p className="text-lg leading-relaxed text-fg-soft">
+          {project.description}
+        </p>
+      </div>
+      {project.tags.length > 0 && (
+        <ul
+          className="flex flex-wrap gap-2 mt-4"
+          aria-label={t("projects.technologies")}
+        >
+          {project.tags.map((tag) => (
+            <li
+              key={tag}
+              className="px-3 py-1 rounded-full bg-control text-sm text-link"
+            >
+              {tag}
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex space-x-4 mt-4">
+        <Link
+          to={`/projects/${project.slug}`}
+          onClick={handleOpen}
+          className="text-link hover:text-fg font-semibold transition duration-300"
+        >
+          {t("projects.caseStudy")}
+        </Link>
+        {project.repoUrl && (
+          <a
+            href={project.repoUrl}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-link hover:text-fg font-semibold transition duration-300"
+          >
+            {t("projects.source")}
+          </a>
+        )}
+        {project.demoUrl && (
+          <a
+            href={project.demoUrl}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-link hover:text-fg font-semibold transition duration-300"
+          >
+            {t("projects.liveDemo")}
+          </a>
+        )}
+      </div>
+    </article>
+  );
+};
+
+export default ProjectCard;
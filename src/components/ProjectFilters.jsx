@@ -0,0 +1,121 @@
+import React from "react";
+import { DEFAULT_FILTERS, SORT_OPTIONS } from "../lib/projectFilters";
+import { useI18n } from "../lib/i18n";
+
+// ProjectFilters Component
+// Filter bar above the Projects grid: text search, technology tag facets with
+// any/all matching, and sort order. State is owned by useProjectFilters.
+const ProjectFilters = ({ filters, tags, resultCount, onChange, onReset }) => {
+  const { t } = useI18n();
+  const toggleTag = (tag) => {
+    const selected = filters.tags.includes(tag)
+      ? filters.tags.filter((t) => t !== tag)
+      : [...filters.tags, tag];
+    onChange({ tags: selected });
+  };
+
+  const isFiltered =
+    filters.query !== DEFAULT_FILTERS.query ||
+    filters.tags.length > 0 ||
+    filters.sort !== DEFAULT_FILTERS.sort;
+
+  return (
+    <div className="max-w-4xl mx-auto mb-8 text-start space-y-4">
+      <div className="flex flex-col sm:flex-row gap-4">
+        <label htmlFor="project-search" className="sr-only">
+          {t("projects.searchLabel")}
+        </label>
+        <input
+          id="project-search"
+          type="search"
+          value={filters.query}
+          onChange={(e) => onChange({ query: e.target.value })}
+          placeholder={t("projects.searchPlaceholder")}
+          className="flex-1 px-4 py-2 rounded-lg bg-control border border-line-strong text-fg focus:outline-none focus:ring-2 focus:ring-teal-500 transition duration-300"
+        />
+        <label htmlFor="project-sort" className="sr-only">
+          {t("projects.sortLabel")}
+        </label>
+        <select
+          id="project-sort"
+          value={filters.sort}
+          onChange={(e) => onChange({ sort: e.target.value })}
+          className="px-4 py-2 rounded-lg bg-control border border-line-strong text-fg focus:outline-none focus:ring-2 focus:ring-teal-500"
+        >
+          {SORT_OPTIONS.map((value) => (
+            <option key={value} value={value}>
+              {t(`projects.sort.${value}`)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {tags.map((tag) => {
+          const active = filters.tags.includes(tag);
+          return (
+            <button
+              key={tag}
+              type="button"
+              onClick={() => toggleTag(tag)}
+              aria-pressed={active}
+              className={`px-3 py-1 rounded-full text-sm font-semibold transition duration-300 ${
+                active
+                  ? "bg-teal-500 text-gray-900"
+                  : "bg-control text-link hover:bg-control-hover"
+              }`}
+            >
+              {tag}
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-4 text-sm text-fg-muted">
+        {/* Any/all toggle only matters once more than one tag is selected. */}
+        <fieldset
+          className="flex items-center gap-3"
+          disabled={filters.tags.length < 2}
+        >
+          <legend className="sr-only">{t("projects.matchLegend")}</legend>
+          <label className="flex items-center gap-1 cursor-pointer">
+            <input
+              type="radio"
+              name="project-match"
+              value="any"
+              checked={filters.match === "any"}
+              onChange={() => onChange({ match: "any" })}
+            />
+            {t("projects.matchAny")}
+          </label>
+          <label className="flex items-center gap-1 cursor-pointer">
+            <input
+              type="radio"
+              name="project-match"
+              value="all"
+              checked={filters.match === "all"}
+              onChange={() => onChange({ match: "all" })}
+            />
+            {t("projects.matchAll")}
+          </label>
+        </fieldset>
+        <div className="flex items-center gap-4">
+          <span aria-live="polite">
+            {t("projects.count", { count: resultCount })}
+          </span>
+          {isFiltered && (
+            <button
+              type="button"
+              onClick={onReset}
+              className="text-link hover:text-fg font-semibold transition duration-300"
+            >
+              {t("projects.clearFilters")}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectFilters;
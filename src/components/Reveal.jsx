@@ -0,0 +1,71 @@
+import React, { Children, cloneElement, isValidElement } from "react";
+import { useReveal } from "../lib/reveal";
+
+// Entry animations (keyframes in index.css). They are CSS animations rather
+// than transitions so they don't interfere with an element's own hover
+// transitions, and motion-safe: drops them for visitors who prefer less motion.
+const PRESETS = {
+  fade: "motion-safe:animate-reveal-fade",
+  slide: "motion-safe:animate-reveal-slide",
+};
+
+// Reveal Component
+// Animates its element into view when it scrolls into the viewport.
+// Props:
+//   as         - element to render (default "div"); other props are passed on
+//   preset     - "fade", "slide" (default) or "stagger", which slides each
+//                direct child in one after another
+//   stagger    - delay between children for "stagger", in ms (default 100)
+//   threshold, rootMargin, once, onView - see useReveal
+const Reveal = ({
+  as = "div",
+  preset = "slide",
+  stagger = 100,
+  threshold,
+  rootMargin,
+  once,
+  onView,
+  className = "",
+  children,
+  ...props
+}) => {
+  const Tag = as;
+  const { ref, revealed } = useReveal({
+    threshold,
+    rootMargin,
+    once,
+    onView,
+  });
+  // Hidden elements keep their layout space so the page doesn't jump.
+  const stateClass = (animation) => (revealed ? animation : "opacity-0");
+
+  if (preset === "stagger") {
+    return (
+      <Tag ref={ref} className={className} {...props}>
+        {Children.map(children, (child, index) =>
+          isValidElement(child)
+            ? cloneElement(child, {
+                className: `${child.props.className ?? ""} ${stateClass(PRESETS.slide)}`,
+                style: {
+                  ...child.props.style,
+                  animationDelay: `${index * stagger}ms`,
+                },
+              })
+            : child
+        )}
+      </Tag>
+    );
+  }
+
+  return (
+    <Tag
+      ref={ref}
+      className={`${className} ${stateClass(PRESETS[preset])}`}
+      {...props}
+    >
+      {children}
+    </Tag>
+  );
+};
+
+export default Reveal;
@@ -0,0 +1,153 @@
+import React from "react";
+import { act, render, screen } from "@testing-library/react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import Reveal from "./Reveal";
+
+// Stand-in for IntersectionObserver: tests decide when the element enters or
+// leaves the viewport with intersect().
+let observers = [];
+class MockIntersectionObserver {
+  constructor(callback, options) {
+    this.callback = callback;
+    this.options = options;
+    this.elements = [];
+    this.disconnected = false;
+    observers.push(this);
+  }
+  observe(element) {
+    this.elements.push(element);
+  }
+  unobserve() {}
+  disconnect() {
+    this.disconnected = true;
+  }
+}
+
+// Reports the watched element of the newest observer as in or out of view.
+const intersect = (isIntersecting) => {
+  const observer = observers.at(-1);
+  act(() =>
+    observer.callback(
+      [{ isIntersecting, target: observer.elements[0] }],
+      observer
+    )
+  );
+};
+
+beforeEach(() => {
+  observers = [];
+  vi.stubGlobal("IntersectionObserver", MockIntersectionObserver);
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe("Reveal", () => {
+  it("stays hidden until it scrolls into view", () => {
+    render(<Reveal data-testid="box">Hello</Reveal>);
+    const box = screen.getByTestId("box");
+    expect(box).toHaveClass("opacity-0");
+    expect(observers).toHaveLength(1);
+    expect(observers[0].elements).toEqual([box]);
+
+    intersect(true);
+    expect(box).not.toHaveClass("opacity-0");
+    expect(box).toHaveClass("motion-safe:animate-reveal-slide");
+  });
+
+  it("hides again when it leaves the viewport", () => {
+    render(<Reveal data-testid="box">Hello</Reveal>);
+    intersect(true);
+    intersect(false);
+    expect(screen.getByTestId("box")).toHaveClass("opacity-0");
+  });
+
+  it("stays revealed and stops watching with once", () => {
+    render(
+      <Reveal once data-testid="box">
+        Hello
+      </Reveal>
+    );
+    intersect(true);
+    expect(observers[0].disconnected).toBe(true);
+    expect(screen.getByTestId("box")).not.toHaveClass("opacity-0");
+  });
+
+  it("passes threshold and rootMargin to the observer", () => {
+    render(
+      <Reveal threshold={0.5} rootMargin="10px">
+        Hello
+      </Reveal>
+    );
+    expect(observers[0].options).toEqual({
+      threshold: 0.5,
+      rootMargin: "10px",
+    });
+  });
+
+  it("calls onView each time it comes into view", () => {
+    const onView = vi.fn();
+    render(<Reveal onView={onView}>Hello</Reveal>);
+    intersect(false);
+    expect(onView).not.toHaveBeenCalled();
+    intersect(true);
+    intersect(false);
+    intersect(true);
+    expect(onView).toHaveBeenCalledTimes(2);
+  });
+
+  it("renders the element given by as, with the fade preset", () => {
+    render(
+      <Reveal as="section" preset="fade" aria-label="About">
+        Hello
+      </Reveal>
+    );
+    const section = screen.getByRole("region", { name: "About" });
+    intersect(true);
+    expect(section.tagName).toBe("SECTION");
+    expect(section).toHaveClass("motion-safe:animate-reveal-fade");
+  });
+
+  it("staggers each child's animation", () => {
+    render(
+      <Reveal preset="stagger" stagger={50}>
+        <p>One</p>
+        <p>Two</p>
+      </Reveal>
+    );
+    expect(screen.getByText("One")).toHaveClass("opacity-0");
+    intersect(true);
+    expect(screen.getByText("One")).toHaveStyle({ animationDelay: "0ms" });
+    expect(screen.getByText("Two")).toHaveStyle({ animationDelay: "50ms" });
+    expect(screen.getByText("Two")).toHaveClass(
+      "motion-safe:animate-reveal-slide"
+    );
+  });
+
+  it("shows everything at once with reduced motion, still counting views", () => {
+    vi.spyOn(window, "matchMedia").mockImplementation((query) => ({
+      matches: query.includes("reduce"),
+      media: query,
+      addEventListener() {},
+      removeEventListener() {},
+    }));
+    const onView = vi.fn();
+    render(
+      <Reveal onView={onView} data-testid="box">
+        Hello
+      </Reveal>
+    );
+    expect(screen.getByTestId("box")).not.toHaveClass("opacity-0");
+    intersect(true);
+    expect(onView).toHaveBeenCalledTimes(1);
+  });
+
+  it("shows everything without IntersectionObserver", () => {
+    vi.stubGlobal("IntersectionObserver", undefined);
+    render(<Reveal data-testid="box">Hello</Reveal>);
+    expect(screen.getByTestId("box")).not.toHaveClass("opacity-0");
+    expect(observers).toHaveLength(0);
+  });
+});
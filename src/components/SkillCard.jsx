@@ -0,0 +1,81 @@
+import React from "react";
+import Icon from "./Icon";
+import { SKILL_LEVEL_MAX } from "../lib/content";
+import { SKILL_ACCENT_CLASSES } from "../lib/skills";
+import { useI18n } from "../lib/i18n";
+
+// SkillCard Component
+// One skill in the grid and category views: icon, name, category, proficiency
+// meter, years of use and description. The "used in" button selects the skill
+// so the Skills section lists the projects that used it.
+// Props:
+//   skill      - normalized skill (see lib/content)
+//   selected   - whether its projects are currently listed
+//   onSelect   - called with the skill when the button is pressed
+//   headingTag - heading element for the name (default "h3")
+const SkillCard = ({ skill, selected, onSelect, headingTag = "h3" }) => {
+  const { t } = useI18n();
+  const Heading = headingTag;
+  const accent = SKILL_ACCENT_CLASSES[skill.accent];
+  const projectCount = skill.projects.length;
+
+  return (
+    <article
+      className={`bg-surface bg-opacity-70 backdrop-blur-sm p-6 rounded-xl shadow-2xl border flex flex-col items-center transform hover:scale-105 ${accent.shadow} transition duration-300 ${
+        selected ? "border-purple-500" : "border-line"
+      }`}
+    >
+      <div className={`text-6xl ${accent.text} mb-4`}>
+        <Icon name={skill.icon} size={60} />
+      </div>
+      <Heading className="text-2xl font-bold mb-1 text-fg">
+        {skill.name}
+      </Heading>
+      <p className="text-sm font-semibold uppercase tracking-wide text-fg-subtle mb-3">
+        {t(`skills.categories.${skill.category}`)}
+      </p>
+      {skill.level && (
+        <div
+          role="img"
+          aria-label={t("skills.levelLabel", {
+            level: t(`skills.levels.${skill.level}`),
+          })}
+          className="flex items-center gap-2 mb-1"
+        >
+          <div className="flex gap-1" aria-hidden="true">
+            {Array.from({ length: SKILL_LEVEL_MAX }, (_, index) => (
+              <span
+                key={index}
+                className={`w-6 h-2 rounded-full ${
+                  index < skill.level ? accent.bar : "bg-control"
+                }`}
+              />
+            ))}
+          </div>
+          <span className="text-sm text-fg-muted" aria-hidden="true">
+            {t(`skills.levels.${skill.level}`)}
+          </span>
+        </div>
+      )}
+      {skill.years && (
+        <p className="text-sm text-fg-subtle mb-3">
+          {t("skills.years", { count: skill.years })}
+        </p>
+      )}
+      <p className="text-fg-muted text-center mb-4">{skill.description}</p>
+      {projectCount > 0 && (
+        <button
+          type="button"
+          onClick={() => onSelect(skill)}
+          aria-expanded={selected}
+          aria-controls="skill-projects"
+          className="mt-auto text-sm font-semibold text-link hover:text-fg transition duration-300"
+        >
+          {t("skills.usedIn", { count: projectCount })}
+        </button>
+      )}
+    </article>
+  );
+};
+
+export default SkillCard;
@@ -0,0 +1,59 @@
+import React from "react";
+import { SKILL_LEVEL_MAX } from "../lib/content";
+import { SKILL_ACCENT_CLASSES } from "../lib/skills";
+import { useI18n } from "../lib/i18n";
+
+// SkillChart Component
+// Horizontal bar chart of proficiency, one row per rated skill. Each skill name
+// is a button that selects the skill, like the "used in" button on the cards.
+const SkillChart = ({ skills, selectedId, onSelect }) => {
+  const { t } = useI18n();
+  const rated = skills.filter((skill) => skill.level);
+
+  return (
+    <ul className="max-w-3xl mx-auto space-y-4 text-start">
+      {rated.map((skill) => {
+        const label = t(`skills.levels.${skill.level}`);
+        return (
+          <li
+            key={skill.id}
+            className="grid grid-cols-1 sm:grid-cols-[12rem_1fr] items-center gap-2 sm:gap-4"
+          >
+            <button
+              type="button"
+              onClick={() => onSelect(skill)}
+              aria-expanded={selectedId === skill.id}
+              aria-controls="skill-projects"
+              disabled={skill.projects.length === 0}
+              className={`text-start font-semibold transition duration-300 enabled:hover:text-link ${
+                selectedId === skill.id ? "text-link" : "text-fg"
+              }`}
+            >
+              {skill.name}
+            </button>
+            <div
+              role="img"
+              aria-label={t("skills.levelLabel", { level: label })}
+              className="flex items-center gap-3"
+            >
+              <div className="flex-1 h-4 rounded-full bg-control overflow-hidden">
+                <div
+                  className={`h-full rounded-full ${SKILL_ACCENT_CLASSES[skill.accent].bar}`}
+                  style={{ width: `${(skill.level / SKILL_LEVEL_MAX) * 100}%` }}
+                />
+              </div>
+              <span
+                className="w-28 text-sm text-fg-muted shrink-0"
+                aria-hidden="true"
+              >
+                {label}
+              </span>
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default SkillChart;
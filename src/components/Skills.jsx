@@ -0,0 +1,139 @@
+import React, { useState } from "react";
+import Link from "./Link";
+import Reveal from "./Reveal";
+import SkillCard from "./SkillCard";
+import SkillChart from "./SkillChart";
+import {
+  SKILL_VIEWS,
+  groupSkillsByCategory,
+  projectsForSkill,
+} from "../lib/skills";
+import { useI18n } from "../lib/i18n";
+
+const GRID_CLASSES =
+  "grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8 max-w-6xl mx-auto";
+
+// Skills Component
+// Body of the Skills section: a switcher between the card grid, the cards
+// grouped by category and a proficiency chart. Selecting a skill lists the
+// projects that used it, linking to their case study pages.
+const Skills = ({ skills, projects }) => {
+  const { t } = useI18n();
+  const [view, setView] = useState(SKILL_VIEWS[0]);
+  const [selectedId, setSelectedId] = useState(null);
+  const selected = skills.find((skill) => skill.id === selectedId);
+  const selectedProjects = selected ? projectsForSkill(selected, projects) : [];
+
+  // Pressing the selected skill again closes its project list.
+  const handleSelect = (skill) =>
+    setSelectedId((current) => (current === skill.id ? null : skill.id));
+
+  const renderCards = (items, headingTag) =>
+    items.map((skill) => (
+      <SkillCard
+        key={skill.id}
+        skill={skill}
+        selected={skill.id === selectedId}
+        onSelect={handleSelect}
+        headingTag={headingTag}
+      />
+    ));
+
+  const renderView = () => {
+    switch (view) {
+      case "category":
+        return (
+          <div className="space-y-12">
+            {groupSkillsByCategory(skills).map(({ category, skills }) => (
+              <div key={category}>
+                <h3 className="text-2xl font-bold mb-6 text-fg">
+                  {t(`skills.categories.${category}`)}
+                </h3>
+                <div className={GRID_CLASSES}>{renderCards(skills, "h4")}</div>
+              </div>
+            ))}
+          </div>
+        );
+      case "chart":
+        return (
+          <SkillChart
+            skills={skills}
+            selectedId={selectedId}
+            onSelect={handleSelect}
+          />
+        );
+      default:
+        return (
+          <Reveal preset="stagger" once className={GRID_CLASSES}>
+            {renderCards(skills)}
+          </Reveal>
+        );
+    }
+  };
+
+  return (
+    <>
+      <div
+        role="group"
+        aria-label={t("skills.viewLabel")}
+        className="flex justify-center flex-wrap gap-2 mb-10"
+      >
+        {SKILL_VIEWS.map((name) => (
+          <button
+            key={name}
+            type="button"
+            onClick={() => setView(name)}
+            aria-pressed={view === name}
+            className={`px-4 py-2 rounded-full text-sm font-semibold transition duration-300 ${
+              view === name
+                ? "bg-purple-600 text-white"
+                : "bg-control text-fg-muted hover:bg-control-hover"
+            }`}
+          >
+            {t(`skills.views.${name}`)}
+          </button>
+        ))}
+      </div>
+
+      {renderView()}
+
+      {/* Projects that used the selected skill. */}
+      <div id="skill-projects" aria-live="polite" className="mt-10">
+        {selected && (
+          <div className="max-w-3xl mx-auto bg-surface bg-opacity-70 backdrop-blur-sm p-6 rounded-xl shadow-2xl border border-line text-start">
+            <div className="flex items-start justify-between gap-4 mb-4">
+              <h3 className="text-xl font-bold text-fg">
+                {t("skills.projectsHeading", { name: selected.name })}
+              </h3>
+              <button
+                type="button"
+                onClick={() => setSelectedId(null)}
+                className="text-sm font-semibold text-fg-muted hover:text-fg transition duration-300"
+              >
+                {t("skills.close")}
+              </button>
+            </div>
+            {selectedProjects.length > 0 ? (
+              <ul className="space-y-2">
+                {selectedProjects.map((project) => (
+                  <li key={project.slug}>
+                    <Link
+                      to={`/projects/${project.slug}`}
+                      className="text-link hover:text-fg font-semibold transition duration-300"
+                    >
+                      {project.title}
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-fg-muted">{t("skills.noProjects")}</p>
+            )}
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default Skills;
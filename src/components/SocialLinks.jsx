@@ -0,0 +1,46 @@
+import React from "react";
+import Icon from "./Icon";
+import profile from "../data/profile";
+import { SOCIAL_NETWORKS } from "../lib/socialNetworks";
+import { useI18n } from "../lib/i18n";
+
+// SocialLinks Component
+// Icon links to the social accounts in the profile (src/data/profile.js), in
+// order, followed by an email link when withEmail is set and the profile has
+// an address. Renders nothing when there is nothing to link to.
+const SocialLinks = ({ withEmail = false, className = "", linkClassName }) => {
+  const { t } = useI18n();
+  const showEmail = withEmail && profile.email;
+  if (profile.social.length === 0 && !showEmail) return null;
+
+  return (
+    <ul className={`flex ${className}`}>
+      {profile.social.map(({ network, url }) => (
+        <li key={network}>
+          <a
+            href={url}
+            target="_blank"
+            rel="noopener noreferrer me"
+            className={linkClassName}
+            aria-label={t(SOCIAL_NETWORKS[network].label)}
+          >
+            <Icon name={SOCIAL_NETWORKS[network].icon} size={30} />
+          </a>
+        </li>
+      ))}
+      {showEmail && (
+        <li>
+          <a
+            href={`mailto:${profile.email}`}
+            className={linkClassName}
+            aria-label={t("social.email")}
+          >
+            <Icon name="Mail" size={30} />
+          </a>
+        </li>
+      )}
+    </ul>
+  );
+};
+
+export default SocialLinks;
@@ -0,0 +1,33 @@
+import React from "react";
+import Icon from "./Icon";
+import { THEME_MODES, useThemeMode } from "../lib/theme";
+import { useI18n } from "../lib/i18n";
+
+const MODE_ICONS = { light: "Sun", dark: "Moon", system: "Monitor" };
+
+// ThemeToggle Component
+// Header button that cycles light -> dark -> system theme. The icon shows the
+// current mode; the accessible label also names the next one.
+const ThemeToggle = () => {
+  const { t } = useI18n();
+  const [mode, setMode] = useThemeMode();
+  const next =
+    THEME_MODES[(THEME_MODES.indexOf(mode) + 1) % THEME_MODES.length];
+
+  return (
+    <button
+      type="button"
+      onClick={() => setMode(next)}
+      aria-label={t("theme.toggle", {
+        mode: t(`theme.${mode}`),
+        next: t(`theme.${next}`),
+      })}
+      title={t("theme.title", { mode: t(`theme.${mode}`) })}
+      className="p-2 rounded-md text-fg-muted hover:text-fg hover:bg-control transition duration-300"
+    >
+      <Icon name={MODE_ICONS[mode]} size={22} />
+    </button>
+  );
+};
+
+export default ThemeToggle;
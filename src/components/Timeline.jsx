@@ -0,0 +1,112 @@
+import React, { useMemo } from "react";
+import Icon from "./Icon";
+import Reveal from "./Reveal";
+import { formatProjectDates } from "../lib/projects";
+import { findConcurrent, sortTimeline } from "../lib/timeline";
+import { useI18n } from "../lib/i18n";
+
+// Icon shown in place of a missing logo, by entry type.
+const TYPE_ICONS = {
+  job: "Briefcase",
+  internship: "Briefcase",
+  education: "GraduationCap",
+};
+
+// Timeline Component
+// Work history and education as a vertical timeline, most recent first.
+// Current positions are marked, and entries whose dates overlap (a job held
+// during a degree, say) name each other so the order doesn't mislead.
+const Timeline = ({ entries }) => {
+  const { t, locale } = useI18n();
+  const sorted = useMemo(() => sortTimeline(entries), [entries]);
+  const concurrent = useMemo(() => findConcurrent(entries), [entries]);
+  const listFormat = new Intl.ListFormat(locale, { type: "conjunction" });
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <Reveal
+        as="ol"
+        preset="stagger"
+        once
+        className="relative ms-5 border-s-2 border-line text-start"
+      >
+        {sorted.map((entry) => {
+          const dates = formatProjectDates(entry, {
+            locale,
+            present: t("timeline.present"),
+          });
+          const overlapping = concurrent.get(entry.id) ?? [];
+          return (
+            <li key={entry.id} className="relative ms-10 mb-10 last:mb-0">
+              {/* Marker on the line: the logo, or an icon for the entry type. */}
+              <span className="absolute -start-[3.8rem] top-0 flex items-center justify-center w-10 h-10 rounded-full bg-surface border-2 border-purple-500 text-accent overflow-hidden">
+                {entry.logo ? (
+                  <img
+                    src={entry.logo}
+                    alt=""
+                    loading="lazy"
+                    className="w-full h-full object-cover"
+                  />
+                ) : (
+                  <Icon name={TYPE_ICONS[entry.type]} size={20} />
+                )}
+              </span>
+              <article className="bg-surface bg-opacity-70 backdrop-blur-sm p-6 rounded-xl shadow-2xl border border-line">
+                <div className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+                  <span className="px-3 py-1 rounded-full bg-control text-fg-muted font-semibold">
+                    {t(`timeline.types.${entry.type}`)}
+                  </span>
+                  {!entry.endDate && entry.startDate && (
+                    <span className="px-3 py-1 rounded-full bg-purple-600 text-white font-semibold">
+                      {t("timeline.current")}
+                    </span>
+                  )}
+                  {dates && <span className="text-link">{dates}</span>}
+                </div>
+                <h3 className="text-2xl font-bold text-fg">{entry.role}</h3>
+                <p className="text-lg text-fg-muted mb-4">
+                  {entry.url ? (
+                    <a
+                      href={entry.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="hover:text-link transition duration-300"
+                    >
+                      {entry.organization}
+                    </a>
+                  ) : (
+                    entry.organization
+                  )}
+                  {entry.location && ` · ${entry.location}`}
+                </p>
+                {entry.achievements.length > 0 && (
+                  <ul className="list-disc ps-5 space-y-2 text-fg-soft">
+                    {entry.achievements.map((achievement) => (
+                      <li key={achievement}>{achievement}</li>
+                    ))}
+                  </ul>
+                )}
+                {overlapping.length > 0 && (
+                  <p className="mt-4 text-sm text-fg-subtle">
+                    {t("timeline.concurrent", {
+                      entries: listFormat.format(
+                        overlapping.map((other) =>
+                          t("timeline.entry", {
+                            role: other.role,
+                            organization: other.organization,
+                          })
+                        )
+                      ),
+                    })}
+                  </p>
+                )}
+              </article>
+            </li>
+          );
+        })}
+      </Reveal>
+    </div>
+  );
+};
+
+export default Timeline;
@@ -0,0 +1,48 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useTypewriter } from "../lib/typewriter";
+
+// Typewriter Component
+// Types a list of phrases one after another with a blinking caret (see
+// useTypewriter for the options). The animated text is hidden from screen
+// readers, which get every phrase once as plain text instead of a stream of
+// single-character updates. Each phrase is also announced through a polite
+// live region once it is fully typed, during the first round only, so the loop
+// doesn't keep interrupting.
+const Typewriter = ({
+  phrases,
+  className,
+  caretClassName = "bg-purple-400",
+  ...options
+}) => {
+  const { text, phrase } = useTypewriter(phrases, options);
+  const [announcement, setAnnouncement] = useState("");
+  const announcedRef = useRef(new Set());
+  const label = phrases
+    .map((phrase) => (typeof phrase === "string" ? phrase : phrase.text))
+    .filter(Boolean)
+    .join(", ");
+
+  const isTyped = Boolean(phrase) && text === phrase;
+  useEffect(() => {
+    if (!isTyped || announcedRef.current.has(phrase)) return;
+    announcedRef.current.add(phrase);
+    setAnnouncement(phrase);
+  }, [isTyped, phrase]);
+
+  return (
+    <span className={className}>
+      <span className="sr-only">{label}</span>
+      <span className="sr-only" aria-live="polite">
+        {announcement}
+      </span>
+      <span aria-hidden="true">
+        {text}
+        <span
+          className={`inline-block w-1 h-8 align-bottom motion-safe:animate-blink ${caretClassName}`}
+        ></span>
+      </span>
+    </span>
+  );
+};
+
+export default Typewriter;
@@ -0,0 +1,71 @@
+import React from "react";
+import { act, render } from "@testing-library/react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import Typewriter from "./Typewriter";
+
+const TIMINGS = {
+  typeSpeed: 10,
+  deleteSpeed: 5,
+  holdDelay: 100,
+  nextDelay: 50,
+};
+
+// Runs one animation step per delay; each step is scheduled once the previous
+// one has rendered (see src/lib/typewriter.test.js).
+const steps = (...delays) =>
+  delays.forEach((ms) => act(() => vi.advanceTimersByTime(ms)));
+
+// The animated text, as drawn on screen.
+const typed = (container) =>
+  container.querySelector("[aria-hidden='true']").textContent;
+
+const announced = (container) =>
+  container.querySelector("[aria-live='polite']").textContent;
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("Typewriter", () => {
+  it("types the phrases on screen and lists them for screen readers", () => {
+    const { container, getByText } = render(
+      <Typewriter phrases={["ab", { text: "cd" }]} {...TIMINGS} />
+    );
+    expect(getByText("ab, cd")).toHaveClass("sr-only");
+    expect(typed(container)).toBe("");
+
+    steps(10);
+    expect(typed(container)).toBe("a");
+    steps(10, 100, 5, 5, 50, 10);
+    expect(typed(container)).toBe("c");
+  });
+
+  it("passes its options to useTypewriter", () => {
+    const { container } = render(
+      <Typewriter phrases={["a", "b"]} {...TIMINGS} loop={false} />
+    );
+    steps(10, 100, 5, 50, 10);
+    expect(typed(container)).toBe("b");
+    steps(10_000);
+    expect(typed(container)).toBe("b");
+  });
+
+  it("announces each phrase once it is typed, in the first round only", () => {
+    const { container } = render(
+      <Typewriter phrases={["a", "b"]} {...TIMINGS} />
+    );
+    expect(announced(container)).toBe("");
+    steps(10);
+    expect(announced(container)).toBe("a");
+    steps(100, 5, 50, 10);
+    expect(announced(container)).toBe("b");
+    // Second round: "a" is typed again but not announced again.
+    steps(100, 5, 50, 10);
+    expect(typed(container)).toBe("a");
+    expect(announced(container)).toBe("b");
+  });
+});
@@ -0,0 +1,38 @@
+import React from "react";
+import { useI18n } from "../lib/i18n";
+import { applyUpdate, dismissUpdate } from "../lib/pwa";
+
+// UpdateToast Component
+// Tells the visitor a new version of the site has been deployed (see lib/pwa)
+// and offers to reload into it now or later.
+const UpdateToast = () => {
+  const { t } = useI18n();
+
+  return (
+    <section
+      role="status"
+      aria-label={t("update.label")}
+      className="fixed top-20 end-4 z-50 max-w-sm ms-4 bg-surface border border-line rounded-xl shadow-2xl p-4 text-start print:hidden"
+    >
+      <p className="text-fg-soft mb-4">{t("update.message")}</p>
+      <div className="flex flex-wrap justify-end gap-3">
+        <button
+          type="button"
+          onClick={dismissUpdate}
+          className="px-4 py-2 rounded-full bg-control text-fg font-semibold hover:bg-control-hover transition duration-300"
+        >
+          {t("update.later")}
+        </button>
+        <button
+          type="button"
+          onClick={applyUpdate}
+          className="px-4 py-2 rounded-full bg-purple-600 text-white font-semibold hover:bg-purple-700 transition duration-300"
+        >
+          {t("update.reload")}
+        </button>
+      </div>
+    </section>
+  );
+};
+
+export default UpdateToast;
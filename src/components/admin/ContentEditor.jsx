@@ -0,0 +1,237 @@
+import React, { useState } from "react";
+import { CONTENT_TYPES, useContentState } from "../../lib/content";
+import {
+  deleteContentItem,
+  fromFormValues,
+  importLocalContent,
+  saveContentItem,
+  toFormValues,
+} from "../../lib/admin";
+
+const inputClassName =
+  "w-full px-4 py-2 rounded-lg bg-control border border-line-strong text-fg focus:outline-none focus:ring-2 focus:ring-purple-500";
+
+// Renders the input for one field definition from CONTENT_TYPES.
+const FieldInput = ({ field, value, onChange }) => {
+  const common = {
+    id: `field-${field.name}`,
+    name: field.name,
+    value,
+    onChange: (e) => onChange(field.name, e.target.value),
+    className: inputClassName,
+  };
+  switch (field.type) {
+    case "textarea":
+      return <textarea rows="4" {...common} />;
+    case "lines":
+      return <textarea rows="4" placeholder="One per line" {...common} />;
+    case "images":
+      return (
+        <textarea rows="3" placeholder="https://... | Alt text" {...common} />
+      );
+    case "select":
+      return (
+        <select {...common}>
+          {field.options.map((option) => (
+            <option key={option} value={option}>
+              {option}
+            </option>
+          ))}
+        </select>
+      );
+    case "number":
+      return <input type="number" {...common} />;
+    case "url":
+      return <input type="url" placeholder="https://" {...common} />;
+    case "month":
+      return <input type="text" placeholder="YYYY-MM" {...common} />;
+    case "list":
+      return <input type="text" placeholder="React, Node.js" {...common} />;
+    default:
+      return <input type="text" {...common} />;
+  }
+};
+
+// ContentEditor Component
+// CRUD for one content type: lists the current items and edits one at a time.
+// Writes go straight to Firestore; the public page follows the same collection live.
+// Until the collection has documents the site shows the bundled data, so editing
+// is locked until that data has been imported (a single new item would otherwise
+// replace the whole bundled list).
+const ContentEditor = ({ db, appId, name }) => {
+  const type = CONTENT_TYPES[name];
+  const { items, fromFirestore } = useContentState(name, { db, appId });
+  // editing is null (list only), "new", or the id of the item being edited.
+  const [editing, setEditing] = useState(null);
+  const [values, setValues] = useState({});
+  const [errors, setErrors] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState("");
+
+  const startEditing = (item) => {
+    setEditing(item ? item.id : "new");
+    setValues(toFormValues(name, item));
+    setErrors({});
+    setMessage("");
+  };
+
+  // Runs a Firestore write, reporting success or failure below the toolbar.
+  const run = async (action, successMessage) => {
+    setBusy(true);
+    try {
+      await action();
+      setMessage(successMessage);
+      return true;
+    } catch (error) {
+      console.error(`Failed to update ${name}:`, error);
+      setMessage("Something went wrong. Check the console for details.");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const { data, errors: fieldErrors } = fromFormValues(name, values);
+    setErrors(fieldErrors);
+    if (Object.keys(fieldErrors).length > 0) return;
+    const id = editing === "new" ? null : editing;
+    const saved = await run(
+      () => saveContentItem({ db, appId, name, id, data }),
+      "Saved."
+    );
+    if (saved) setEditing(null);
+  };
+
+  const handleDelete = (item) => {
+    if (!window.confirm(`Delete "${item[type.titleField]}"?`)) return;
+    run(() => deleteContentItem({ db, appId, name, id: item.id }), "Deleted.");
+  };
+
+  const handleImport = () => {
+    if (
+      !window.confirm(
+        `Copy the bundled ${type.label.toLowerCase()} into Firestore? Items with the same id are overwritten.`
+      )
+    ) {
+      return;
+    }
+    run(() => importLocalContent({ db, appId, name }), "Imported.");
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap gap-4 items-center">
+        <button
+          type="button"
+          onClick={() => startEditing(null)}
+          disabled={busy || !fromFirestore}
+          className="px-4 py-2 rounded-lg bg-purple-600 text-white font-semibold hover:bg-purple-700 transition duration-300 disabled:opacity-60"
+        >
+          Add {type.label.replace(/s$/, "")}
+        </button>
+        <button
+          type="button"
+          onClick={handleImport}
+          disabled={busy}
+          className="px-4 py-2 rounded-lg border border-purple-500 text-accent font-semibold hover:bg-purple-600 hover:text-white transition duration-300 disabled:opacity-60"
+        >
+          Import bundled content
+        </button>
+        <p role="status" className="text-fg-muted">
+          {message}
+        </p>
+      </div>
+
+      {!fromFirestore && (
+        <p className="text-yellow-300">
+          The site is showing the bundled {type.label.toLowerCase()}. Import
+          them into Firestore to start editing.
+        </p>
+      )}
+
+      {editing && (
+        <form
+          onSubmit={handleSubmit}
+          noValidate
+          className="bg-surface p-6 rounded-xl border border-line space-y-4"
+        >
+          <h3 className="text-xl font-bold">
+            {editing === "new" ? `New ${type.label.replace(/s$/, "")}` : "Edit"}
+          </h3>
+          {type.fields.map((field) => (
+            <div key={field.name}>
+              <label
+                htmlFor={`field-${field.name}`}
+                className="block text-sm font-semibold text-fg-soft mb-1"
+              >
+                {field.label}
+                {field.required && " *"}
+              </label>
+              <FieldInput
+                field={field}
+                value={values[field.name] ?? ""}
+                onChange={(fieldName, value) =>
+                  setValues((prev) => ({ ...prev, [fieldName]: value }))
+                }
+              />
+              {errors[field.name] && (
+                <p className="mt-1 text-sm text-red-400">
+                  {errors[field.name]}
+                </p>
+              )}
+            </div>
+          ))}
+          <div className="flex gap-4">
+            <button
+              type="submit"
+              disabled={busy}
+              className="px-4 py-2 rounded-lg bg-green-600 text-white font-semibold hover:bg-green-700 transition duration-300 disabled:opacity-60"
+            >
+              {busy ? "Saving..." : "Save"}
+            </button>
+            <button
+              type="button"
+              onClick={() => setEditing(null)}
+              className="px-4 py-2 rounded-lg bg-control text-fg font-semibold hover:bg-control-hover transition duration-300"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      <ul className="divide-y divide-line bg-surface rounded-xl border border-line">
+        {items.map((item) => (
+          <li
+            key={item.id}
+            className="flex items-center justify-between gap-4 px-6 py-4"
+          >
+            <span className="font-semibold">{item[type.titleField]}</span>
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={() => startEditing(item)}
+                disabled={busy || !fromFirestore}
+                className="text-accent hover:text-fg font-semibold disabled:opacity-40"
+              >
+                Edit
+              </button>
+              <button
+                type="button"
+                onClick={() => handleDelete(item)}
+                disabled={busy || !fromFirestore}
+                className="text-red-400 hover:text-red-300 font-semibold disabled:opacity-40"
+              >
+                Delete
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ContentEditor;
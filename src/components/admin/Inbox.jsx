@@ -0,0 +1,290 @@
+import React, { useMemo, useState } from "react";
+import {
+  deleteMessages,
+  downloadCsv,
+  markReplied,
+  messagesToCsv,
+  searchMessages,
+  updateMessages,
+} from "../../lib/inbox";
+
+const STATUS_LABELS = { new: "Unread", read: "Read", replied: "Replied" };
+
+const STATUS_CLASSES = {
+  new: "bg-pink-600 text-white",
+  read: "bg-control text-fg-muted",
+  replied: "bg-green-700 text-white",
+};
+
+const actionClassName =
+  "px-3 py-1 rounded-lg bg-control text-fg text-sm font-semibold hover:bg-control-hover transition duration-300 disabled:opacity-40";
+
+// Inbox Component
+// Triage view for contact form submissions: search, read/unread, reply,
+// archive, delete and CSV export. Messages come from useInboxMessages, so the
+// list and unread state update in real time.
+const Inbox = ({ db, appId, messages, error }) => {
+  const [view, setView] = useState("inbox"); // "inbox" or "archived".
+  const [search, setSearch] = useState("");
+  const [selected, setSelected] = useState(() => new Set());
+  const [expanded, setExpanded] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const visible = useMemo(
+    () =>
+      searchMessages(
+        messages.filter((m) => m.archived === (view === "archived")),
+        search
+      ),
+    [messages, view, search]
+  );
+  // Only act on selected messages that are still visible.
+  const selectedIds = visible
+    .filter((m) => selected.has(m.id))
+    .map((m) => m.id);
+  const allSelected =
+    visible.length > 0 && selectedIds.length === visible.length;
+
+  const toggleSelected = (id) =>
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+
+  const toggleAll = () =>
+    setSelected(allSelected ? new Set() : new Set(visible.map((m) => m.id)));
+
+  // Runs a Firestore write; the listener refreshes the list afterwards.
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      console.error("Failed to update messages:", err);
+      window.alert("Something went wrong. Check the console for details.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const update = (ids, changes) =>
+    run(() => updateMessages({ db, appId, ids, changes }));
+
+  const handleDelete = (ids) => {
+    if (!window.confirm(`Delete ${ids.length} message(s) permanently?`)) return;
+    run(async () => {
+      await deleteMessages({ db, appId, ids });
+      setSelected(new Set());
+    });
+  };
+
+  const handleExport = () => {
+    const chosen = visible.filter((m) => selected.has(m.id));
+    const date = new Date().toISOString().slice(0, 10);
+    downloadCsv(messagesToCsv(chosen), `contact-messages-${date}.csv`);
+  };
+
+  // Opening a message marks it read.
+  const handleOpen = (message) => {
+    setExpanded(expanded === message.id ? null : message.id);
+    if (message.status === "new") update([message.id], { status: "read" });
+  };
+
+  if (error) {
+    return (
+      <p role="alert" className="text-red-400">
+        Could not load messages. Check that you are signed in as the owner.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row gap-4">
+        <div role="tablist" className="flex gap-2">
+          {["inbox", "archived"].map((name) => (
+            <button
+              key={name}
+              type="button"
+              role="tab"
+              aria-selected={view === name}
+              onClick={() => {
+                setView(name);
+                setSelected(new Set());
+              }}
+              className={`px-4 py-2 rounded-lg font-semibold capitalize transition duration-300 ${
+                view === name
+                  ? "bg-purple-600 text-white"
+                  : "bg-surface text-fg-muted hover:bg-control"
+              }`}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+        <label htmlFor="inbox-search" className="sr-only">
+          Search by sender or email
+        </label>
+        <input
+          id="inbox-search"
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search by sender or email..."
+          className="flex-1 px-4 py-2 rounded-lg bg-control border border-line-strong text-fg focus:outline-none focus:ring-2 focus:ring-purple-500"
+        />
+      </div>
+
+      {/* Bulk actions for the selected messages. */}
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="flex items-center gap-2 mr-2 text-sm text-fg-muted">
+          <input type="checkbox" checked={allSelected} onChange={toggleAll} />
+          Select all
+        </label>
+        <button
+          type="button"
+          className={actionClassName}
+          disabled={busy || selectedIds.length === 0}
+          onClick={() => update(selectedIds, { status: "read" })}
+        >
+          Mark read
+        </button>
+        <button
+          type="button"
+          className={actionClassName}
+          disabled={busy || selectedIds.length === 0}
+          onClick={() => update(selectedIds, { status: "new" })}
+        >
+          Mark unread
+        </button>
+        <button
+          type="button"
+          className={actionClassName}
+          disabled={busy || selectedIds.length === 0}
+          onClick={() => update(selectedIds, { archived: view !== "archived" })}
+        >
+          {view === "archived" ? "Unarchive" : "Archive"}
+        </button>
+        <button
+          type="button"
+          className={actionClassName}
+          disabled={busy || selectedIds.length === 0}
+          onClick={() => handleDelete(selectedIds)}
+        >
+          Delete
+        </button>
+        <button
+          type="button"
+          className={actionClassName}
+          disabled={selectedIds.length === 0}
+          onClick={handleExport}
+        >
+          Export CSV
+        </button>
+      </div>
+
+      {visible.length === 0 ? (
+        <p className="text-fg-subtle">No messages.</p>
+      ) : (
+        <ul className="divide-y divide-line bg-surface rounded-xl border border-line">
+          {visible.map((message) => (
+            <li key={message.id} className="px-6 py-4">
+              <div className="flex items-start gap-4">
+                <input
+                  type="checkbox"
+                  className="mt-1"
+                  aria-label={`Select message from ${message.name}`}
+                  checked={selected.has(message.id)}
+                  onChange={() => toggleSelected(message.id)}
+                />
+                <button
+                  type="button"
+                  onClick={() => handleOpen(message)}
+                  aria-expanded={expanded === message.id}
+                  className="flex-1 text-left"
+                >
+                  <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+                    <span
+                      className={
+                        message.status === "new" ? "font-bold" : "font-normal"
+                      }
+                    >
+                      {message.name}
+                    </span>
+                    <span className="text-sm text-fg-subtle">
+                      {message.email}
+                    </span>
+                    <span
+                      className={`px-2 py-0.5 rounded-full text-xs ${STATUS_CLASSES[message.status]}`}
+                    >
+                      {STATUS_LABELS[message.status]}
+                    </span>
+                    <span className="ml-auto text-sm text-fg-subtle">
+                      {message.createdAt
+                        ? message.createdAt.toLocaleString()
+                        : "Sending..."}
+                    </span>
+                  </div>
+                  {expanded !== message.id && (
+                    <p className="mt-1 text-fg-subtle truncate">
+                      {message.message}
+                    </p>
+                  )}
+                </button>
+              </div>
+              {expanded === message.id && (
+                <div className="mt-4 ml-8 space-y-4">
+                  <p className="whitespace-pre-wrap text-fg-soft">
+                    {message.message}
+                  </p>
+                  <div className="flex flex-wrap gap-2">
+                    {/* Replies go through the owner's mail client. */}
+                    <a
+                      href={`mailto:${message.email}?subject=${encodeURIComponent("Re: your message")}`}
+                      onClick={() =>
+                        run(() => markReplied({ db, appId, id: message.id }))
+                      }
+                      className="px-3 py-1 rounded-lg bg-purple-600 text-white text-sm font-semibold hover:bg-purple-700 transition duration-300"
+                    >
+                      Reply
+                    </a>
+                    <button
+                      type="button"
+                      className={actionClassName}
+                      disabled={busy}
+                      onClick={() => update([message.id], { status: "new" })}
+                    >
+                      Mark unread
+                    </button>
+                    <button
+                      type="button"
+                      className={actionClassName}
+                      disabled={busy}
+                      onClick={() =>
+                        update([message.id], { archived: !message.archived })
+                      }
+                    >
+                      {message.archived ? "Unarchive" : "Archive"}
+                    </button>
+                    <button
+                      type="button"
+                      className={actionClassName}
+                      disabled={busy}
+                      onClick={() => handleDelete([message.id])}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default Inbox;
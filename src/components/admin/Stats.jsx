@@ -0,0 +1,170 @@
+import React, { useState } from "react";
+import {
+  ANALYTICS_METRICS,
+  sumCounts,
+  totalsByKey,
+  useDailyStats,
+} from "../../lib/analytics";
+
+const METRIC_LABELS = {
+  views: "Page views",
+  sections: "Section views",
+  outbound: "Outbound clicks",
+  projects: "Project opens",
+  contacts: "Contact messages",
+};
+
+// What the keys of each metric are, for the breakdown table heading.
+const KEY_LABELS = {
+  views: "Page",
+  sections: "Section",
+  outbound: "Site",
+  projects: "Project",
+  contacts: "Delivery",
+};
+
+const RANGE_DAYS = 30;
+
+// Formats a "YYYY-MM-DD" day as "May 12".
+const formatDay = (date) =>
+  new Date(`${date}T00:00:00Z`).toLocaleDateString("en", {
+    month: "short",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+
+// Stats Component
+// Owner view of the cookieless analytics (lib/analytics) for the last 30 days:
+// a total per metric, a daily bar chart of the selected metric and its
+// breakdown by page, section, site, project or delivery.
+const Stats = ({ db, appId }) => {
+  const [metric, setMetric] = useState("views");
+  const { days, error } = useDailyStats({ db, appId, days: RANGE_DAYS });
+
+  if (error) {
+    return (
+      <p role="alert" className="text-red-400">
+        Could not load analytics. Check that you are signed in as the owner.
+      </p>
+    );
+  }
+
+  const daily = days.map((day) => ({
+    date: day.date,
+    count: sumCounts(day[metric]),
+  }));
+  const max = Math.max(1, ...daily.map((day) => day.count));
+  const breakdown = totalsByKey(days, metric);
+
+  return (
+    <div className="space-y-8">
+      <p className="text-fg-muted">
+        Last {RANGE_DAYS} days (UTC). Visitors who declined or have Do Not Track
+        on are not counted.
+      </p>
+
+      {/* One button per metric, with its total for the range. */}
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+        {ANALYTICS_METRICS.map((name) => (
+          <button
+            key={name}
+            type="button"
+            aria-pressed={metric === name}
+            onClick={() => setMetric(name)}
+            className={`p-4 rounded-xl border text-left transition duration-300 ${
+              metric === name
+                ? "bg-purple-600 border-purple-600 text-white"
+                : "bg-surface border-line text-fg hover:bg-control"
+            }`}
+          >
+            <span className="block text-sm font-semibold opacity-80">
+              {METRIC_LABELS[name]}
+            </span>
+            <span className="block text-3xl font-bold">
+              {days.reduce((sum, day) => sum + sumCounts(day[name]), 0)}
+            </span>
+          </button>
+        ))}
+      </div>
+
+      {/* Daily chart; the table below it gives screen readers the numbers. */}
+      <section aria-labelledby="stats-daily-heading">
+        <h2 id="stats-daily-heading" className="text-2xl font-bold mb-4">
+          {METRIC_LABELS[metric]} per day
+        </h2>
+        <div
+          aria-hidden="true"
+          className="flex items-end gap-1 h-48 p-4 bg-surface rounded-xl border border-line"
+        >
+          {daily.map((day) => (
+            <div
+              key={day.date}
+              title={`${formatDay(day.date)}: ${day.count}`}
+              className="flex-1 rounded-t bg-gradient-to-t from-purple-600 to-pink-500"
+              style={{ height: `${(day.count / max) * 100}%` }}
+            />
+          ))}
+        </div>
+        <div
+          aria-hidden="true"
+          className="flex justify-between mt-2 text-sm text-fg-subtle"
+        >
+          <span>{formatDay(daily[0].date)}</span>
+          <span>{formatDay(daily.at(-1).date)}</span>
+        </div>
+        <table className="sr-only">
+          <caption>{METRIC_LABELS[metric]} per day</caption>
+          <thead>
+            <tr>
+              <th scope="col">Day</th>
+              <th scope="col">Count</th>
+            </tr>
+          </thead>
+          <tbody>
+            {daily.map((day) => (
+              <tr key={day.date}>
+                <td>{formatDay(day.date)}</td>
+                <td>{day.count}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      {/* Breakdown of the selected metric over the whole range. */}
+      <section aria-labelledby="stats-breakdown-heading">
+        <h2 id="stats-breakdown-heading" className="text-2xl font-bold mb-4">
+          By {KEY_LABELS[metric].toLowerCase()}
+        </h2>
+        {breakdown.length === 0 ? (
+          <p className="text-fg-muted">Nothing counted yet.</p>
+        ) : (
+          <table className="w-full bg-surface rounded-xl border border-line overflow-hidden">
+            <thead>
+              <tr className="text-left text-sm text-fg-subtle">
+                <th scope="col" className="px-4 py-2">
+                  {KEY_LABELS[metric]}
+                </th>
+                <th scope="col" className="px-4 py-2 text-right">
+                  Count
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {breakdown.map(([key, count]) => (
+                <tr key={key} className="border-t border-line">
+                  <td className="px-4 py-2 text-fg">{key}</td>
+                  <td className="px-4 py-2 text-right text-fg-muted">
+                    {count}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default Stats;
@@ -0,0 +1,31 @@
+// About cards
+// Rendered in order in the About section. Overridden by the Firestore "about"
+// collection when it is not empty (editable from /admin).
+const about = [
+  {
+    id: "who-i-am",
+    title: "Who I Am",
+    body: "I'm a passionate full-stack developer with a strong foundation in modern web technologies. I love bringing ideas to life through clean, efficient, and scalable code. My journey in development started with a curiosity for how things work, and it quickly evolved into a dedicated pursuit of creating impactful digital experiences.",
+    order: 1,
+  },
+  {
+    id: "philosophy",
+    title: "My Philosophy",
+    body: "My approach to development is rooted in continuous learning and problem-solving. I believe in writing modular, testable code and adhering to best practices to ensure maintainability and robustness. User experience is paramount, and I strive to build interfaces that are intuitive and engaging.",
+    order: 2,
+  },
+  {
+    id: "what-i-do",
+    title: "What I Do",
+    body: "I specialize in building end-to-end web applications, from designing database schemas to crafting interactive frontends. My expertise spans across various frameworks and libraries, allowing me to adapt to different project requirements and deliver comprehensive solutions.",
+    order: 3,
+  },
+  {
+    id: "looking-forward",
+    title: "Looking Forward",
+    body: "I am always eager to explore new technologies and take on challenging projects that push my boundaries. I am committed to delivering high-quality work and collaborating effectively with teams to achieve shared goals. Let's build something amazing together!",
+    order: 4,
+  },
+];
+
+export default about;
@@ -0,0 +1,14 @@
+// Hero roles
+// Phrases cycled by the typing animation in the hero section. Overridden by the
+// Firestore "heroRoles" collection when it is not empty (editable from /admin).
+// An entry may also set typeSpeed, deleteSpeed (ms per character) and holdDelay
+// (ms the full phrase stays up) to override the typewriter defaults.
+const heroRoles = [
+  { id: "web-developer", text: "Web Developer", order: 1 },
+  { id: "frontend-developer", text: "Frontend Developer", order: 2 },
+  { id: "backend-developer", text: "Backend Developer", order: 3 },
+  { id: "full-stack-engineer", text: "Full Stack Engineer", order: 4 },
+  { id: "ui-ux-designer", text: "UI/UX Designer", order: 5 },
+];
+
+export default heroRoles;
@@ -0,0 +1,40 @@
+// Site owner profile
+// The one place for who the site is about: the header, hero, contact section,
+// footer, résumé and SEO tags all read from here. The build checks it (see
+// plugins/profile.js) and fails on placeholder or
+// malformed values, so fill in real ones before deploying. Empty optional
+// fields are simply not shown.
+
+/**
+ * @typedef {object} SocialAccount
+ * @property {"linkedin"|"github"|"facebook"|"youtube"|"instagram"|"twitter"} network
+ *   One of SOCIAL_NETWORKS in src/lib/socialNetworks.js; picks the icon and label.
+ * @property {string} url Full https:// address of the profile on that network.
+ */
+
+/**
+ * @typedef {object} Profile
+ * @property {string} id Key for translations (content.profile.{id}.name and .title).
+ * @property {string} name Shown in the header, hero, footer and page titles;
+ *   catalogs may transliterate it.
+ * @property {string} title Job title, in English; translated in the catalogs.
+ * @property {string} email Contact address, or "" to rely on the contact form.
+ * @property {{ city: string, region: string, countryCode: string }} location
+ *   Where you are based; countryCode is ISO 3166-1 alpha-2 (e.g. "IN").
+ * @property {string} avatar Photo in public/ ("/profile.jpg") or an https URL.
+ * @property {SocialAccount[]} social Accounts in the order their icons appear,
+ *   e.g. { network: "github", url: "https://github.com/octocat" }.
+ */
+
+/** @type {Profile} */
+const profile = {
+  id: "owner",
+  name: "Jaysingh",
+  title: "Full Stack Web Developer",
+  email: "",
+  location: { city: "", region: "", countryCode: "" },
+  avatar: "/profile.jpg",
+  social: [],
+};
+
+export default profile;
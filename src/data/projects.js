@@ -0,0 +1,85 @@
+// Projects catalog
+// Each entry is rendered by ProjectCard in the Projects section. To add a project,
+// append an entry here (or add a document to the Firestore "projects" collection,
+// which overrides this list when it is not empty).
+//
+// Fields:
+//   slug        - unique, URL-safe identifier
+//   title       - card heading
+//   description - short summary shown on the card
+//   problem     - case study: the problem the project set out to solve
+//   solution    - case study: how it was solved
+//   tags        - technologies used, e.g. ["React", "Node.js"]
+//   repoUrl     - source repository link, or null
+//   demoUrl     - live demo link, or null
+//   images      - [{ src, alt }], the first image is used as the card cover
+//   startDate   - "YYYY-MM" when work started
+//   endDate     - "YYYY-MM" when work finished, or null if ongoing
+const projects = [
+  {
+    slug: "interactive-dashboard",
+    title: "Project Alpha: Interactive Dashboard",
+    description:
+      "This project involved developing a highly responsive and interactive dashboard for data visualization. It features real-time data updates, customizable widgets, and a user-friendly interface built with React and D3.js. Performance optimization was a key focus, ensuring smooth interactions even with large datasets.",
+    problem:
+      "Teams were exporting data into spreadsheets to spot trends, which was slow and always out of date. They needed a live view of their metrics that stayed fast with large datasets.",
+    solution:
+      "A React dashboard with D3.js charts fed by real-time updates. Widgets can be added, rearranged and configured per user, and rendering is virtualized and memoized so interactions stay smooth with hundreds of thousands of points.",
+    tags: ["React", "D3.js"],
+    repoUrl: null,
+    demoUrl: null,
+    images: [],
+    startDate: "2024-01",
+    endDate: "2024-04",
+  },
+  {
+    slug: "e-commerce-platform",
+    title: "Project Beta: E-commerce Platform",
+    description:
+      "A full-stack e-commerce solution, this platform supports product listings, secure payment gateways, user authentication, and order management. It was built using Next.js for the frontend, Node.js with Express for the backend, and MongoDB for database management, emphasizing scalability and security.",
+    problem:
+      "A small retailer needed an online store they could run themselves, with secure payments, customer accounts and order tracking, without paying for an expensive hosted platform.",
+    solution:
+      "A Next.js storefront backed by a Node.js and Express API and a MongoDB database. It covers product listings, authentication, checkout through a payment gateway and an order management back office, with server-side rendering for fast, indexable product pages.",
+    tags: ["Next.js", "Node.js", "Express", "MongoDB"],
+    repoUrl: null,
+    demoUrl: null,
+    images: [],
+    startDate: "2024-05",
+    endDate: "2024-09",
+  },
+  {
+    slug: "mobile-puzzle-game",
+    title: "Project Gamma: Mobile Game Development",
+    description:
+      "This project explored game development with a focus on cross-platform compatibility. It's a casual puzzle game implemented using JavaScript and Canvas API, featuring dynamic animations, sound effects (Tone.js), and a leader board system, providing an engaging user experience.",
+    problem:
+      "The goal was a casual game that plays equally well on phones and desktops from a single codebase, without native app store releases.",
+    solution:
+      "A puzzle game drawn with the Canvas API in plain JavaScript, with responsive scaling and touch and mouse input. Tone.js provides the sound effects, and a leader board keeps players coming back.",
+    tags: ["JavaScript", "Canvas API", "Tone.js"],
+    repoUrl: null,
+    demoUrl: null,
+    images: [],
+    startDate: "2024-10",
+    endDate: "2024-12",
+  },
+  {
+    slug: "ai-chatbot",
+    title: "Project Delta: AI-Powered Chatbot",
+    description:
+      "Designed a conversational AI chatbot integrated into a web application. The chatbot leverages Google's Gemini API for natural language understanding and generation, providing helpful responses and performing tasks for users. The frontend was built with React, focusing on a seamless chat interface.",
+    problem:
+      "Users of a web application kept asking the same support questions and needed help completing multi-step tasks.",
+    solution:
+      "A chat assistant built on Google's Gemini API for natural language understanding and generation, embedded in the app through a React chat interface with streaming responses and conversation history.",
+    tags: ["React", "Gemini"],
+    repoUrl: null,
+    demoUrl: null,
+    images: [],
+    startDate: "2025-01",
+    endDate: null,
+  },
+];
+
+export default projects;
@@ -0,0 +1,101 @@
+// Skills
+// Rendered in order in the Skills section. Overridden by the Firestore "skills"
+// collection when it is not empty (editable from /admin).
+//
+// Fields:
+//   name        - card heading
+//   description - short summary
+//   icon        - icon name from src/lib/icons.js shown above the heading
+//   accent      - color theme: orange, blue, gray, green, purple or yellow
+//   category    - frontend, backend, data or cloud
+//   level       - proficiency from 1 (beginner) to 5 (expert), or null
+//   years       - years of use, or null
+//   projects    - slugs of the projects in src/data/projects.js that used it
+//   order       - position in the grid
+const skills = [
+  {
+    id: "html-css",
+    name: "HTML & CSS",
+    description:
+      "Mastery in semantic HTML5 and modern CSS3, including Flexbox, Grid, and responsive design principles with Tailwind CSS.",
+    icon: "Html5",
+    accent: "orange",
+    category: "frontend",
+    level: 5,
+    years: 6,
+    projects: [
+      "interactive-dashboard",
+      "e-commerce-platform",
+      "mobile-puzzle-game",
+      "ai-chatbot",
+    ],
+    order: 1,
+  },
+  {
+    id: "javascript-react",
+    name: "JavaScript & React.js",
+    description:
+      "Proficient in ES6+ JavaScript, building dynamic user interfaces with React, hooks, context API, and state management libraries.",
+    icon: "React",
+    accent: "blue",
+    category: "frontend",
+    level: 5,
+    years: 5,
+    projects: ["interactive-dashboard", "mobile-puzzle-game", "ai-chatbot"],
+    order: 2,
+  },
+  {
+    id: "nextjs",
+    name: "Next.js",
+    description:
+      "Experience in building server-side rendered and static-generated React applications with Next.js for optimal performance and SEO.",
+    icon: "Nextjs",
+    accent: "gray",
+    category: "frontend",
+    level: 4,
+    years: 3,
+    projects: ["e-commerce-platform"],
+    order: 3,
+  },
+  {
+    id: "node-express",
+    name: "Node.js & Express",
+    description:
+      "Backend development with Node.js and Express, creating RESTful APIs, handling authentication, and integrating with databases.",
+    icon: "Nodejs",
+    accent: "green",
+    category: "backend",
+    level: 4,
+    years: 4,
+    projects: ["e-commerce-platform"],
+    order: 4,
+  },
+  {
+    id: "databases",
+    name: "Databases",
+    description:
+      "Proficiency in NoSQL databases like MongoDB and cloud-based solutions like Google Firestore for flexible data storage.",
+    icon: "Database",
+    accent: "purple",
+    category: "data",
+    level: 3,
+    years: 3,
+    projects: ["e-commerce-platform"],
+    order: 5,
+  },
+  {
+    id: "cloud-platforms",
+    name: "Cloud Platforms",
+    description:
+      "Deployment and management of applications on platforms like Firebase and Vercel, including serverless functions.",
+    icon: "Cloud",
+    accent: "yellow",
+    category: "cloud",
+    level: 3,
+    years: 2,
+    projects: ["ai-chatbot"],
+    order: 6,
+  },
+];
+
+export default skills;
@@ -0,0 +1,37 @@
+// Experience and education
+// Rendered in the Timeline section, most recent first. Overridden by the
+// Firestore "timeline" collection when it is not empty (editable from /admin).
+// While there are no entries the section, its nav link and the résumé's
+// experience and education are left out. The build checks the entries (see
+// plugins/timeline.js) and fails on template placeholders such as
+// "Your Company", so only real history ships.
+//
+// Fields:
+//   id           - unique key, e.g. "acme-frontend"
+//   type         - job, internship or education
+//   role         - job title, or the degree or course for education
+//   organization - employer or school
+//   location     - city, "Remote", etc., or ""
+//   url          - organization website (https://), or null
+//   logo         - logo in public/ ("/logos/acme.svg") or an https:// URL, or
+//                  null to show an icon for the type
+//   startDate    - "YYYY-MM" when it started
+//   endDate      - "YYYY-MM" when it ended, or null for a current position
+//   achievements - bullet points
+//
+// Example (replace every value):
+//   {
+//     id: "your-company-role",
+//     type: "job",
+//     role: "Your Job Title",
+//     organization: "Your Company",
+//     location: "Remote",
+//     url: null,
+//     logo: null,
+//     startDate: "2024-01",
+//     endDate: null,
+//     achievements: ["What you built and the difference it made."],
+//   },
+const timeline = [];
+
+export default timeline;
@@ -0,0 +1,18 @@
+import { StrictMode } from "react";
+import { renderToString } from "react-dom/server";
+import App from "./App.jsx";
+import { setStaticLocation } from "./lib/router";
+import { headTags } from "./lib/seo";
+
+// Server entry used by the build to prerender each route (see
+// plugins/prerender.js). Returns the app markup for url and the <head> tags
+// the page asked for through useDocumentMeta.
+export function render(url) {
+  setStaticLocation(url);
+  const html = renderToString(
+    <StrictMode>
+      <App />
+    </StrictMode>
+  );
+  return { html, head: headTags() };
+}
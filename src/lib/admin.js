@@ -0,0 +1,161 @@
+import { useEffect, useState } from "react";
+import {
+  collection,
+  deleteDoc,
+  doc,
+  getDoc,
+  setDoc,
+  writeBatch,
+} from "firebase/firestore";
+import { CONTENT_TYPES, contentCollectionPath } from "./content";
+
+// adminDocPath returns the document that marks a uid as site owner.
+// Owner documents are created by hand (Firebase console or emulator UI);
+// firestore.rules uses the same path to authorize content writes.
+export const adminDocPath = (appId, uid) => `artifacts/${appId}/admins/${uid}`;
+
+// useOwnerStatus reports whether the signed-in user may use /admin.
+// Returns "loading", "signedOut" (no user or an anonymous session), "owner"
+// or "denied".
+export function useOwnerStatus({ db, appId, user }) {
+  const [result, setResult] = useState({ uid: null, status: "loading" });
+  const uid = user && !user.isAnonymous ? user.uid : null;
+
+  useEffect(() => {
+    if (!db || !uid) return;
+    let cancelled = false;
+    getDoc(doc(db, adminDocPath(appId, uid)))
+      .then((snapshot) => {
+        if (!cancelled) {
+          setResult({ uid, status: snapshot.exists() ? "owner" : "denied" });
+        }
+      })
+      .catch((error) => {
+        // Rules deny reading another user's owner document, so treat errors as "not an owner".
+        console.error("Failed to check owner status:", error);
+        if (!cancelled) setResult({ uid, status: "denied" });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [db, appId, uid]);
+
+  if (!user || user.isAnonymous) return "signedOut";
+  return result.uid === uid ? result.status : "loading";
+}
+
+// toFormValues converts a content item into the string values used by the editor form.
+export function toFormValues(name, item = {}) {
+  const values = {};
+  for (const field of CONTENT_TYPES[name].fields) {
+    const value = item[field.name];
+    if (field.type === "list") {
+      values[field.name] = (value ?? []).join(", ");
+    } else if (field.type === "lines") {
+      values[field.name] = (value ?? []).join("\n");
+    } else if (field.type === "images") {
+      values[field.name] = (value ?? [])
+        .map((image) => (image.alt ? `${image.src} | ${image.alt}` : image.src))
+        .join("\n");
+    } else if (field.type === "select") {
+      values[field.name] = value ?? field.options[0];
+    } else {
+      values[field.name] = value == null ? "" : String(value);
+    }
+  }
+  return values;
+}
+
+// fromFormValues validates the editor form and converts it back into a document.
+// Returns { data, errors }, where errors maps field name -> message.
+export function fromFormValues(name, values) {
+  const data = {};
+  const errors = {};
+  for (const field of CONTENT_TYPES[name].fields) {
+    const raw = String(values[field.name] ?? "").trim();
+    if (field.required && !raw) {
+      errors[field.name] = `${field.label} is required.`;
+      continue;
+    }
+    switch (field.type) {
+      case "list":
+        data[field.name] = raw
+          .split(",")
+          .map((entry) => entry.trim())
+          .filter(Boolean);
+        break;
+      case "lines":
+        data[field.name] = raw
+          .split("\n")
+          .map((line) => line.trim())
+          .filter(Boolean);
+        break;
+      case "images":
+        data[field.name] = raw
+          .split("\n")
+          .map((line) => line.split("|").map((part) => part.trim()))
+          .filter(([src]) => src)
+          .map(([src, alt = ""]) => ({ src, alt }));
+        break;
+      case "number":
+        if (raw && Number.isNaN(Number(raw))) {
+          errors[field.name] = `${field.label} must be a number.`;
+        }
+        data[field.name] = raw ? Number(raw) : 0;
+        break;
+      case "url":
+        if (raw && !/^https?:\/\//.test(raw)) {
+          errors[field.name] =
+            `${field.label} must start with http:// or https://.`;
+        }
+        data[field.name] = raw || null;
+        break;
+      case "month":
+        if (raw && !/^\d{4}-(0[1-9]|1[0-2])$/.test(raw)) {
+          errors[field.name] = `${field.label} must look like 2024-05.`;
+        }
+        data[field.name] = raw || null;
+        break;
+      default:
+        data[field.name] = raw;
+    }
+  }
+  const { idField } = CONTENT_TYPES[name];
+  if (idField && data[idField] && !/^[a-z0-9-]+$/.test(data[idField])) {
+    errors[idField] = "Use lowercase letters, numbers and dashes only.";
+  }
+  return { data, errors };
+}
+
+// saveContentItem creates or replaces a content document.
+// Types with an idField (projects use their slug) are keyed by that field;
+// the others keep their existing id or get a generated one.
+export async function saveContentItem({ db, appId, name, id, data }) {
+  const { idField } = CONTENT_TYPES[name];
+  const collectionRef = collection(db, contentCollectionPath(appId, name));
+  const docId = idField ? data[idField] : id;
+  const docRef = docId ? doc(collectionRef, docId) : doc(collectionRef);
+  await setDoc(docRef, data);
+  // Renaming the id field moves the document; remove the old copy.
+  if (id && id !== docRef.id) {
+    await deleteDoc(doc(collectionRef, id));
+  }
+  return docRef.id;
+}
+
+export async function deleteContentItem({ db, appId, name, id }) {
+  await deleteDoc(doc(db, contentCollectionPath(appId, name), id));
+}
+
+// importLocalContent copies the bundled data for a content type into Firestore,
+// so the owner can start editing from what the site currently shows.
+export async function importLocalContent({ db, appId, name }) {
+  const { local, idField } = CONTENT_TYPES[name];
+  const collectionRef = collection(db, contentCollectionPath(appId, name));
+  const batch = writeBatch(db);
+  for (const item of local) {
+    const { id, ...data } = item;
+    batch.set(doc(collectionRef, id ?? item[idField]), data);
+  }
+  await batch.commit();
+}
@@ -0,0 +1,301 @@
+import { useEffect, useRef, useState, useSyncExternalStore } from "react";
+import {
+  collection,
+  doc,
+  increment,
+  limit,
+  onSnapshot,
+  orderBy,
+  query,
+  writeBatch,
+} from "firebase/firestore";
+import { SOCIAL_NETWORKS } from "./socialNetworks";
+
+// First-party, cookieless analytics. Nothing identifies a visitor: events only
+// bump per-day counters, one Firestore document per day (UTC), shaped as
+//   { date: "2025-05-12", views: { home: 12, post: 3 }, sections: { about: 9 },
+//     outbound: { "github.com": 2, other: 1 }, projects: { "ai-chatbot": 1 },
+//     contacts: { sent: 1 } }
+// Counting only starts once the visitor allows it in the consent banner, and
+// never with Do Not Track or Global Privacy Control on.
+
+// The counter maps of a day document, in the order the stats view shows them.
+export const ANALYTICS_METRICS = [
+  "views", // Page views by route name.
+  "sections", // Home page sections scrolled into view, once per page view.
+  "outbound", // Clicks on links to other sites, by host (see outboundKey).
+  "projects", // Project cards opened, by slug (see projectKey).
+  "contacts", // Contact messages, "sent" or "queued" (see lib/contact).
+];
+
+// analyticsCollectionPath returns the app-scoped collection of day documents.
+// Visitors can only add to the counters, at most 50 per write and with up to 20
+// keys per metric and day; only the owner can read them (firestore.rules).
+export const analyticsCollectionPath = (appId) =>
+  `artifacts/${appId}/analytics`;
+
+// Keys a counter map may hold per day (firestore.rules). Once a map is full
+// every later write of the day is refused, so metrics whose keys come from
+// links or content are folded into a fixed set, with OTHER_KEY for the rest.
+export const MAX_ANALYTICS_KEYS = 20;
+export const OTHER_KEY = "other";
+
+// Hosts counted by name in the "outbound" metric: the social networks.
+const OUTBOUND_HOSTS = new Set(
+  Object.values(SOCIAL_NETWORKS).flatMap((network) => network.hosts)
+);
+
+// outboundKey returns the "outbound" key for a link to url (a URL): "mailto"
+// for email, the host for the social networks, OTHER_KEY for any other site.
+export function outboundKey(url) {
+  if (url.protocol === "mailto:") return "mailto";
+  const host = url.hostname.replace(/^(www|m)\./, "");
+  return OUTBOUND_HOSTS.has(host) ? host : OTHER_KEY;
+}
+
+// projectKey returns the "projects" key for the project slug, given the slugs
+// of the catalog: the slug itself for the first MAX_ANALYTICS_KEYS - 1 of them
+// in alphabetical order (so reordering the catalog doesn't change them), and
+// OTHER_KEY for the rest and for slugs not in the catalog.
+export function projectKey(slug, slugs) {
+  const counted = [...slugs].sort().slice(0, MAX_ANALYTICS_KEYS - 1);
+  return counted.includes(slug) ? slug : OTHER_KEY;
+}
+
+// analyticsDocPath returns the counters document for a day ("YYYY-MM-DD").
+export const analyticsDocPath = (appId, day) =>
+  `${analyticsCollectionPath(appId)}/${day}`;
+
+// localStorage key for the visitor's choice: "granted" or "denied".
+const CONSENT_KEY = "portfolio.analyticsConsent";
+
+// Fired on window when the consent choice changes.
+const CONSENT_EVENT = "portfolio:consent";
+
+// Events are sent in one batch this long after the first one, or earlier when
+// the page is hidden.
+const FLUSH_DELAY = 10_000;
+
+// doNotTrack reports whether the browser asks sites not to track the visitor.
+export const doNotTrack = () =>
+  typeof window !== "undefined" &&
+  (navigator.doNotTrack === "1" ||
+    window.doNotTrack === "1" ||
+    navigator.globalPrivacyControl === true);
+
+const readConsent = () => {
+  try {
+    const stored = localStorage.getItem(CONSENT_KEY);
+    return stored === "granted" || stored === "denied" ? stored : null;
+  } catch {
+    return null;
+  }
+};
+
+let currentConsent = typeof window === "undefined" ? null : readConsent();
+
+// Firestore target once it is ready, and counts not yet sent, keyed by day
+// then metric then key.
+let sink = null;
+let pending = {};
+let flushTimer = null;
+// Home page sections already counted since the last page view.
+let seenSections = new Set();
+
+// setAnalyticsConsent records the visitor's choice ("granted" or "denied"), or
+// forgets it (null) so the banner asks again.
+export function setAnalyticsConsent(consent) {
+  currentConsent = consent;
+  try {
+    if (consent) {
+      localStorage.setItem(CONSENT_KEY, consent);
+    } else {
+      localStorage.removeItem(CONSENT_KEY);
+    }
+  } catch {
+    // The choice then lasts until the page is reloaded.
+  }
+  if (consent !== "granted") pending = {};
+  window.dispatchEvent(new Event(CONSENT_EVENT));
+}
+
+const subscribeConsent = (callback) => {
+  window.addEventListener(CONSENT_EVENT, callback);
+  return () => window.removeEventListener(CONSENT_EVENT, callback);
+};
+
+const getConsentState = () =>
+  doNotTrack() ? "doNotTrack" : (currentConsent ?? "unset");
+
+// useAnalyticsConsent returns "granted", "denied", "unset" (not asked yet) or
+// "doNotTrack". Prerendered pages count as "denied" so they never include the
+// banner; the browser shows it after hydration if needed.
+export const useAnalyticsConsent = () =>
+  useSyncExternalStore(subscribeConsent, getConsentState, () => "denied");
+
+// Formats a Date as its UTC day, "YYYY-MM-DD".
+const utcDay = (date) => date.toISOString().slice(0, 10);
+
+const mapValues = (object, fn) =>
+  Object.fromEntries(Object.entries(object).map(([k, v]) => [k, fn(v)]));
+
+// flushEvents writes the pending counts in one batch, as increments so
+// concurrent visitors add up. Counts wait in memory until Firestore is ready.
+export async function flushEvents() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  const days = Object.entries(pending);
+  if (!sink || days.length === 0) return;
+  pending = {};
+
+  const batch = writeBatch(sink.db);
+  for (const [day, metrics] of days) {
+    batch.set(
+      doc(sink.db, analyticsDocPath(sink.appId, day)),
+      {
+        date: day,
+        ...mapValues(metrics, (counts) =>
+          mapValues(counts, (count) => increment(count))
+        ),
+      },
+      { merge: true }
+    );
+  }
+  try {
+    await batch.commit();
+  } catch (error) {
+    console.error("Failed to send analytics:", error);
+  }
+}
+
+// trackEvent counts one event for metric (see ANALYTICS_METRICS), e.g.
+// trackEvent("projects", "ai-chatbot"). It does nothing without consent.
+// Returns whether the event was counted.
+export function trackEvent(metric, key) {
+  if (getConsentState() !== "granted") return false;
+  const day = utcDay(new Date());
+  const counts = ((pending[day] ??= {})[metric] ??= {});
+  counts[key] = (counts[key] ?? 0) + 1;
+  flushTimer ??= setTimeout(flushEvents, FLUSH_DELAY);
+  return true;
+}
+
+// trackSectionView counts a home page section coming into view, once per page
+// view however often the visitor scrolls past it. Sections seen before consent
+// count the next time they come into view.
+export function trackSectionView(id) {
+  if (seenSections.has(id)) return;
+  if (trackEvent("sections", id)) seenSections.add(id);
+}
+
+// Counts clicks on links that leave the site (see outboundKey).
+const handleOutboundClick = (e) => {
+  const link = e.target.closest?.("a[href]");
+  if (!link) return;
+  const url = new URL(link.href, window.location.href);
+  if (url.protocol === "mailto:" || url.origin !== window.location.origin) {
+    trackEvent("outbound", outboundKey(url));
+  }
+};
+
+const handleVisibilityChange = () => {
+  if (document.visibilityState === "hidden") flushEvents();
+};
+
+// useAnalytics connects the app to analytics: it sends counts once Firestore
+// is ready, counts a view of page (a route name) each time pathname changes,
+// and counts outbound link clicks. The admin area is not counted. A page shown
+// before the visitor gave consent is counted when they do.
+export function useAnalytics({ db, appId, page, pathname }) {
+  const consent = useAnalyticsConsent();
+  const isViewCountedRef = useRef(false);
+
+  useEffect(() => {
+    sink = db ? { db, appId } : null;
+    flushEvents();
+  }, [db, appId]);
+
+  useEffect(() => {
+    seenSections = new Set();
+    isViewCountedRef.current = false;
+  }, [page, pathname]);
+
+  useEffect(() => {
+    if (page === "admin" || consent !== "granted") return;
+    if (isViewCountedRef.current) return;
+    isViewCountedRef.current = trackEvent("views", page);
+  }, [page, pathname, consent]);
+
+  useEffect(() => {
+    document.addEventListener("click", handleOutboundClick, true);
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    return () => {
+      document.removeEventListener("click", handleOutboundClick, true);
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+    };
+  }, []);
+}
+
+// useDailyStats follows the counters of the last `days` days (owner only).
+// Returns { days, error }, where days runs oldest to newest with one entry per
+// day, zero-filled: { date, views: {...}, sections: {...}, ... }.
+export function useDailyStats({ db, appId, days = 30 }) {
+  const [state, setState] = useState({ docs: [], error: null });
+
+  useEffect(() => {
+    if (!db) return;
+    const unsubscribe = onSnapshot(
+      query(
+        collection(db, analyticsCollectionPath(appId)),
+        orderBy("date", "desc"),
+        limit(days)
+      ),
+      (snapshot) => {
+        setState({ docs: snapshot.docs.map((d) => d.data()), error: null });
+      },
+      (error) => {
+        console.error("Failed to load analytics:", error);
+        setState((prev) => ({ ...prev, error }));
+      }
+    );
+    return () => unsubscribe();
+  }, [db, appId, days]);
+
+  const byDate = new Map(state.docs.map((data) => [data.date, data]));
+  const today = new Date();
+  const filled = Array.from({ length: days }, (_, i) => {
+    const date = utcDay(
+      new Date(
+        Date.UTC(
+          today.getUTCFullYear(),
+          today.getUTCMonth(),
+          today.getUTCDate() - (days - 1 - i)
+        )
+      )
+    );
+    const data = byDate.get(date) ?? {};
+    return {
+      date,
+      ...Object.fromEntries(
+        ANALYTICS_METRICS.map((metric) => [metric, data[metric] ?? {}])
+      ),
+    };
+  });
+  return { days: filled, error: state.error };
+}
+
+// sumCounts adds up a counter map ({ home: 2, post: 1 } -> 3).
+export const sumCounts = (counts) =>
+  Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+// totalsByKey adds up one metric over several days, largest first:
+// [["home", 40], ["post", 12]].
+export function totalsByKey(days, metric) {
+  const totals = {};
+  for (const day of days) {
+    for (const [key, count] of Object.entries(day[metric])) {
+      totals[key] = (totals[key] ?? 0) + count;
+    }
+  }
+  return Object.entries(totals).sort((a, b) => b[1] - a[1]);
+}
@@ -0,0 +1,162 @@
+import { act, fireEvent, renderHook } from "@testing-library/react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { writeBatch } from "firebase/firestore";
+import {
+  MAX_ANALYTICS_KEYS,
+  OTHER_KEY,
+  flushEvents,
+  projectKey,
+  setAnalyticsConsent,
+  trackEvent,
+  trackSectionView,
+  useAnalytics,
+} from "./analytics";
+
+// Firestore stand-in: increments are plain numbers and each written day
+// document is collected in writes.
+vi.mock("firebase/firestore", () => ({
+  doc: (db, path) => path,
+  increment: (count) => count,
+  writeBatch: vi.fn(),
+}));
+
+const DB = {};
+let writes;
+
+// Renders useAnalytics for a page; rerender with { page, pathname } to move on.
+const renderAnalytics = (page = "home", pathname = "/") =>
+  renderHook((props) => useAnalytics({ db: DB, appId: "test-app", ...props }), {
+    initialProps: { page, pathname },
+  });
+
+// Sends what has been counted and returns the metric maps written.
+const sent = async () => {
+  await act(flushEvents);
+  const [data] = writes.splice(0);
+  if (!data) return {};
+  const { date, ...metrics } = data;
+  expect(date).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+  return metrics;
+};
+
+beforeEach(() => {
+  writes = [];
+  writeBatch.mockImplementation(() => ({
+    set: (ref, data) => writes.push(data),
+    commit: async () => {},
+  }));
+});
+
+afterEach(async () => {
+  act(() => setAnalyticsConsent(null));
+  await flushEvents();
+});
+
+describe("useAnalytics", () => {
+  it("counts a page view once consent is given", async () => {
+    const { rerender } = renderAnalytics();
+    expect(await sent()).toEqual({});
+
+    act(() => setAnalyticsConsent("granted"));
+    expect(await sent()).toEqual({ views: { home: 1 } });
+
+    // The same page isn't counted again, even if consent is given again.
+    act(() => setAnalyticsConsent("denied"));
+    act(() => setAnalyticsConsent("granted"));
+    rerender({ page: "home", pathname: "/" });
+    expect(await sent()).toEqual({});
+
+    rerender({ page: "blog", pathname: "/blog" });
+    expect(await sent()).toEqual({ views: { blog: 1 } });
+  });
+
+  it("doesn't count the admin area", async () => {
+    act(() => setAnalyticsConsent("granted"));
+    renderAnalytics("admin", "/admin");
+    expect(await sent()).toEqual({});
+  });
+});
+
+describe("trackSectionView", () => {
+  it("counts each section once per page view", async () => {
+    act(() => setAnalyticsConsent("granted"));
+    const { rerender } = renderAnalytics();
+    trackSectionView("about");
+    trackSectionView("about");
+    expect(await sent()).toEqual({
+      views: { home: 1 },
+      sections: { about: 1 },
+    });
+
+    rerender({ page: "home", pathname: "/projects/x" });
+    rerender({ page: "home", pathname: "/" });
+    trackSectionView("about");
+    expect((await sent()).sections).toEqual({ about: 1 });
+  });
+
+  it("counts sections seen before consent when they come back", async () => {
+    renderAnalytics();
+    trackSectionView("about");
+    act(() => setAnalyticsConsent("granted"));
+    trackSectionView("about");
+    expect((await sent()).sections).toEqual({ about: 1 });
+  });
+});
+
+// firestore.rules refuses a day's writes once a counter map would pass
+// MAX_ANALYTICS_KEYS keys, so keys from links and content are folded.
+describe("counter keys", () => {
+  // A catalog with more projects than a counter map can hold.
+  const slugs = Array.from(
+    { length: MAX_ANALYTICS_KEYS + 10 },
+    (_, i) => `project-${String(i).padStart(2, "0")}`
+  );
+
+  // Clicks a link to href, without jsdom trying to follow it.
+  const clickLink = (href) => {
+    const link = document.createElement("a");
+    link.href = href;
+    link.addEventListener("click", (e) => e.preventDefault());
+    document.body.append(link);
+    fireEvent.click(link);
+    link.remove();
+  };
+
+  it("counts outbound links by social network host, others as other", async () => {
+    act(() => setAnalyticsConsent("granted"));
+    renderAnalytics();
+    await sent();
+
+    clickLink("https://www.github.com/octocat");
+    clickLink("https://m.youtube.com/@octocat");
+    clickLink("mailto:ada@example.com");
+    clickLink("/blog");
+    for (let i = 0; i < MAX_ANALYTICS_KEYS + 5; i++) {
+      clickLink(`https://site${i}.test/`);
+    }
+    expect((await sent()).outbound).toEqual({
+      "github.com": 1,
+      "youtube.com": 1,
+      mailto: 1,
+      [OTHER_KEY]: MAX_ANALYTICS_KEYS + 5,
+    });
+  });
+
+  it("keeps project keys within the limit for a large catalog", async () => {
+    act(() => setAnalyticsConsent("granted"));
+    for (const slug of [...slugs, "not-in-catalog"]) {
+      trackEvent("projects", projectKey(slug, slugs));
+    }
+    renderAnalytics("project", "/projects/x");
+    const { projects } = await sent();
+    expect(Object.keys(projects)).toHaveLength(MAX_ANALYTICS_KEYS);
+    expect(projects["project-00"]).toBe(1);
+    expect(projects[OTHER_KEY]).toBe(12);
+    expect(projects).not.toHaveProperty("not-in-catalog");
+  });
+
+  it("keeps a project's key when the catalog is reordered", () => {
+    expect(projectKey("project-05", slugs.toReversed())).toBe("project-05");
+    expect(projectKey("project-25", slugs.toReversed())).toBe(OTHER_KEY);
+  });
+});
@@ -0,0 +1,30 @@
+// Blog posts, compiled from the Markdown files in src/posts at build time (see
+// plugins/blog.js). Each post is
+//   { slug, title, date, updated, description, tags, readingTime, headings, html }
+// where html is already rendered and highlighted, and headings lists the
+// level 2 and 3 headings ({ id, depth, text }) for the table of contents.
+const modules = import.meta.glob("../posts/*.md", {
+  eager: true,
+  import: "default",
+});
+
+// All posts, newest first.
+export const POSTS = Object.values(modules).sort((a, b) =>
+  b.date.localeCompare(a.date)
+);
+
+// The tags used by the posts, sorted alphabetically.
+export const POST_TAGS = [...new Set(POSTS.flatMap((post) => post.tags))].sort(
+  (a, b) => a.localeCompare(b)
+);
+
+// postsWithTag returns the posts carrying tag, or all posts without one.
+export const postsWithTag = (tag) =>
+  tag ? POSTS.filter((post) => post.tags.includes(tag)) : POSTS;
+
+// postDate turns a "YYYY-MM-DD" post date into a Date at local midnight, so
+// the day shown is the same in every time zone (and on the server).
+export const postDate = (value) => {
+  const [year, month, day] = value.split("-").map(Number);
+  return new Date(year, month - 1, day);
+};
@@ -0,0 +1,204 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  serverTimestamp,
+  writeBatch,
+} from "firebase/firestore";
+import { SubmissionRejectedError, nextRateLimit } from "./spam";
+
+// Maximum lengths for each contact form field. Mirrored in firestore.rules.
+export const CONTACT_LIMITS = {
+  name: 100,
+  email: 254,
+  message: 5000,
+};
+
+// Minimum message length so one-word submissions are rejected early.
+export const MIN_MESSAGE_LENGTH = 10;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// localStorage key holding messages that could not be written to Firestore.
+const LOCAL_QUEUE_KEY = "portfolio.contactQueue";
+
+// contactCollectionPath returns the app-scoped Firestore collection for messages.
+// Scoping by appId lets several deployments share one Firebase project.
+export const contactCollectionPath = (appId) =>
+  `artifacts/${appId}/public/data/contactMessages`;
+
+// rateLimitDocPath returns the per-user document that counts recent messages.
+export const rateLimitDocPath = (appId, uid) =>
+  `artifacts/${appId}/rateLimits/${uid}`;
+
+// validateContactForm trims the raw form values and checks each field.
+// Returns the cleaned values and a map of field name -> error code
+// ("required", "tooShort", "tooLong" or "invalid"); the form shows the
+// matching contact.errors message from the catalog.
+export function validateContactForm(raw) {
+  const values = {
+    name: String(raw.name ?? "").trim(),
+    email: String(raw.email ?? "").trim(),
+    message: String(raw.message ?? "").trim(),
+  };
+  const errors = {};
+
+  if (!values.name) {
+    errors.name = "required";
+  } else if (values.name.length > CONTACT_LIMITS.name) {
+    errors.name = "tooLong";
+  }
+
+  if (!values.email) {
+    errors.email = "required";
+  } else if (
+    values.email.length > CONTACT_LIMITS.email ||
+    !EMAIL_PATTERN.test(values.email)
+  ) {
+    errors.email = "invalid";
+  }
+
+  if (!values.message) {
+    errors.message = "required";
+  } else if (values.message.length < MIN_MESSAGE_LENGTH) {
+    errors.message = "tooShort";
+  } else if (values.message.length > CONTACT_LIMITS.message) {
+    errors.message = "tooLong";
+  }
+
+  return { values, errors };
+}
+
+// readLocalQueue returns the messages saved while Firebase was unavailable.
+export function readLocalQueue() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(LOCAL_QUEUE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+}
+
+const writeLocalQueue = (queue) => {
+  if (queue.length > 0) {
+    localStorage.setItem(LOCAL_QUEUE_KEY, JSON.stringify(queue));
+  } else {
+    localStorage.removeItem(LOCAL_QUEUE_KEY);
+  }
+};
+
+// Builds the document stored in Firestore for a validated message.
+const toMessageDoc = (values, userId) => ({
+  name: values.name,
+  email: values.email,
+  message: values.message,
+  userId,
+  status: "new",
+  createdAt: serverTimestamp(),
+});
+
+// writeMessage stores one message together with the sender's rate limit
+// document in a single batch; firestore.rules only accepts a message whose batch
+// also bumps the rate limit. Over-limit and rule-rejected writes throw
+// SubmissionRejectedError.
+async function writeMessage({ db, appId, userId, values }) {
+  const rateRef = doc(db, rateLimitDocPath(appId, userId));
+  const rateSnapshot = await getDoc(rateRef);
+  const stored = rateSnapshot.exists() ? rateSnapshot.data() : null;
+  const next = nextRateLimit(
+    stored && {
+      windowStart: stored.windowStart.toMillis(),
+      count: stored.count,
+      lastSubmitAt: stored.lastSubmitAt.toMillis(),
+    },
+    Date.now()
+  );
+
+  const messageRef = doc(collection(db, contactCollectionPath(appId)));
+  const batch = writeBatch(db);
+  batch.set(messageRef, toMessageDoc(values, userId));
+  batch.set(rateRef, {
+    // An unchanged window keeps the stored Timestamp so the rules see it as equal.
+    windowStart: next.newWindow ? serverTimestamp() : stored.windowStart,
+    count: next.count,
+    lastSubmitAt: serverTimestamp(),
+  });
+  try {
+    await batch.commit();
+  } catch (error) {
+    if (error.code === "permission-denied") {
+      throw new SubmissionRejectedError("rules");
+    }
+    throw error;
+  }
+  return messageRef.id;
+}
+
+// Adds a message to the local queue; see flushLocalQueue.
+const queueMessage = (values) =>
+  writeLocalQueue([
+    ...readLocalQueue(),
+    { ...values, queuedAt: new Date().toISOString() },
+  ]);
+
+// submitContactMessage stores a validated message.
+// Without Firestore (no Firebase config), a signed-in user or a connection the
+// message is kept in the local queue instead, so it is not lost and can be sent
+// later. Firestore would otherwise hold an offline write in memory and only
+// settle once back online, leaving the form waiting.
+export async function submitContactMessage({ db, appId, userId, values }) {
+  if (!db || !userId || !navigator.onLine) {
+    queueMessage(values);
+    return { queued: true };
+  }
+
+  try {
+    const id = await writeMessage({ db, appId, userId, values });
+    return { queued: false, id };
+  } catch (error) {
+    // The connection dropped (or the browser thought it was online).
+    if (error.code === "unavailable") {
+      queueMessage(values);
+      return { queued: true };
+    }
+    throw error;
+  }
+}
+
+// The flush in progress, so overlapping calls (page load and the "online"
+// event) don't send the same messages twice.
+let flushing = null;
+
+// flushLocalQueue sends any locally queued messages once Firestore is available.
+// Messages are sent as the current user; ones that fail (for example because of
+// the rate limit cooldown) stay in the queue for the next attempt. Resolves to
+// the number of messages sent.
+export function flushLocalQueue({ db, appId, userId }) {
+  flushing ??= sendLocalQueue({ db, appId, userId }).finally(() => {
+    flushing = null;
+  });
+  return flushing;
+}
+
+async function sendLocalQueue({ db, appId, userId }) {
+  const queue = readLocalQueue();
+  if (!db || !userId || !navigator.onLine || queue.length === 0) return 0;
+
+  const remaining = [];
+  for (const queued of queue) {
+    // Once one message is refused, later ones would be too.
+    if (remaining.length > 0) {
+      remaining.push(queued);
+      continue;
+    }
+    try {
+      await writeMessage({ db, appId, userId, values: queued });
+    } catch (error) {
+      console.error("Failed to send queued contact message:", error);
+      remaining.push(queued);
+    }
+  }
+  // Keep messages queued from the form while this flush was running.
+  writeLocalQueue([...remaining, ...readLocalQueue().slice(queue.length)]);
+  return queue.length - remaining.length;
+}
@@ -0,0 +1,215 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { getDoc, writeBatch } from "firebase/firestore";
+import {
+  CONTACT_LIMITS,
+  flushLocalQueue,
+  readLocalQueue,
+  submitContactMessage,
+  validateContactForm,
+} from "./contact";
+import { SubmissionRejectedError } from "./spam";
+
+// Firestore stand-in: documents get the path they were made from as their id,
+// and every batch is recorded so tests can inspect or fail its commit.
+vi.mock("firebase/firestore", () => ({
+  collection: (db, path) => ({ path }),
+  doc: (parent, path) => ({ id: path ?? `${parent.path}/new` }),
+  getDoc: vi.fn(),
+  serverTimestamp: () => "now",
+  writeBatch: vi.fn(),
+}));
+
+const VALUES = {
+  name: "Ada",
+  email: "ada@example.com",
+  message: "Hello there, nice site!",
+};
+
+const TARGET = { db: {}, appId: "test-app", userId: "user-1" };
+
+// A Firestore error with the given code, as thrown by the SDK.
+const firestoreError = (code) => Object.assign(new Error(code), { code });
+
+let batches;
+// Records each new batch; committing it runs commit(batch), which tests can make
+// throw.
+const mockBatches = (commit = async () => {}) => {
+  writeBatch.mockImplementation(() => {
+    const batch = { writes: [], set: (ref, data) => batch.writes.push(data) };
+    batch.commit = () => commit(batch);
+    batches.push(batch);
+    return batch;
+  });
+};
+
+const setOnline = (online) =>
+  vi.spyOn(navigator, "onLine", "get").mockReturnValue(online);
+
+beforeEach(() => {
+  batches = [];
+  mockBatches();
+  getDoc.mockResolvedValue({ exists: () => false });
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("validateContactForm", () => {
+  it("trims the values and accepts a complete form", () => {
+    const { values, errors } = validateContactForm({
+      name: "  Ada ",
+      email: " ada@example.com",
+      message: "Hello there, nice site!  ",
+    });
+    expect(values).toEqual(VALUES);
+    expect(errors).toEqual({});
+  });
+
+  it("requires every field", () => {
+    expect(validateContactForm({ name: " " }).errors).toEqual({
+      name: "required",
+      email: "required",
+      message: "required",
+    });
+  });
+
+  it.each(["ada", "ada@example", "ada @example.com", "@example.com"])(
+    "rejects the email address %s",
+    (email) => {
+      expect(validateContactForm({ ...VALUES, email }).errors).toEqual({
+        email: "invalid",
+      });
+    }
+  );
+
+  it("rejects messages that are too short or too long", () => {
+    expect(
+      validateContactForm({ ...VALUES, message: "Hi!" }).errors.message
+    ).toBe("tooShort");
+    expect(
+      validateContactForm({
+        ...VALUES,
+        message: "x".repeat(CONTACT_LIMITS.message + 1),
+      }).errors.message
+    ).toBe("tooLong");
+  });
+
+  it("rejects names and emails over their limits", () => {
+    const { errors } = validateContactForm({
+      ...VALUES,
+      name: "x".repeat(CONTACT_LIMITS.name + 1),
+      email: `${"x".repeat(CONTACT_LIMITS.email)}@example.com`,
+    });
+    expect(errors).toEqual({ name: "tooLong", email: "invalid" });
+  });
+});
+
+describe("submitContactMessage", () => {
+  it("writes the message and the rate limit in one batch", async () => {
+    const result = await submitContactMessage({ ...TARGET, values: VALUES });
+    expect(result).toEqual({
+      queued: false,
+      id: "artifacts/test-app/public/data/contactMessages/new",
+    });
+    expect(batches).toHaveLength(1);
+    expect(batches[0].writes).toEqual([
+      { ...VALUES, userId: "user-1", status: "new", createdAt: "now" },
+      { windowStart: "now", count: 1, lastSubmitAt: "now" },
+    ]);
+    expect(readLocalQueue()).toEqual([]);
+  });
+
+  it.each([
+    ["without Firestore", { ...TARGET, db: null }],
+    ["without a signed-in user", { ...TARGET, userId: null }],
+  ])("queues the message %s", async (_, target) => {
+    const result = await submitContactMessage({ ...target, values: VALUES });
+    expect(result).toEqual({ queued: true });
+    expect(readLocalQueue()).toEqual([expect.objectContaining(VALUES)]);
+    expect(batches).toHaveLength(0);
+  });
+
+  it("queues the message while offline", async () => {
+    setOnline(false);
+    await expect(
+      submitContactMessage({ ...TARGET, values: VALUES })
+    ).resolves.toEqual({ queued: true });
+    expect(readLocalQueue()).toHaveLength(1);
+  });
+
+  it("queues the message when Firestore can't be reached", async () => {
+    mockBatches(async () => {
+      throw firestoreError("unavailable");
+    });
+    await expect(
+      submitContactMessage({ ...TARGET, values: VALUES })
+    ).resolves.toEqual({ queued: true });
+    expect(readLocalQueue()).toHaveLength(1);
+  });
+
+  it("turns a rules rejection into SubmissionRejectedError", async () => {
+    mockBatches(async () => {
+      throw firestoreError("permission-denied");
+    });
+    await expect(
+      submitContactMessage({ ...TARGET, values: VALUES })
+    ).rejects.toBeInstanceOf(SubmissionRejectedError);
+    expect(readLocalQueue()).toEqual([]);
+  });
+});
+
+describe("flushLocalQueue", () => {
+  const queue = async (...messages) => {
+    for (const message of messages) {
+      await submitContactMessage({ ...TARGET, db: null, values: message });
+    }
+  };
+
+  it("sends the queued messages and empties the queue", async () => {
+    await queue(VALUES, { ...VALUES, name: "Grace" });
+    await expect(flushLocalQueue(TARGET)).resolves.toBe(2);
+    expect(batches.map((batch) => batch.writes[0].name)).toEqual([
+      "Ada",
+      "Grace",
+    ]);
+    expect(readLocalQueue()).toEqual([]);
+  });
+
+  it("keeps the messages from the first failure on", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    mockBatches(async (batch) => {
+      if (batch.writes[0].name === "Grace") {
+        throw firestoreError("permission-denied");
+      }
+    });
+    await queue(
+      VALUES,
+      { ...VALUES, name: "Grace" },
+      { ...VALUES, name: "Lin" }
+    );
+    await expect(flushLocalQueue(TARGET)).resolves.toBe(1);
+    expect(readLocalQueue().map((message) => message.name)).toEqual([
+      "Grace",
+      "Lin",
+    ]);
+  });
+
+  it("sends each message once when flushes overlap", async () => {
+    await queue(VALUES);
+    const [first, second] = await Promise.all([
+      flushLocalQueue(TARGET),
+      flushLocalQueue(TARGET),
+    ]);
+    expect([first, second]).toEqual([1, 1]);
+    expect(batches).toHaveLength(1);
+  });
+
+  it("waits for a connection and a signed-in user", async () => {
+    await queue(VALUES);
+    await expect(flushLocalQueue({ ...TARGET, userId: null })).resolves.toBe(0);
+    setOnline(false);
+    await expect(flushLocalQueue(TARGET)).resolves.toBe(0);
+    expect(readLocalQueue()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,277 @@
+import { useEffect, useMemo, useState } from "react";
+import { collection, onSnapshot } from "firebase/firestore";
+import localProjects from "../data/projects";
+import localSkills from "../data/skills";
+import localAbout from "../data/about";
+import localHeroRoles from "../data/heroRoles";
+import localTimeline from "../data/timeline";
+import { ICON_NAMES } from "./icons";
+import { TIMELINE_TYPES } from "./timeline";
+import { useI18n } from "./i18n";
+
+// contentCollectionPath returns the app-scoped Firestore collection for a
+// content type, e.g. "artifacts/{appId}/public/data/skills".
+export const contentCollectionPath = (appId, name) =>
+  `artifacts/${appId}/public/data/${name}`;
+
+// Accent colors available for skill cards. Kept as a fixed list so Tailwind can
+// see every class name at build time.
+export const SKILL_ACCENTS = [
+  "orange",
+  "blue",
+  "gray",
+  "green",
+  "purple",
+  "yellow",
+];
+
+// Skill categories, in the order the grouped view lists them. Labels live in the
+// message catalogs under skills.categories.
+export const SKILL_CATEGORIES = ["frontend", "backend", "data", "cloud"];
+
+// Skill proficiency runs from 1 (beginner) to SKILL_LEVEL_MAX (expert).
+export const SKILL_LEVEL_MAX = 5;
+
+// normalizeProject fills in defaults so a partially filled Firestore document
+// renders the same way as an entry from src/data/projects.js.
+export function normalizeProject(data, id) {
+  return {
+    id,
+    slug: data.slug ?? id,
+    title: data.title ?? "",
+    description: data.description ?? "",
+    problem: data.problem ?? "",
+    solution: data.solution ?? "",
+    tags: Array.isArray(data.tags) ? data.tags : [],
+    repoUrl: data.repoUrl ?? null,
+    demoUrl: data.demoUrl ?? null,
+    images: Array.isArray(data.images) ? data.images : [],
+    startDate: data.startDate ?? null,
+    endDate: data.endDate ?? null,
+  };
+}
+
+// Level and years are optional; skills without them are left out of the chart
+// and show no meter.
+const normalizeSkill = (data, id) => {
+  const level = Math.round(Number(data.level));
+  return {
+    id,
+    name: data.name ?? "",
+    description: data.description ?? "",
+    icon: data.icon ?? "",
+    accent: SKILL_ACCENTS.includes(data.accent) ? data.accent : "purple",
+    category: SKILL_CATEGORIES.includes(data.category)
+      ? data.category
+      : SKILL_CATEGORIES[0],
+    level: level >= 1 ? Math.min(level, SKILL_LEVEL_MAX) : null,
+    years: Number(data.years) > 0 ? Number(data.years) : null,
+    projects: Array.isArray(data.projects) ? data.projects : [],
+    order: Number(data.order) || 0,
+  };
+};
+
+const normalizeAboutCard = (data, id) => ({
+  id,
+  title: data.title ?? "",
+  body: data.body ?? "",
+  order: Number(data.order) || 0,
+});
+
+// Typing timings are optional; null (or 0 from the editor) uses the defaults
+// from lib/typewriter.
+const optionalMs = (value) => (Number(value) > 0 ? Number(value) : null);
+
+const normalizeHeroRole = (data, id) => ({
+  id,
+  text: data.text ?? "",
+  typeSpeed: optionalMs(data.typeSpeed),
+  deleteSpeed: optionalMs(data.deleteSpeed),
+  holdDelay: optionalMs(data.holdDelay),
+  order: Number(data.order) || 0,
+});
+
+const normalizeTimelineEntry = (data, id) => ({
+  id,
+  type: TIMELINE_TYPES.includes(data.type) ? data.type : TIMELINE_TYPES[0],
+  role: data.role ?? "",
+  organization: data.organization ?? "",
+  location: data.location ?? "",
+  url: data.url ?? null,
+  logo: data.logo ?? null,
+  startDate: data.startDate ?? null,
+  endDate: data.endDate ?? null,
+  achievements: Array.isArray(data.achievements) ? data.achievements : [],
+});
+
+// Content types editable from /admin.
+// Each entry names the bundled fallback data, how to normalize a document, the
+// field that doubles as document id (if any), the fields shown in the editor and
+// the fields that message catalogs may translate (see localize in lib/i18n).
+// Field types: text, textarea, url, month ("YYYY-MM"), number, list
+// (comma-separated), lines (one entry per line), images (one "url | alt" per
+// line) and select.
+export const CONTENT_TYPES = {
+  projects: {
+    label: "Projects",
+    local: localProjects,
+    normalize: normalizeProject,
+    idField: "slug",
+    titleField: "title",
+    translatable: ["title", "description", "problem", "solution"],
+    fields: [
+      { name: "slug", label: "Slug", type: "text", required: true },
+      { name: "title", label: "Title", type: "text", required: true },
+      { name: "description", label: "Description", type: "textarea" },
+      { name: "problem", label: "Problem", type: "textarea" },
+      { name: "solution", label: "Solution", type: "textarea" },
+      { name: "tags", label: "Tags", type: "list" },
+      { name: "repoUrl", label: "Repository URL", type: "url" },
+      { name: "demoUrl", label: "Demo URL", type: "url" },
+      { name: "images", label: "Images", type: "images" },
+      { name: "startDate", label: "Start date", type: "month" },
+      { name: "endDate", label: "End date", type: "month" },
+    ],
+  },
+  skills: {
+    label: "Skills",
+    local: localSkills,
+    normalize: normalizeSkill,
+    titleField: "name",
+    translatable: ["name", "description"],
+    fields: [
+      { name: "name", label: "Name", type: "text", required: true },
+      { name: "description", label: "Description", type: "textarea" },
+      { name: "icon", label: "Icon", type: "select", options: ICON_NAMES },
+      {
+        name: "accent",
+        label: "Accent",
+        type: "select",
+        options: SKILL_ACCENTS,
+      },
+      {
+        name: "category",
+        label: "Category",
+        type: "select",
+        options: SKILL_CATEGORIES,
+      },
+      { name: "level", label: "Level (1-5)", type: "number" },
+      { name: "years", label: "Years of use", type: "number" },
+      { name: "projects", label: "Project slugs", type: "list" },
+      { name: "order", label: "Order", type: "number" },
+    ],
+  },
+  timeline: {
+    label: "Timeline",
+    local: localTimeline,
+    normalize: normalizeTimelineEntry,
+    titleField: "role",
+    translatable: ["role", "organization", "location", "achievements"],
+    fields: [
+      { name: "type", label: "Type", type: "select", options: TIMELINE_TYPES },
+      { name: "role", label: "Role or degree", type: "text", required: true },
+      {
+        name: "organization",
+        label: "Organization",
+        type: "text",
+        required: true,
+      },
+      { name: "location", label: "Location", type: "text" },
+      { name: "url", label: "Website", type: "url" },
+      { name: "logo", label: "Logo URL", type: "url" },
+      { name: "startDate", label: "Start date", type: "month" },
+      { name: "endDate", label: "End date (empty if current)", type: "month" },
+      { name: "achievements", label: "Achievements", type: "lines" },
+    ],
+  },
+  about: {
+    label: "About Cards",
+    local: localAbout,
+    normalize: normalizeAboutCard,
+    titleField: "title",
+    translatable: ["title", "body"],
+    fields: [
+      { name: "title", label: "Title", type: "text", required: true },
+      { name: "body", label: "Body", type: "textarea", required: true },
+      { name: "order", label: "Order", type: "number" },
+    ],
+  },
+  heroRoles: {
+    label: "Hero Roles",
+    local: localHeroRoles,
+    normalize: normalizeHeroRole,
+    titleField: "text",
+    translatable: ["text"],
+    fields: [
+      { name: "text", label: "Text", type: "text", required: true },
+      { name: "typeSpeed", label: "Typing speed (ms/char)", type: "number" },
+      {
+        name: "deleteSpeed",
+        label: "Deleting speed (ms/char)",
+        type: "number",
+      },
+      { name: "holdDelay", label: "Hold time (ms)", type: "number" },
+      { name: "order", label: "Order", type: "number" },
+    ],
+  },
+};
+
+const byOrder = (a, b) => (a.order ?? 0) - (b.order ?? 0);
+
+// Normalizes the bundled data for a content type.
+export const localContent = (name) => {
+  const type = CONTENT_TYPES[name];
+  return type.local
+    .map((item) => type.normalize(item, item.id ?? item[type.idField]))
+    .sort(byOrder);
+};
+
+// useContentState follows a content type: it starts with the bundled data and
+// subscribes to the Firestore collection, so edits made in /admin show up on the
+// public page without a rebuild. An empty collection falls back to the bundled
+// data. Returns { items, fromFirestore }.
+export function useContentState(name, { db, appId }) {
+  const [state, setState] = useState(() => ({
+    items: localContent(name),
+    fromFirestore: false,
+  }));
+
+  useEffect(() => {
+    if (!db) return;
+    const { normalize } = CONTENT_TYPES[name];
+    const unsubscribe = onSnapshot(
+      collection(db, contentCollectionPath(appId, name)),
+      (snapshot) => {
+        setState(
+          snapshot.empty
+            ? { items: localContent(name), fromFirestore: false }
+            : {
+                items: snapshot.docs
+                  .map((doc) => normalize(doc.data(), doc.id))
+                  .sort(byOrder),
+                fromFirestore: true,
+              }
+        );
+      },
+      (error) => {
+        // Keep showing the current items if Firestore is unreachable.
+        console.error(`Failed to load ${name} from Firestore:`, error);
+      }
+    );
+    return () => unsubscribe();
+  }, [db, appId, name]);
+
+  return state;
+}
+
+// useContent returns the items of a content type (see useContentState),
+// translated into the active locale where the message catalog has them.
+// The admin editor uses useContentState so it always edits the source text.
+export function useContent(name, options) {
+  const { items } = useContentState(name, options);
+  const { localize } = useI18n();
+  return useMemo(() => {
+    const { translatable } = CONTENT_TYPES[name];
+    return items.map((item) => localize(name, item, translatable));
+  }, [items, localize, name]);
+}
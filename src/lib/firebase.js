@@ -0,0 +1,170 @@
+import { createContext, useContext } from "react";
+import { getApp, getApps, initializeApp } from "firebase/app";
+import { connectAuthEmulator, getAuth } from "firebase/auth";
+import { connectFirestoreEmulator, getFirestore } from "firebase/firestore";
+
+// Firebase web app config, read from VITE_FIREBASE_* variables (see
+// .env.example). Each field lists its variable, whether it is required and the
+// shape its value must have; the values come from the Firebase console under
+// Project settings > Your apps.
+const CONFIG_FIELDS = {
+  apiKey: {
+    env: "VITE_FIREBASE_API_KEY",
+    required: true,
+    pattern: /^AIza[\w-]{35}$/,
+  },
+  authDomain: {
+    env: "VITE_FIREBASE_AUTH_DOMAIN",
+    required: true,
+    pattern: /^[a-z0-9.-]+\.[a-z]{2,}$/i,
+  },
+  projectId: {
+    env: "VITE_FIREBASE_PROJECT_ID",
+    required: true,
+    pattern: /^[a-z][a-z0-9-]{4,28}[a-z0-9]$/,
+  },
+  storageBucket: {
+    env: "VITE_FIREBASE_STORAGE_BUCKET",
+    pattern: /^[a-z0-9._-]+$/,
+  },
+  messagingSenderId: {
+    env: "VITE_FIREBASE_MESSAGING_SENDER_ID",
+    pattern: /^\d+$/,
+  },
+  appId: {
+    env: "VITE_FIREBASE_APP_ID",
+    required: true,
+    pattern: /^\d+:\d+:web:[0-9a-f]+$/,
+  },
+  measurementId: {
+    env: "VITE_FIREBASE_MEASUREMENT_ID",
+    pattern: /^G-[A-Z0-9]+$/,
+  },
+};
+
+// Namespace of this site's data in Firestore (artifacts/{appId}/...).
+const DEFAULT_APP_ID = "default-app-id";
+
+// Emulator addresses, matching the ports in firebase.json.
+const DEFAULT_FIRESTORE_EMULATOR_HOST = "127.0.0.1:8080";
+const DEFAULT_AUTH_EMULATOR_URL = "http://127.0.0.1:9099";
+
+// Project used with the emulators when no config is set. The emulators accept
+// any "demo-" project without credentials and never reach production.
+const DEMO_PROJECT_ID = "demo-portfolio";
+
+// readFirebaseEnv turns Vite env variables into Firebase settings:
+//   { config, appId, emulators, problems }
+// config is the initializeApp options, or null to run without Firebase (no
+// variables set, or problems found). emulators is null or
+// { firestoreHost, firestorePort, authUrl }: dev and test modes use the local
+// emulators unless VITE_FIREBASE_EMULATORS is "false", and other modes only
+// when it is "true". problems lists what is wrong with the variables, e.g.
+// 'VITE_FIREBASE_PROJECT_ID: "My Project" is not a valid value.'
+export function readFirebaseEnv(env) {
+  let problems = [];
+  const config = {};
+  for (const [field, { env: name, required, pattern }] of Object.entries(
+    CONFIG_FIELDS
+  )) {
+    const value = (env[name] ?? "").trim();
+    if (!value) {
+      if (required) problems.push(`${name}: is required.`);
+    } else if (!pattern.test(value)) {
+      problems.push(`${name}: "${value}" is not a valid value.`);
+    } else {
+      config[field] = value;
+    }
+  }
+  const configured = Object.keys(config).length > 0;
+
+  const emulatorSetting = env.VITE_FIREBASE_EMULATORS;
+  const useEmulators =
+    emulatorSetting === "true" ||
+    (emulatorSetting !== "false" && (env.DEV === true || env.MODE === "test"));
+  let emulators = null;
+  if (useEmulators) {
+    const firestoreHost =
+      env.VITE_FIRESTORE_EMULATOR_HOST || DEFAULT_FIRESTORE_EMULATOR_HOST;
+    const [host, port] = firestoreHost.split(":");
+    const authUrl = env.VITE_AUTH_EMULATOR_URL || DEFAULT_AUTH_EMULATOR_URL;
+    if (!host || !/^\d+$/.test(port ?? "")) {
+      problems.push(
+        `VITE_FIRESTORE_EMULATOR_HOST: "${firestoreHost}" must be host:port.`
+      );
+    } else if (!/^https?:\/\/[^/]+$/.test(authUrl)) {
+      problems.push(
+        `VITE_AUTH_EMULATOR_URL: "${authUrl}" must be http://host:port.`
+      );
+    } else {
+      emulators = {
+        firestoreHost: host,
+        firestorePort: Number(port),
+        authUrl,
+      };
+    }
+  }
+
+  const appId = (env.VITE_APP_ID ?? "").trim() || DEFAULT_APP_ID;
+  if (!/^[\w-]+$/.test(appId)) {
+    problems.push(
+      `VITE_APP_ID: "${appId}" may only use letters, digits, - and _.`
+    );
+  }
+
+  // With nothing set, Firebase is off, or runs on the emulators, which need no
+  // real credentials.
+  if (!configured) {
+    problems = problems.filter((problem) => !problem.endsWith("is required."));
+    if (emulators) {
+      Object.assign(config, {
+        apiKey: "demo-api-key",
+        projectId: DEMO_PROJECT_ID,
+      });
+    }
+  }
+  const usable = problems.length === 0 && Object.keys(config).length > 0;
+  return { config: usable ? config : null, appId, emulators, problems };
+}
+
+// Settings for this build, from import.meta.env.
+export const FIREBASE_SETTINGS = readFirebaseEnv(import.meta.env);
+
+// initFirebase returns { db, auth } for settings (see readFirebaseEnv),
+// connected to the emulators when they are on. Later calls reuse the same
+// instances, since an app can only be initialized and pointed at the
+// emulators once.
+let instances = null;
+export function initFirebase({ config, emulators }) {
+  if (instances) return instances;
+  const app = getApps().length > 0 ? getApp() : initializeApp(config);
+  const db = getFirestore(app);
+  const auth = getAuth(app);
+  if (emulators) {
+    connectFirestoreEmulator(
+      db,
+      emulators.firestoreHost,
+      emulators.firestorePort
+    );
+    connectAuthEmulator(auth, emulators.authUrl, { disableWarnings: true });
+  }
+  instances = { db, auth };
+  return instances;
+}
+
+// FirebaseContext holds what FirebaseProvider shares:
+//   { db, auth, user, userId, appId, isAuthReady }
+// db and auth are null without Firebase; userId is the signed-in user's uid
+// (an anonymous visitor or the owner), or null. isAuthReady turns true once the
+// first auth state is known, or straight away without Firebase.
+export const FirebaseContext = createContext({
+  db: null,
+  auth: null,
+  user: null,
+  userId: null,
+  appId: FIREBASE_SETTINGS.appId,
+  isAuthReady: false,
+});
+
+// useFirebase returns the Firebase context (see FirebaseContext).
+export const useFirebase = () => useContext(FirebaseContext);
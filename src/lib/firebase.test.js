@@ -0,0 +1,96 @@
+import { describe, expect, it } from "vitest";
+import { readFirebaseEnv } from "./firebase";
+
+// A complete, well-formed web app config as Vite env variables.
+const ENV = {
+  VITE_FIREBASE_API_KEY: `AIza${"x".repeat(35)}`,
+  VITE_FIREBASE_AUTH_DOMAIN: "my-portfolio.firebaseapp.com",
+  VITE_FIREBASE_PROJECT_ID: "my-portfolio",
+  VITE_FIREBASE_APP_ID: "1:1234:web:abc123",
+  MODE: "production",
+};
+
+describe("readFirebaseEnv", () => {
+  it("builds the config from the variables", () => {
+    expect(
+      readFirebaseEnv({ ...ENV, VITE_FIREBASE_MESSAGING_SENDER_ID: " 1234 " })
+    ).toEqual({
+      config: {
+        apiKey: ENV.VITE_FIREBASE_API_KEY,
+        authDomain: "my-portfolio.firebaseapp.com",
+        projectId: "my-portfolio",
+        messagingSenderId: "1234",
+        appId: "1:1234:web:abc123",
+      },
+      appId: "default-app-id",
+      emulators: null,
+      problems: [],
+    });
+  });
+
+  it("runs without Firebase when nothing is set", () => {
+    expect(readFirebaseEnv({ MODE: "production" })).toEqual({
+      config: null,
+      appId: "default-app-id",
+      emulators: null,
+      problems: [],
+    });
+  });
+
+  it("uses a demo project on the emulators when nothing is set", () => {
+    const { config, emulators, problems } = readFirebaseEnv({ DEV: true });
+    expect(config).toEqual({
+      apiKey: "demo-api-key",
+      projectId: "demo-portfolio",
+    });
+    expect(emulators).toEqual({
+      firestoreHost: "127.0.0.1",
+      firestorePort: 8080,
+      authUrl: "http://127.0.0.1:9099",
+    });
+    expect(problems).toEqual([]);
+  });
+
+  it("lets VITE_FIREBASE_EMULATORS turn the emulators on or off", () => {
+    expect(
+      readFirebaseEnv({
+        ...ENV,
+        MODE: "test",
+        VITE_FIREBASE_EMULATORS: "false",
+      }).emulators
+    ).toBeNull();
+    expect(
+      readFirebaseEnv({
+        ...ENV,
+        VITE_FIREBASE_EMULATORS: "true",
+        VITE_FIRESTORE_EMULATOR_HOST: "localhost:9000",
+      }).emulators
+    ).toMatchObject({ firestoreHost: "localhost", firestorePort: 9000 });
+  });
+
+  it("refuses a partial or malformed config", () => {
+    const { config, problems } = readFirebaseEnv({
+      ...ENV,
+      VITE_FIREBASE_PROJECT_ID: "My Project",
+      VITE_FIREBASE_APP_ID: "",
+    });
+    expect(config).toBeNull();
+    expect(problems).toEqual([
+      'VITE_FIREBASE_PROJECT_ID: "My Project" is not a valid value.',
+      "VITE_FIREBASE_APP_ID: is required.",
+    ]);
+  });
+
+  it("checks the emulator addresses and the app ID", () => {
+    expect(
+      readFirebaseEnv({ DEV: true, VITE_FIRESTORE_EMULATOR_HOST: "localhost" })
+        .problems
+    ).toEqual(['VITE_FIRESTORE_EMULATOR_HOST: "localhost" must be host:port.']);
+    expect(readFirebaseEnv({ ...ENV, VITE_APP_ID: "my/app" })).toMatchObject({
+      config: null,
+      problems: [
+        'VITE_APP_ID: "my/app" may only use letters, digits, - and _.',
+      ],
+    });
+  });
+});
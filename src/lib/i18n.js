@@ -0,0 +1,178 @@
+import { useMemo, useSyncExternalStore } from "react";
+import en from "../locales/en";
+import es from "../locales/es";
+import ar from "../locales/ar";
+
+// English is the source language: every key exists in it, and any key missing
+// from another catalog falls back to it.
+export const DEFAULT_LOCALE = "en";
+
+// Supported locales. label is the language's own name, shown in the switcher;
+// dir is the text direction applied to <html>.
+export const LOCALES = {
+  en: { label: "English", dir: "ltr", messages: en },
+  es: { label: "Español", dir: "ltr", messages: es },
+  ar: { label: "العربية", dir: "rtl", messages: ar },
+};
+
+// localStorage key for a locale picked in the switcher.
+const STORAGE_KEY = "portfolio.locale";
+
+// Fired on window after setLocale, so every useI18n re-renders.
+const LOCALE_EVENT = "portfolio:locale";
+
+// Matches a language tag such as "es-MX" to a supported locale by its base language.
+const matchLocale = (tag) => {
+  const base = String(tag ?? "")
+    .toLowerCase()
+    .split("-")[0];
+  return Object.hasOwn(LOCALES, base) ? base : null;
+};
+
+// detectLocale returns the saved choice, else the first supported language
+// from the browser settings, else English.
+export function detectLocale() {
+  try {
+    const stored = matchLocale(localStorage.getItem(STORAGE_KEY));
+    if (stored) return stored;
+  } catch {
+    // Storage unavailable; fall through to the browser languages.
+  }
+  const languages = navigator.languages ?? [navigator.language];
+  for (const language of languages) {
+    const locale = matchLocale(language);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+// lang and dir on <html> drive screen reader pronunciation and RTL layout.
+const applyLocale = (locale) => {
+  document.documentElement.lang = locale;
+  document.documentElement.dir = LOCALES[locale].dir;
+};
+
+let currentLocale = DEFAULT_LOCALE;
+if (typeof window !== "undefined") {
+  currentLocale = detectLocale();
+  applyLocale(currentLocale);
+}
+
+// setLocale switches the language for the whole app and remembers the choice.
+export function setLocale(locale) {
+  if (!Object.hasOwn(LOCALES, locale) || locale === currentLocale) return;
+  currentLocale = locale;
+  try {
+    localStorage.setItem(STORAGE_KEY, locale);
+  } catch {
+    // The choice then lasts until the page is reloaded.
+  }
+  applyLocale(locale);
+  window.dispatchEvent(new Event(LOCALE_EVENT));
+}
+
+const subscribe = (callback) => {
+  window.addEventListener(LOCALE_EVENT, callback);
+  return () => window.removeEventListener(LOCALE_EVENT, callback);
+};
+
+const getLocale = () => currentLocale;
+
+// Resolves a dotted key ("contact.errors.email.invalid") in a catalog.
+const lookup = (messages, key) =>
+  key
+    .split(".")
+    .reduce(
+      (node, part) =>
+        node != null && typeof node === "object" ? node[part] : undefined,
+      messages
+    );
+
+// Each missing key is reported once per locale, and only in development.
+const reported = new Set();
+const warnMissing = (locale, key) => {
+  if (!import.meta.env.DEV || reported.has(`${locale}:${key}`)) return;
+  reported.add(`${locale}:${key}`);
+  console.warn(`Missing "${locale}" translation for "${key}"; using English.`);
+};
+
+// Fills "{name}" placeholders; numbers are formatted for the locale. Unknown
+// placeholders are left in place so callers can split on them.
+const interpolate = (message, params, locale) =>
+  message.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!params || !(name in params)) return match;
+    const value = params[name];
+    return typeof value === "number"
+      ? new Intl.NumberFormat(locale).format(value)
+      : String(value);
+  });
+
+// Messages that vary by count are objects keyed by plural category
+// ({ one, other, ... }) and are chosen with params.count.
+const selectPlural = (message, params, locale) =>
+  typeof message === "object"
+    ? (message[new Intl.PluralRules(locale).select(params?.count ?? 0)] ??
+      message.other)
+    : message;
+
+const translate = (locale, key, params) => {
+  let message = lookup(LOCALES[locale].messages, key);
+  let messageLocale = locale;
+  if (message == null && locale !== DEFAULT_LOCALE) {
+    warnMissing(locale, key);
+    message = lookup(en, key);
+    messageLocale = DEFAULT_LOCALE;
+  }
+  if (message == null) {
+    warnMissing(DEFAULT_LOCALE, key);
+    return key;
+  }
+  return interpolate(
+    selectPlural(message, params, messageLocale),
+    params,
+    locale
+  );
+};
+
+// Content items (projects, skills, ...) are written in English in src/data or
+// Firestore; catalogs translate them under content.{type}.{item id}.{field}.
+const localizeItem = (locale, type, item, fields) => {
+  if (locale === DEFAULT_LOCALE) return item;
+  const localized = { ...item };
+  for (const field of fields) {
+    const key = `content.${type}.${item.id}.${field}`;
+    const message = lookup(LOCALES[locale].messages, key);
+    // Text fields translate to a string, line lists (achievements) to an array.
+    if (typeof message === "string" || Array.isArray(message)) {
+      localized[field] = message;
+    } else if (item[field]) {
+      warnMissing(locale, key);
+    }
+  }
+  return localized;
+};
+
+// useI18n returns the active locale and helpers bound to it:
+//   t(key, params)            - translated message
+//   formatDate(date, options) - Intl.DateTimeFormat for the locale
+//   localize(type, item, fields) - content item with translated fields
+// Components re-render when the locale changes.
+export function useI18n() {
+  const locale = useSyncExternalStore(
+    subscribe,
+    getLocale,
+    () => DEFAULT_LOCALE
+  );
+  return useMemo(
+    () => ({
+      locale,
+      dir: LOCALES[locale].dir,
+      t: (key, params) => translate(locale, key, params),
+      formatDate: (date, options) =>
+        new Intl.DateTimeFormat(locale, options).format(date),
+      localize: (type, item, fields) =>
+        localizeItem(locale, type, item, fields),
+    }),
+    [locale]
+  );
+}
@@ -0,0 +1,93 @@
+import {
+  Briefcase,
+  Cable,
+  CircleHelp,
+  Cloud,
+  Database,
+  GraduationCap,
+  Mail,
+  Menu,
+  Monitor,
+  Moon,
+  Sun,
+} from "lucide-react";
+import {
+  siCss,
+  siD3,
+  siExpress,
+  siFacebook,
+  siFirebase,
+  siGithub,
+  siGooglegemini,
+  siHtml5,
+  siInstagram,
+  siJavascript,
+  siMongodb,
+  siNextdotjs,
+  siNodedotjs,
+  siReact,
+  siTailwindcss,
+  siVercel,
+  siX,
+  siYoutube,
+} from "simple-icons";
+
+// Icon registry
+// Everything is imported by name so the bundler only ships the icons listed
+// here, and nothing is fetched at runtime. To add an icon, import it and give
+// it a name below; the names are what components and content data refer to.
+
+// Interface icons (lucide-react components).
+export const UI_ICONS = {
+  Briefcase,
+  Cable,
+  Cloud,
+  Database,
+  GraduationCap,
+  Mail,
+  Menu,
+  Monitor,
+  Moon,
+  Sun,
+};
+
+// simple-icons does not ship LinkedIn, so its mark is kept here in the same shape.
+const siLinkedin = {
+  title: "LinkedIn",
+  hex: "0A66C2",
+  path: "M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037-1.853 0-2.136 1.445-2.136 2.939v5.667H9.351V9h3.414v1.561h.046c.477-.9 1.637-1.85 3.37-1.85 3.601 0 4.267 2.37 4.267 5.455v6.286zM5.337 7.433c-1.144 0-2.063-.926-2.063-2.065 0-1.138.92-2.063 2.063-2.063 1.14 0 2.064.925 2.064 2.063 0 1.139-.925 2.065-2.064 2.065zm1.782 13.019H3.555V9h3.564v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.227.792 24 1.771 24h20.451C23.2 24 24 23.227 24 22.271V1.729C24 .774 23.2 0 22.222 0h.003z",
+};
+
+// Brand icons for technologies and social networks (simple-icons data:
+// { title, hex, path } on a 24x24 grid).
+export const BRAND_ICONS = {
+  Css: siCss,
+  D3: siD3,
+  Express: siExpress,
+  Facebook: siFacebook,
+  Firebase: siFirebase,
+  Gemini: siGooglegemini,
+  Github: siGithub,
+  Html5: siHtml5,
+  Instagram: siInstagram,
+  JavaScript: siJavascript,
+  Linkedin: siLinkedin,
+  MongoDB: siMongodb,
+  Nextjs: siNextdotjs,
+  Nodejs: siNodedotjs,
+  React: siReact,
+  Tailwind: siTailwindcss,
+  Twitter: siX, // Twitter is now X.
+  Vercel: siVercel,
+  X: siX,
+  Youtube: siYoutube,
+};
+
+// Shown for names missing from both sets.
+export const FallbackIcon = CircleHelp;
+
+// All icon names, for pickers such as the skills editor in /admin.
+export const ICON_NAMES = [
+  ...Object.keys(UI_ICONS),
+  ...Object.keys(BRAND_ICONS),
+].sort();
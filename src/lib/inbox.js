@@ -0,0 +1,132 @@
+import { useEffect, useState } from "react";
+import {
+  collection,
+  deleteDoc,
+  doc,
+  onSnapshot,
+  orderBy,
+  query,
+  serverTimestamp,
+  updateDoc,
+} from "firebase/firestore";
+import { contactCollectionPath } from "./contact";
+
+// Message lifecycle. New submissions are "new" (unread); the owner moves them
+// to "read" or "replied". Archiving is tracked separately so archived messages
+// keep their status.
+export const MESSAGE_STATUSES = ["new", "read", "replied"];
+
+const normalizeMessage = (data, id) => ({
+  id,
+  name: data.name ?? "",
+  email: data.email ?? "",
+  message: data.message ?? "",
+  status: MESSAGE_STATUSES.includes(data.status) ? data.status : "new",
+  archived: Boolean(data.archived),
+  // createdAt is null until the server timestamp has been written.
+  createdAt: data.createdAt?.toDate?.() ?? null,
+  repliedAt: data.repliedAt?.toDate?.() ?? null,
+});
+
+// useInboxMessages follows the contact messages collection, newest first.
+// Returns { messages, error }; both update in real time.
+export function useInboxMessages({ db, appId }) {
+  const [state, setState] = useState({ messages: [], error: null });
+
+  useEffect(() => {
+    if (!db) return;
+    const unsubscribe = onSnapshot(
+      query(
+        collection(db, contactCollectionPath(appId)),
+        orderBy("createdAt", "desc")
+      ),
+      (snapshot) => {
+        setState({
+          messages: snapshot.docs.map((d) => normalizeMessage(d.data(), d.id)),
+          error: null,
+        });
+      },
+      (error) => {
+        console.error("Failed to load contact messages:", error);
+        setState((prev) => ({ ...prev, error }));
+      }
+    );
+    return () => unsubscribe();
+  }, [db, appId]);
+
+  return state;
+}
+
+// countUnread returns the number of unread messages outside the archive.
+export const countUnread = (messages) =>
+  messages.filter((m) => m.status === "new" && !m.archived).length;
+
+// searchMessages filters by sender name or email (case-insensitive).
+export function searchMessages(messages, term) {
+  const needle = term.trim().toLowerCase();
+  if (!needle) return messages;
+  return messages.filter(
+    (m) =>
+      m.name.toLowerCase().includes(needle) ||
+      m.email.toLowerCase().includes(needle)
+  );
+}
+
+const messageRef = (db, appId, id) => doc(db, contactCollectionPath(appId), id);
+
+// updateMessages applies the same change to several messages.
+// Allowed changes are { status }, { archived } or a reply (see markReplied).
+export async function updateMessages({ db, appId, ids, changes }) {
+  await Promise.all(
+    ids.map((id) => updateDoc(messageRef(db, appId, id), changes))
+  );
+}
+
+export const markReplied = ({ db, appId, id }) =>
+  updateDoc(messageRef(db, appId, id), {
+    status: "replied",
+    repliedAt: serverTimestamp(),
+  });
+
+export async function deleteMessages({ db, appId, ids }) {
+  await Promise.all(ids.map((id) => deleteDoc(messageRef(db, appId, id))));
+}
+
+// Quotes a CSV field when it contains a delimiter, quote or line break.
+// Visitors write the messages, so text that a spreadsheet would run as a
+// formula (starting with =, +, -, @, tab or CR) is prefixed with ' to keep it
+// plain text.
+const csvField = (value) => {
+  let text = value == null ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// messagesToCsv serializes messages as RFC 4180 CSV with a header row.
+export function messagesToCsv(messages) {
+  const header = ["Date", "Name", "Email", "Message", "Status", "Archived"];
+  const rows = messages.map((m) => [
+    m.createdAt ? m.createdAt.toISOString() : "",
+    m.name,
+    m.email,
+    m.message,
+    m.status,
+    m.archived ? "yes" : "no",
+  ]);
+  return [header, ...rows]
+    .map((row) => row.map(csvField).join(","))
+    .join("\r\n");
+}
+
+// downloadCsv saves the given CSV text as a file through a temporary link.
+export function downloadCsv(csv, filename) {
+  const url = URL.createObjectURL(
+    new Blob([csv], { type: "text/csv;charset=utf-8" })
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Revoking straight away can cancel the download in some browsers.
+  setTimeout(() => URL.revokeObjectURL(url));
+}
@@ -0,0 +1,72 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { downloadCsv, messagesToCsv } from "./inbox";
+
+const MESSAGE = {
+  createdAt: new Date("2025-05-12T09:30:00Z"),
+  name: "Ada",
+  email: "ada@example.com",
+  message: "Hello there",
+  status: "new",
+  archived: false,
+};
+
+// The data row of a one-message export.
+const row = (message) =>
+  messagesToCsv([{ ...MESSAGE, ...message }]).split("\r\n")[1];
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe("messagesToCsv", () => {
+  it("writes a header and one row per message", () => {
+    expect(messagesToCsv([MESSAGE])).toBe(
+      "Date,Name,Email,Message,Status,Archived\r\n" +
+        "2025-05-12T09:30:00.000Z,Ada,ada@example.com,Hello there,new,no"
+    );
+  });
+
+  it("quotes fields with delimiters, quotes and line breaks", () => {
+    expect(row({ message: 'Hi, "you"\nthere' })).toBe(
+      '2025-05-12T09:30:00.000Z,Ada,ada@example.com,"Hi, ""you""\nthere",new,no'
+    );
+  });
+
+  it.each(["=HYPERLINK(1)", "+1", "-1+2", "@SUM(A1)", "\tx", "\rx"])(
+    "keeps %j from running as a formula",
+    (name) => {
+      const [, field] = row({ name }).split(",");
+      expect(field.replace(/^"/, "")).toMatch(/^'/);
+    }
+  );
+
+  it("quotes a formula once it is defused", () => {
+    expect(row({ message: '=1+2,"3"' })).toContain(`"'=1+2,""3"""`);
+  });
+});
+
+describe("downloadCsv", () => {
+  it("revokes the file URL only after the download has started", () => {
+    vi.useFakeTimers();
+    // jsdom has no object URLs; stand-ins on a copy of URL, undone afterwards.
+    const revokeObjectURL = vi.fn();
+    vi.stubGlobal(
+      "URL",
+      class extends URL {
+        static createObjectURL = () => "blob:csv";
+        static revokeObjectURL = revokeObjectURL;
+      }
+    );
+    const click = vi
+      .spyOn(HTMLAnchorElement.prototype, "click")
+      .mockImplementation(() => {});
+
+    downloadCsv("a,b", "inbox.csv");
+    expect(click).toHaveBeenCalled();
+    expect(revokeObjectURL).not.toHaveBeenCalled();
+    vi.runAllTimers();
+    expect(revokeObjectURL).toHaveBeenCalledWith("blob:csv");
+  });
+});
@@ -0,0 +1,17 @@
+import { useSyncExternalStore } from "react";
+
+const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+const subscribe = (callback) => {
+  const media = window.matchMedia(REDUCED_MOTION_QUERY);
+  media.addEventListener("change", callback);
+  return () => media.removeEventListener("change", callback);
+};
+
+const getSnapshot = () => window.matchMedia(REDUCED_MOTION_QUERY).matches;
+
+// usePrefersReducedMotion reports whether the visitor asked the OS for less
+// motion, and re-renders if that setting changes. Animations driven from
+// JavaScript should check it; CSS ones can use Tailwind's motion-safe: variant.
+export const usePrefersReducedMotion = () =>
+  useSyncExternalStore(subscribe, getSnapshot, () => false);
@@ -0,0 +1,23 @@
+import { useMemo } from "react";
+import profile from "../data/profile";
+import { useI18n } from "./i18n";
+
+// useProfile returns the site owner's profile (src/data/profile.js) with the
+// name and job title in the active language. Catalogs translate them under
+// content.profile.owner.
+export function useProfile() {
+  const { localize } = useI18n();
+  return useMemo(
+    () => localize("profile", profile, ["name", "title"]),
+    [localize]
+  );
+}
+
+// formatLocation returns the profile location for display, e.g.
+// "Pune, Maharashtra, India", with the country named in the given locale.
+export function formatLocation({ city, region, countryCode } = {}, locale) {
+  const country = countryCode
+    ? new Intl.DisplayNames([locale], { type: "region" }).of(countryCode)
+    : "";
+  return [city, region, country].filter(Boolean).join(", ");
+}
@@ -0,0 +1,108 @@
+import { useCallback, useEffect, useState } from "react";
+import { navigate } from "./router";
+
+// Sort options offered by the filter bar, as their query string values.
+// Labels live in the message catalogs under projects.sort.
+export const SORT_OPTIONS = ["newest", "oldest", "name"];
+
+export const DEFAULT_FILTERS = {
+  query: "",
+  tags: [],
+  match: "any", // "any" = OR semantics, "all" = AND semantics.
+  sort: "newest",
+};
+
+// parseFilters reads the filter state from a query string such as
+// "?q=chat&tags=React,Gemini&match=all&sort=name".
+export function parseFilters(search) {
+  const params = new URLSearchParams(search);
+  const tags = params.get("tags");
+  const match = params.get("match");
+  const sort = params.get("sort");
+  return {
+    query: params.get("q") ?? DEFAULT_FILTERS.query,
+    tags: tags ? tags.split(",").filter(Boolean) : DEFAULT_FILTERS.tags,
+    match: match === "all" ? "all" : DEFAULT_FILTERS.match,
+    sort: SORT_OPTIONS.includes(sort) ? sort : DEFAULT_FILTERS.sort,
+  };
+}
+
+// serializeFilters is the inverse of parseFilters. Default values are left out
+// so the unfiltered page keeps a clean URL. Unrelated parameters are preserved.
+export function serializeFilters(filters, search = "") {
+  const params = new URLSearchParams(search);
+  const set = (key, value, defaultValue) => {
+    if (value && value !== defaultValue) params.set(key, value);
+    else params.delete(key);
+  };
+  set("q", filters.query.trim(), "");
+  set("tags", filters.tags.join(","), "");
+  set("match", filters.match, DEFAULT_FILTERS.match);
+  set("sort", filters.sort, DEFAULT_FILTERS.sort);
+  const query = params.toString();
+  return query ? `?${query}` : "";
+}
+
+// collectTags returns every tag used by the projects, sorted alphabetically.
+export function collectTags(projects) {
+  const tags = new Set(projects.flatMap((project) => project.tags));
+  return [...tags].sort((a, b) => a.localeCompare(b));
+}
+
+// Projects without an end date are ongoing, so they sort as the most recent.
+const projectDate = (project) =>
+  project.endDate ?? (project.startDate ? "9999-12" : "");
+
+const SORTERS = {
+  newest: (a, b) => projectDate(b).localeCompare(projectDate(a)),
+  oldest: (a, b) => projectDate(a).localeCompare(projectDate(b)),
+  name: (a, b) => a.title.localeCompare(b.title),
+};
+
+// filterProjects applies the free-text search, tag facets and sort order.
+export function filterProjects(projects, filters) {
+  const query = filters.query.trim().toLowerCase();
+  const matchesTags =
+    filters.match === "all"
+      ? (project) => filters.tags.every((tag) => project.tags.includes(tag))
+      : (project) => filters.tags.some((tag) => project.tags.includes(tag));
+
+  return projects
+    .filter(
+      (project) =>
+        !query ||
+        project.title.toLowerCase().includes(query) ||
+        project.description.toLowerCase().includes(query)
+    )
+    .filter((project) => filters.tags.length === 0 || matchesTags(project))
+    .sort(SORTERS[filters.sort] ?? SORTERS.newest);
+}
+
+// useProjectFilters keeps the filter state in sync with the URL query string,
+// so a filtered view can be shared and survives a reload.
+export function useProjectFilters() {
+  // Prerendered pages have no query string. A filtered URL therefore differs
+  // from the prerendered HTML, and React re-renders that page on hydration.
+  const [filters, setFilters] = useState(() =>
+    parseFilters(typeof window === "undefined" ? "" : window.location.search)
+  );
+
+  // Mirror state changes into the URL without adding history entries per
+  // keystroke. Going through the router keeps useLocation (the header's nav
+  // links, say) in step with the query string.
+  useEffect(() => {
+    const search = serializeFilters(filters, window.location.search);
+    if (search !== window.location.search) {
+      const { pathname, hash } = window.location;
+      navigate(pathname + search + hash, { replace: true, scroll: false });
+    }
+  }, [filters]);
+
+  const updateFilters = useCallback(
+    (changes) => setFilters((prev) => ({ ...prev, ...changes })),
+    []
+  );
+  const resetFilters = useCallback(() => setFilters(DEFAULT_FILTERS), []);
+
+  return { filters, updateFilters, resetFilters };
+}
@@ -0,0 +1,28 @@
+import { useContent } from "./content";
+
+// useProjects returns the projects catalog: the bundled list from
+// src/data/projects.js, replaced live by the Firestore "projects" collection.
+export const useProjects = ({ db, appId }) =>
+  useContent("projects", { db, appId });
+
+// Formats a "YYYY-MM" string for the locale, e.g. "Jan 2024" in English.
+const formatMonth = (value, locale) => {
+  const [year, month] = value.split("-").map(Number);
+  return new Date(year, (month || 1) - 1).toLocaleDateString(locale, {
+    month: "short",
+    year: "numeric",
+  });
+};
+
+// formatProjectDates returns the date range shown on a project card,
+// e.g. "Jan 2024 – Apr 2024" or "Jan 2025 – Present". present is the
+// translated word for an ongoing project.
+export function formatProjectDates(
+  { startDate, endDate },
+  { locale = "en", present = "Present" } = {}
+) {
+  if (!startDate) return "";
+  return `${formatMonth(startDate, locale)} – ${
+    endDate ? formatMonth(endDate, locale) : present
+  }`;
+}
@@ -0,0 +1,80 @@
+import { useSyncExternalStore } from "react";
+
+// Fired on window when a new version of the site is waiting, or the visitor
+// dismissed it.
+const UPDATE_EVENT = "portfolio:update";
+
+// The installed service worker of a newer build, waiting to take over.
+let waitingWorker = null;
+// Set once the visitor accepts the update, so the page reloads only then.
+let isUpdating = false;
+
+const setWaitingWorker = (worker) => {
+  waitingWorker = worker;
+  window.dispatchEvent(new Event(UPDATE_EVENT));
+};
+
+// Watches a registration for a new worker that has finished installing while
+// an older one still controls the page, which means a new build shipped.
+const watchForUpdates = (registration) => {
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    setWaitingWorker(registration.waiting);
+  }
+  registration.addEventListener("updatefound", () => {
+    const worker = registration.installing;
+    worker?.addEventListener("statechange", () => {
+      if (worker.state === "installed" && navigator.serviceWorker.controller) {
+        setWaitingWorker(worker);
+      }
+    });
+  });
+  // Long-lived tabs check again whenever the visitor comes back to them.
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "visible") {
+      registration.update().catch(() => {});
+    }
+  });
+};
+
+// registerServiceWorker installs sw.js (built by plugins/pwa.js) after the page
+// has loaded, in production builds only: the dev server has no sw.js, and a
+// cache would hide changes while developing.
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (isUpdating) window.location.reload();
+  });
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register("/sw.js")
+      .then(watchForUpdates)
+      .catch((error) =>
+        console.error("Failed to register the service worker:", error)
+      );
+  });
+}
+
+// applyUpdate lets the waiting worker take over; the page reloads once it has.
+export function applyUpdate() {
+  if (!waitingWorker) return;
+  isUpdating = true;
+  waitingWorker.postMessage("skipWaiting");
+}
+
+// dismissUpdate hides the update prompt. The new version still takes over
+// once every tab of the site is closed.
+export const dismissUpdate = () => setWaitingWorker(null);
+
+const subscribeUpdate = (callback) => {
+  window.addEventListener(UPDATE_EVENT, callback);
+  return () => window.removeEventListener(UPDATE_EVENT, callback);
+};
+
+// useUpdateAvailable reports whether a new version is waiting for the visitor
+// to reload. Always false when prerendering.
+export const useUpdateAvailable = () =>
+  useSyncExternalStore(
+    subscribeUpdate,
+    () => waitingWorker !== null,
+    () => false
+  );
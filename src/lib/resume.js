@@ -0,0 +1,150 @@
+import { useMemo } from "react";
+import { useContent } from "./content";
+import { useProfile } from "./profile";
+import { SOCIAL_NETWORKS } from "./socialNetworks";
+import { sortTimeline } from "./timeline";
+import { useI18n } from "./i18n";
+import { absoluteUrl } from "./seo";
+
+// Schema the JSON export follows (https://jsonresume.org/schema).
+export const JSON_RESUME_SCHEMA =
+  "https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json";
+
+// Omits empty values so the export only carries fields that have content.
+const compact = (object) =>
+  Object.fromEntries(
+    Object.entries(object).filter(
+      ([, value]) =>
+        value != null &&
+        value !== "" &&
+        !(typeof value === "object" && Object.keys(value).length === 0)
+    )
+  );
+
+// buildResume assembles a JSON Resume document from the portfolio content:
+// the profile (name, title, email, location, photo and social accounts), the
+// About cards as the summary, timeline entries as work and education, skills
+// and projects. Items should already be localized; labels.level(level) and
+// labels.category(category) return the words for skill levels and categories.
+export function buildResume({
+  profile,
+  url,
+  about,
+  timeline,
+  skills,
+  projects,
+  labels,
+}) {
+  const entries = sortTimeline(timeline);
+  return {
+    $schema: JSON_RESUME_SCHEMA,
+    basics: compact({
+      name: profile.name,
+      label: profile.title,
+      image: profile.avatar,
+      email: profile.email,
+      url,
+      summary: about.map((card) => card.body).join("\n\n"),
+      location: compact(profile.location),
+      profiles: profile.social.map(({ network, url }) => ({
+        network: SOCIAL_NETWORKS[network].name,
+        url,
+      })),
+    }),
+    work: entries
+      .filter((entry) => entry.type !== "education")
+      .map((entry) =>
+        compact({
+          name: entry.organization,
+          position: entry.role,
+          location: entry.location,
+          url: entry.url,
+          startDate: entry.startDate,
+          endDate: entry.endDate,
+          highlights: entry.achievements,
+        })
+      ),
+    education: entries
+      .filter((entry) => entry.type === "education")
+      .map((entry) =>
+        compact({
+          institution: entry.organization,
+          studyType: entry.role,
+          url: entry.url,
+          startDate: entry.startDate,
+          endDate: entry.endDate,
+        })
+      ),
+    skills: skills.map((skill) =>
+      compact({
+        name: skill.name,
+        level: skill.level ? labels.level(skill.level) : null,
+        keywords: [labels.category(skill.category)],
+      })
+    ),
+    projects: projects.map((project) =>
+      compact({
+        name: project.title,
+        description: project.description,
+        url: project.demoUrl ?? project.repoUrl,
+        keywords: project.tags,
+        startDate: project.startDate,
+        endDate: project.endDate,
+      })
+    ),
+  };
+}
+
+// useResume returns the résumé for the active locale (see buildResume), built
+// from the same live content as the home page so the two never drift apart.
+export function useResume({ db, appId }) {
+  const { t } = useI18n();
+  const owner = useProfile();
+  const about = useContent("about", { db, appId });
+  const timeline = useContent("timeline", { db, appId });
+  const skills = useContent("skills", { db, appId });
+  const projects = useContent("projects", { db, appId });
+
+  return useMemo(
+    () =>
+      buildResume({
+        profile: {
+          ...owner,
+          avatar: absoluteUrl(owner.avatar),
+        },
+        url: absoluteUrl(""),
+        about,
+        timeline,
+        skills,
+        projects,
+        labels: {
+          level: (level) => t(`skills.levels.${level}`),
+          category: (category) => t(`skills.categories.${category}`),
+        },
+      }),
+    [t, owner, about, timeline, skills, projects]
+  );
+}
+
+// downloadResumeJson saves the résumé as a JSON Resume file, e.g.
+// "jaysingh-resume.json", through a temporary link.
+export function downloadResumeJson(resume) {
+  const slug = (resume.basics.name ?? "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+  const url = URL.createObjectURL(
+    new Blob([JSON.stringify(resume, null, 2)], { type: "application/json" })
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `${slug || "portfolio"}-resume.json`;
+  link.click();
+  // Revoking straight away can cancel the download in some browsers.
+  setTimeout(() => URL.revokeObjectURL(url));
+}
+
+// Query parameter that makes /resume open the print dialog once it renders,
+// so "Download CV → PDF" ends in the browser's "Save as PDF".
+export const PRINT_PARAM = "print";
@@ -0,0 +1,57 @@
+import { useEffect, useRef, useState, useSyncExternalStore } from "react";
+import { usePrefersReducedMotion } from "./motion";
+
+// IntersectionObserver support never changes, so there is nothing to subscribe to.
+const subscribeNever = () => () => {};
+const getSupported = () => typeof IntersectionObserver !== "undefined";
+
+// useReveal tracks whether an element has scrolled into view.
+// Options:
+//   threshold  - fraction of the element that must be visible (default 0.3)
+//   rootMargin - grows or shrinks the viewport box, as in IntersectionObserver
+//   once       - stay revealed after the first time (default false, so the
+//                element hides again when it leaves the viewport)
+//   onView     - called each time the element comes into view, with reduced
+//                motion too (used for section analytics)
+// Returns { ref, revealed }; pass ref to the element to watch. With reduced
+// motion, or without IntersectionObserver, everything counts as revealed.
+export function useReveal({
+  threshold = 0.3,
+  rootMargin = "0px",
+  once = false,
+  onView,
+} = {}) {
+  const reducedMotion = usePrefersReducedMotion();
+  // Prerendered HTML shows everything revealed; hydration starts from the
+  // same state before hiding what is not in view yet.
+  const supported = useSyncExternalStore(
+    subscribeNever,
+    getSupported,
+    () => false
+  );
+  // A callback ref (via state) so elements that mount later are observed too.
+  const [node, setNode] = useState(null);
+  const [inView, setInView] = useState(false);
+  // Kept in a ref so a new callback each render doesn't restart the observer.
+  const onViewRef = useRef(onView);
+  useEffect(() => {
+    onViewRef.current = onView;
+  });
+
+  useEffect(() => {
+    if (!node || !supported) return;
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        setInView(entry.isIntersecting);
+        if (!entry.isIntersecting) return;
+        onViewRef.current?.();
+        if (once) observer.disconnect();
+      },
+      { threshold, rootMargin }
+    );
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [node, threshold, rootMargin, once, supported]);
+
+  return { ref: setNode, revealed: reducedMotion || !supported || inView };
+}
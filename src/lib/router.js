@@ -0,0 +1,86 @@
+import { useMemo, useSyncExternalStore } from "react";
+import { ROUTES } from "./routes";
+
+// Fired on window after navigate() changes the history, since pushState and
+// replaceState do not emit popstate themselves.
+const NAVIGATE_EVENT = "portfolio:navigate";
+
+// navigate changes the current URL without reloading the page.
+// New pages start at the top unless the target has a hash to scroll to; pass
+// scroll: false to stay put, e.g. when only the query string of the page changes.
+export function navigate(to, { replace = false, scroll = true } = {}) {
+  const method = replace ? "replaceState" : "pushState";
+  window.history[method](null, "", to);
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+  if (scroll && !to.includes("#")) window.scrollTo(0, 0);
+}
+
+const subscribe = (callback) => {
+  window.addEventListener("popstate", callback);
+  window.addEventListener(NAVIGATE_EVENT, callback);
+  return () => {
+    window.removeEventListener("popstate", callback);
+    window.removeEventListener(NAVIGATE_EVENT, callback);
+  };
+};
+
+const getHref = () =>
+  window.location.pathname + window.location.search + window.location.hash;
+
+// Location rendered on the server (see src/entry-server.jsx). In the browser
+// hydration starts from the bare pathname, which is what was prerendered, and
+// then picks up the query string and hash.
+let staticHref = null;
+export function setStaticLocation(href) {
+  staticHref = href;
+}
+const getServerHref = () => staticHref ?? window.location.pathname;
+
+// useLocation returns { pathname, search, hash } and re-renders on navigation,
+// including the browser back/forward buttons.
+export function useLocation() {
+  const href = useSyncExternalStore(subscribe, getHref, getServerHref);
+  return useMemo(() => {
+    // Only the path parts are used, so any base will do.
+    const url = new URL(href, "http://localhost");
+    return { pathname: url.pathname, search: url.search, hash: url.hash };
+  }, [href]);
+}
+
+// Converts a route path such as "/projects/:slug" into a matching RegExp.
+const compilePath = (path) =>
+  new RegExp(
+    "^" +
+      path
+        .split("/")
+        .map((segment) =>
+          segment.startsWith(":")
+            ? "([^/]+)"
+            : segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+        )
+        .join("/") +
+      "/?$"
+  );
+
+const compiledRoutes = ROUTES.map((route) => ({
+  ...route,
+  pattern: compilePath(route.path),
+  keys: route.path
+    .split("/")
+    .filter((segment) => segment.startsWith(":"))
+    .map((segment) => segment.slice(1)),
+}));
+
+// matchRoute resolves a pathname to { name, params }.
+export function matchRoute(pathname) {
+  for (const route of compiledRoutes) {
+    const match = route.pattern.exec(pathname);
+    if (match) {
+      const params = Object.fromEntries(
+        route.keys.map((key, i) => [key, decodeURIComponent(match[i + 1])])
+      );
+      return { name: route.name, params };
+    }
+  }
+  return { name: "notFound", params: {} };
+}
@@ -0,0 +1,14 @@
+// Client-side routes. Paths may contain ":param" segments.
+// Anything that does not match falls through to the "notFound" route.
+// Routes with index: false are kept out of search engines: robots.txt
+// disallows them and sitemap.xml leaves them out (their pages also set a
+// robots "noindex" tag). This module has no imports so the build can read it
+// (see plugins/seo.js).
+export const ROUTES = [
+  { name: "home", path: "/" },
+  { name: "project", path: "/projects/:slug" },
+  { name: "blog", path: "/blog" },
+  { name: "post", path: "/blog/:post" },
+  { name: "resume", path: "/resume" },
+  { name: "admin", path: "/admin", index: false },
+];
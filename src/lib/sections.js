@@ -0,0 +1,100 @@
+import { useEffect, useState } from "react";
+import { navigate } from "./router";
+
+// Sections of the home page in page order, by element id. The header nav links
+// to each as "/#id", and the scroll-spy follows them. The timeline is left out
+// while it has no entries.
+export const HOME_SECTIONS = [
+  "home",
+  "about",
+  "timeline",
+  "projects",
+  "skills",
+  "contact",
+];
+
+// id of the fixed site header, whose height sections scroll below.
+export const HEADER_ID = "site-header";
+
+// Gap left between the fixed header and the top of a section after scrolling.
+const SCROLL_GAP = 2;
+
+// scrollToSection scrolls so the section starts just below the fixed header.
+// offset is the header height. Returns false if the section isn't rendered.
+export function scrollToSection(id, { offset = 0, behavior = "smooth" } = {}) {
+  const element = document.getElementById(id);
+  if (!element) return false;
+  window.scrollTo({
+    top:
+      element.getBoundingClientRect().top +
+      window.scrollY -
+      offset -
+      SCROLL_GAP,
+    behavior,
+  });
+  return true;
+}
+
+// goToSection follows a link to a home section. It puts the section in the URL
+// hash, keeping the home page's query string (the project filters), and the
+// header scrolls there; from other routes this navigates home first. If the
+// hash is already there the URL doesn't change, so it scrolls directly.
+export function goToSection(id) {
+  const { pathname, search, hash } = window.location;
+  const isHome = pathname === "/";
+  if (isHome && hash === `#${id}`) {
+    scrollToSection(id, {
+      offset: document.getElementById(HEADER_ID)?.offsetHeight ?? 0,
+    });
+  } else {
+    navigate(`/${isHome ? search : ""}#${id}`);
+  }
+}
+
+// useScrollSpy returns the id of the section currently being read: the last
+// one whose top has scrolled into the upper third of the viewport below the
+// header (headerRef). At the very bottom of the page the last section wins,
+// even if it is too short to get there. Returns null when disabled.
+export function useScrollSpy(ids, headerRef, { enabled = true } = {}) {
+  const [active, setActive] = useState(null);
+  const key = ids.join(",");
+
+  useEffect(() => {
+    if (!enabled) return;
+    const sectionIds = key.split(",");
+    let frame = 0;
+
+    const update = () => {
+      frame = 0;
+      const offset = headerRef.current?.offsetHeight ?? 0;
+      const line = offset + (window.innerHeight - offset) / 3;
+      const atBottom =
+        window.scrollY > 0 &&
+        window.innerHeight + window.scrollY >=
+          document.documentElement.scrollHeight - SCROLL_GAP;
+      let current = null;
+      for (const id of sectionIds) {
+        const element = document.getElementById(id);
+        if (element && element.getBoundingClientRect().top <= line) {
+          current = id;
+        }
+      }
+      setActive(atBottom ? sectionIds[sectionIds.length - 1] : current);
+    };
+    // Measure at most once per frame while scrolling.
+    const schedule = () => {
+      if (!frame) frame = requestAnimationFrame(update);
+    };
+
+    update();
+    window.addEventListener("scroll", schedule, { passive: true });
+    window.addEventListener("resize", schedule);
+    return () => {
+      window.removeEventListener("scroll", schedule);
+      window.removeEventListener("resize", schedule);
+      cancelAnimationFrame(frame);
+    };
+  }, [key, headerRef, enabled]);
+
+  return enabled ? active : null;
+}
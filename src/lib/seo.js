@@ -0,0 +1,217 @@
+import { useEffect } from "react";
+import profile from "../data/profile";
+import { useI18n } from "./i18n";
+import { useProfile } from "./profile";
+
+// Public address of the site, e.g. "https://jaysingh.dev", used for canonical
+// links, Open Graph URLs and sitemap.xml. Set VITE_SITE_URL at build time;
+// without it the current origin is used in the browser.
+export const SITE_URL = (import.meta.env.VITE_SITE_URL ?? "").replace(
+  /\/+$/,
+  ""
+);
+
+// Shared preview image for pages without one of their own: the profile photo.
+export const DEFAULT_IMAGE = profile.avatar;
+
+// absoluteUrl turns a site path into a full URL ("/resume" ->
+// "https://jaysingh.dev/resume"). Full URLs are returned unchanged. When
+// prerendering without VITE_SITE_URL the path stays relative.
+export function absoluteUrl(path) {
+  if (/^https?:\/\//.test(path)) return path;
+  const origin =
+    SITE_URL || (typeof window === "undefined" ? "" : window.location.origin);
+  return `${origin}${path}`;
+}
+
+// personSchema returns JSON-LD for the portfolio owner. sameAs lists their
+// social profile URLs.
+export const personSchema = ({ name, jobTitle, description, sameAs = [] }) => ({
+  "@type": "Person",
+  name,
+  jobTitle,
+  description,
+  url: absoluteUrl("/"),
+  image: absoluteUrl(DEFAULT_IMAGE),
+  ...(sameAs.length > 0 && { sameAs }),
+});
+
+// usePersonSchema returns personSchema for the portfolio owner, from the
+// profile (see useProfile) with the summary translated.
+export function usePersonSchema() {
+  const { t } = useI18n();
+  const { name, title, social } = useProfile();
+  return personSchema({
+    name,
+    jobTitle: title,
+    description: t("meta.description", { name }),
+    sameAs: social.map((account) => account.url),
+  });
+}
+
+// projectSchema returns JSON-LD for a project case study, credited to author
+// (a personSchema).
+export const projectSchema = (project, author) => ({
+  "@type": "CreativeWork",
+  name: project.title,
+  description: project.description,
+  url: absoluteUrl(`/projects/${project.slug}`),
+  keywords: project.tags.join(", "),
+  ...(project.startDate && { dateCreated: project.startDate }),
+  ...(project.images[0] && { image: absoluteUrl(project.images[0].src) }),
+  ...(project.repoUrl && { codeRepository: project.repoUrl }),
+  author,
+});
+
+// postSchema returns JSON-LD for a blog post, credited to author (a
+// personSchema).
+export const postSchema = (post, author) => ({
+  "@type": "BlogPosting",
+  headline: post.title,
+  description: post.description,
+  url: absoluteUrl(`/blog/${post.slug}`),
+  datePublished: post.date,
+  ...(post.updated && { dateModified: post.updated }),
+  keywords: post.tags.join(", "),
+  author,
+});
+
+// headEntries resolves page metadata (see useDocumentMeta) into the tags it
+// produces, shared by the browser and the prerenderer (headTags):
+// { title, meta: [[attribute, key, content]], canonical, structuredData }.
+const headEntries = ({
+  title,
+  description,
+  path,
+  image = DEFAULT_IMAGE,
+  type = "website",
+  noindex = false,
+  jsonLd,
+}) => {
+  const url = path ? absoluteUrl(path) : "";
+  const imageUrl = image ? absoluteUrl(image) : "";
+  return {
+    title,
+    meta: [
+      ["name", "description", description],
+      ["name", "robots", noindex ? "noindex, nofollow" : ""],
+      ["property", "og:title", title],
+      ["property", "og:description", description],
+      ["property", "og:type", type],
+      ["property", "og:url", url],
+      ["property", "og:image", imageUrl],
+      ["name", "twitter:card", "summary_large_image"],
+      ["name", "twitter:title", title],
+      ["name", "twitter:description", description],
+      ["name", "twitter:image", imageUrl],
+    ],
+    canonical: noindex ? "" : url,
+    structuredData: jsonLd
+      ? JSON.stringify({ "@context": "https://schema.org", ...jsonLd })
+      : "",
+  };
+};
+
+// Creates or updates a <meta> tag in <head>, or removes it when content is empty.
+const setMeta = (attribute, key, content) => {
+  let element = document.head.querySelector(`meta[${attribute}="${key}"]`);
+  if (!content) {
+    element?.remove();
+    return;
+  }
+  if (!element) {
+    element = document.createElement("meta");
+    element.setAttribute(attribute, key);
+    document.head.append(element);
+  }
+  element.setAttribute("content", content);
+};
+
+// Creates, updates or (without content) removes the element matching selector.
+const setHeadElement = (selector, content, create, apply) => {
+  let element = document.head.querySelector(selector);
+  if (!content) {
+    element?.remove();
+    return;
+  }
+  if (!element) {
+    element = create();
+    document.head.append(element);
+  }
+  apply(element, content);
+};
+
+const applyHead = ({ title, meta, canonical, structuredData }) => {
+  document.title = title;
+  for (const [attribute, key, content] of meta) {
+    setMeta(attribute, key, content);
+  }
+  setHeadElement(
+    'link[rel="canonical"]',
+    canonical,
+    () => Object.assign(document.createElement("link"), { rel: "canonical" }),
+    (link, href) => (link.href = href)
+  );
+  setHeadElement(
+    "script#structured-data",
+    structuredData,
+    () =>
+      Object.assign(document.createElement("script"), {
+        id: "structured-data",
+        type: "application/ld+json",
+      }),
+    (script, text) => (script.textContent = text)
+  );
+};
+
+// While prerendering there is no document and effects don't run, so the
+// metadata of the page being rendered is kept for headTags instead.
+let renderedMeta = null;
+
+// useDocumentMeta sets the <head> tags for the current page:
+//   title, description - <title> and meta description
+//   path               - canonical path, e.g. "/projects/ai-chatbot"
+//   image              - preview image path or URL (default the profile photo)
+//   type               - Open Graph type (default "website")
+//   noindex            - keep the page out of search results
+//   jsonLd             - schema.org object(s) for a JSON-LD script
+// Open Graph and Twitter card tags mirror the title, description and image.
+// Every page sets its own, so tags from the previous page never linger. Pass
+// null to leave the head to another component, such as a not-found fallback.
+export function useDocumentMeta(meta) {
+  if (meta && typeof document === "undefined") renderedMeta = meta;
+  // Compared by content so callers can build the metadata inline.
+  const key = meta ? JSON.stringify(meta) : "";
+
+  useEffect(() => {
+    if (key) applyHead(headEntries(JSON.parse(key)));
+  }, [key]);
+}
+
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"]/g,
+    (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[char]
+  );
+
+// headTags returns the <head> markup for the page last rendered on the server
+// (see src/entry-server.jsx), or "" if it set no metadata.
+export function headTags() {
+  if (!renderedMeta) return "";
+  const { title, meta, canonical, structuredData } = headEntries(renderedMeta);
+  renderedMeta = null;
+  return [
+    `<title>${escapeHtml(title)}</title>`,
+    ...meta
+      .filter(([, , content]) => content)
+      .map(
+        ([attribute, key, content]) =>
+          `<meta ${attribute}="${key}" content="${escapeHtml(content)}" />`
+      ),
+    canonical && `<link rel="canonical" href="${escapeHtml(canonical)}" />`,
+    structuredData &&
+      `<script id="structured-data" type="application/ld+json">${structuredData.replace(/</g, "\\u003c")}</script>`,
+  ]
+    .filter(Boolean)
+    .join("\n    ");
+}
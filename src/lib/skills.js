@@ -0,0 +1,57 @@
+import { SKILL_CATEGORIES } from "./content";
+
+// Views offered by the Skills section switcher. Labels live in the message
+// catalogs under skills.views.
+export const SKILL_VIEWS = ["grid", "category", "chart"];
+
+// Tailwind classes for each skill accent (see SKILL_ACCENTS in lib/content).
+// Written out in full so Tailwind can see every class name at build time.
+export const SKILL_ACCENT_CLASSES = {
+  orange: {
+    text: "text-orange-500",
+    shadow: "hover:shadow-orange-500/50",
+    bar: "bg-orange-500",
+  },
+  blue: {
+    text: "text-blue-400",
+    shadow: "hover:shadow-blue-400/50",
+    bar: "bg-blue-400",
+  },
+  gray: {
+    text: "text-fg-muted",
+    shadow: "hover:shadow-fg-muted/50",
+    bar: "bg-fg-muted",
+  },
+  green: {
+    text: "text-green-500",
+    shadow: "hover:shadow-green-500/50",
+    bar: "bg-green-500",
+  },
+  purple: {
+    text: "text-purple-500",
+    shadow: "hover:shadow-purple-500/50",
+    bar: "bg-purple-500",
+  },
+  yellow: {
+    text: "text-yellow-400",
+    shadow: "hover:shadow-yellow-400/50",
+    bar: "bg-yellow-400",
+  },
+};
+
+// groupSkillsByCategory returns [{ category, skills }] in SKILL_CATEGORIES
+// order, leaving out categories without skills.
+export function groupSkillsByCategory(skills) {
+  return SKILL_CATEGORIES.map((category) => ({
+    category,
+    skills: skills.filter((skill) => skill.category === category),
+  })).filter((group) => group.skills.length > 0);
+}
+
+// projectsForSkill returns the projects that used a skill, in the order the
+// skill lists them. Slugs without a matching project are skipped.
+export function projectsForSkill(skill, projects) {
+  return skill.projects
+    .map((slug) => projects.find((project) => project.slug === slug))
+    .filter(Boolean);
+}
@@ -0,0 +1,43 @@
+// Social networks the profile can link to (see src/data/profile.js): the
+// network's name (for the JSON Resume export), the icon from lib/icons, the
+// social.* message used as the link label, and the hosts a profile URL may
+// use. This module has no imports so the build can read it (see
+// plugins/profile.js).
+export const SOCIAL_NETWORKS = {
+  linkedin: {
+    name: "LinkedIn",
+    icon: "Linkedin",
+    label: "social.linkedin",
+    hosts: ["linkedin.com"],
+  },
+  github: {
+    name: "GitHub",
+    icon: "Github",
+    label: "social.github",
+    hosts: ["github.com"],
+  },
+  facebook: {
+    name: "Facebook",
+    icon: "Facebook",
+    label: "social.facebook",
+    hosts: ["facebook.com"],
+  },
+  youtube: {
+    name: "YouTube",
+    icon: "Youtube",
+    label: "social.youtube",
+    hosts: ["youtube.com", "youtu.be"],
+  },
+  instagram: {
+    name: "Instagram",
+    icon: "Instagram",
+    label: "social.instagram",
+    hosts: ["instagram.com"],
+  },
+  twitter: {
+    name: "X",
+    icon: "Twitter",
+    label: "social.twitter",
+    hosts: ["x.com", "twitter.com"],
+  },
+};
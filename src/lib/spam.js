@@ -0,0 +1,66 @@
+// Spam and abuse checks for the contact form.
+// These run in the browser for fast feedback; firestore.rules enforces the
+// link and rate limits again so direct API calls can't skip them. The honeypot
+// and time-to-submit checks only make sense for the rendered form.
+// Keep the numbers below in sync with firestore.rules.
+
+// Submissions faster than this after the form was shown are treated as bots.
+export const MIN_FILL_TIME_MS = 3000;
+
+// Messages with more links than this are rejected. Names may not contain links.
+export const MAX_LINKS = 2;
+
+// Per-user rate limit, tracked in artifacts/{appId}/rateLimits/{uid}.
+export const RATE_LIMIT = {
+  cooldownMs: 60 * 1000, // Minimum time between two messages.
+  windowMs: 24 * 60 * 60 * 1000, // Length of the counting window.
+  maxPerWindow: 5, // Messages allowed per window.
+};
+
+// Name of the hidden honeypot input. Humans never see it, so any value means a bot.
+export const HONEYPOT_FIELD = "website";
+
+const LINK_PATTERN = /https?:\/\/|www\./gi;
+const BBCODE_LINK_PATTERN = /\[url[=\]]/i;
+
+// Error thrown for submissions refused as spam or rate-limited. Its message is
+// deliberately generic so it doesn't tell a bot which check it tripped.
+export class SubmissionRejectedError extends Error {
+  constructor(reason) {
+    super("Submission rejected");
+    this.name = "SubmissionRejectedError";
+    this.reason = reason; // For logging only; never shown to the visitor.
+  }
+}
+
+// countLinks returns the number of URLs in a piece of text.
+export const countLinks = (text) => (text.match(LINK_PATTERN) ?? []).length;
+
+// checkSubmission runs the client-side spam checks on a validated message.
+// Returns the reason for rejecting it, or null when it looks fine.
+export function checkSubmission({ values, honeypot, startedAt, now }) {
+  if (honeypot) return "honeypot";
+  if (!startedAt || now - startedAt < MIN_FILL_TIME_MS) return "too-fast";
+  if (countLinks(values.name) > 0) return "link-in-name";
+  if (countLinks(values.message) > MAX_LINKS) return "too-many-links";
+  if (BBCODE_LINK_PATTERN.test(values.message)) return "bbcode-link";
+  return null;
+}
+
+// nextRateLimit decides how the rate limit document changes with a new message,
+// or throws SubmissionRejectedError when the user is over the limit.
+// current is the stored document ({ windowStart, count, lastSubmitAt } with
+// millisecond timestamps) or null for a first message.
+// Returns { newWindow, count }.
+export function nextRateLimit(current, now) {
+  if (current && now - current.lastSubmitAt < RATE_LIMIT.cooldownMs) {
+    throw new SubmissionRejectedError("cooldown");
+  }
+  if (!current || now - current.windowStart >= RATE_LIMIT.windowMs) {
+    return { newWindow: true, count: 1 };
+  }
+  if (current.count >= RATE_LIMIT.maxPerWindow) {
+    throw new SubmissionRejectedError("rate-limit");
+  }
+  return { newWindow: false, count: current.count + 1 };
+}
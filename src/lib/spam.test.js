@@ -0,0 +1,170 @@
+import { describe, expect, it } from "vitest";
+import {
+  MAX_LINKS,
+  MIN_FILL_TIME_MS,
+  RATE_LIMIT,
+  SubmissionRejectedError,
+  checkSubmission,
+  countLinks,
+  nextRateLimit,
+} from "./spam";
+
+const VALUES = {
+  name: "Ada",
+  email: "ada@example.com",
+  message: "Hello there, nice site!",
+};
+
+const NOW = Date.UTC(2025, 4, 12, 12);
+const SECOND = 1000;
+
+// A submission that passes every check, with overrides.
+const submission = (overrides) => ({
+  values: VALUES,
+  honeypot: "",
+  startedAt: NOW - MIN_FILL_TIME_MS,
+  now: NOW,
+  ...overrides,
+});
+
+// The reason nextRateLimit refuses a message, or null if it accepts it.
+const rejection = (current, now) => {
+  try {
+    nextRateLimit(current, now);
+    return null;
+  } catch (error) {
+    expect(error).toBeInstanceOf(SubmissionRejectedError);
+    return error.reason;
+  }
+};
+
+describe("checkSubmission", () => {
+  it("accepts an ordinary message", () => {
+    expect(checkSubmission(submission())).toBeNull();
+  });
+
+  it("rejects a filled-in honeypot", () => {
+    expect(checkSubmission(submission({ honeypot: "https://spam" }))).toBe(
+      "honeypot"
+    );
+  });
+
+  it("rejects forms sent within 3 seconds", () => {
+    expect(MIN_FILL_TIME_MS).toBe(3 * SECOND);
+    expect(
+      checkSubmission(submission({ startedAt: NOW - MIN_FILL_TIME_MS + 1 }))
+    ).toBe("too-fast");
+    expect(checkSubmission(submission({ startedAt: null }))).toBe("too-fast");
+  });
+
+  it("rejects links in the name", () => {
+    expect(
+      checkSubmission(
+        submission({ values: { ...VALUES, name: "Visit www.spam.test" } })
+      )
+    ).toBe("link-in-name");
+  });
+
+  it("allows up to 2 links in the message", () => {
+    const links = (count) =>
+      Array.from({ length: count }, (_, i) => `https://site${i}.test`).join(
+        " and "
+      );
+    expect(MAX_LINKS).toBe(2);
+    expect(
+      checkSubmission(
+        submission({ values: { ...VALUES, message: links(MAX_LINKS) } })
+      )
+    ).toBeNull();
+    expect(
+      checkSubmission(
+        submission({ values: { ...VALUES, message: links(MAX_LINKS + 1) } })
+      )
+    ).toBe("too-many-links");
+  });
+
+  it("rejects BBCode links", () => {
+    expect(
+      checkSubmission(
+        submission({
+          values: { ...VALUES, message: "Great deals [url=spam]here[/url]" },
+        })
+      )
+    ).toBe("bbcode-link");
+  });
+});
+
+describe("countLinks", () => {
+  it("counts http, https and www addresses", () => {
+    expect(countLinks("http://a.test, HTTPS://b.test and www.c.test")).toBe(3);
+    expect(countLinks("no links here")).toBe(0);
+  });
+});
+
+// These numbers must match the contact rate limit in firestore.rules.
+describe("nextRateLimit", () => {
+  it("matches the limits in firestore.rules", () => {
+    expect(RATE_LIMIT).toEqual({
+      cooldownMs: 60 * SECOND,
+      windowMs: 24 * 60 * 60 * SECOND,
+      maxPerWindow: 5,
+    });
+  });
+
+  it("starts a window with the first message", () => {
+    expect(nextRateLimit(null, NOW)).toEqual({ newWindow: true, count: 1 });
+  });
+
+  it("counts further messages in the same window", () => {
+    const current = {
+      windowStart: NOW - 60 * 60 * SECOND,
+      count: 2,
+      lastSubmitAt: NOW - 5 * 60 * SECOND,
+    };
+    expect(nextRateLimit(current, NOW)).toEqual({
+      newWindow: false,
+      count: 3,
+    });
+  });
+
+  it("enforces the cooldown between messages", () => {
+    const current = {
+      windowStart: NOW - 60 * 60 * SECOND,
+      count: 1,
+      lastSubmitAt: NOW - RATE_LIMIT.cooldownMs + 1,
+    };
+    expect(rejection(current, NOW)).toBe("cooldown");
+    expect(rejection(current, NOW + 1)).toBeNull();
+  });
+
+  it("refuses the message after the daily cap", () => {
+    const current = {
+      windowStart: NOW - 60 * 60 * SECOND,
+      count: RATE_LIMIT.maxPerWindow,
+      lastSubmitAt: NOW - 10 * 60 * SECOND,
+    };
+    expect(rejection(current, NOW)).toBe("rate-limit");
+    expect(rejection({ ...current, count: 4 }, NOW)).toBeNull();
+  });
+
+  it("starts a new window once the old one is a day old", () => {
+    const current = {
+      windowStart: NOW - RATE_LIMIT.windowMs,
+      count: RATE_LIMIT.maxPerWindow,
+      lastSubmitAt: NOW - 60 * 60 * SECOND,
+    };
+    expect(nextRateLimit(current, NOW)).toEqual({ newWindow: true, count: 1 });
+    expect(
+      rejection({ ...current, windowStart: current.windowStart + 1 }, NOW)
+    ).toBe("rate-limit");
+  });
+
+  it("applies the cooldown across a window rollover", () => {
+    const current = {
+      windowStart: NOW - RATE_LIMIT.windowMs - SECOND,
+      count: 3,
+      lastSubmitAt: NOW - 10 * SECOND,
+    };
+    expect(rejection(current, NOW)).toBe("cooldown");
+  });
+});
@@ -0,0 +1,80 @@
+import { useEffect, useSyncExternalStore } from "react";
+
+// Theme modes the visitor can choose. "system" follows the OS color scheme.
+export const THEME_MODES = ["light", "dark", "system"];
+
+// localStorage key for the chosen mode. The inline script in index.html reads
+// the same key to set the theme before the first paint; keep them in sync.
+const STORAGE_KEY = "portfolio.theme";
+
+// Fired on window after setThemeMode, so every useThemeMode re-renders.
+const THEME_EVENT = "portfolio:theme";
+
+const DARK_QUERY = "(prefers-color-scheme: dark)";
+
+// readThemeMode returns the stored mode, defaulting to "system".
+export function readThemeMode() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return THEME_MODES.includes(stored) ? stored : "system";
+  } catch {
+    return "system";
+  }
+}
+
+// resolveTheme turns a mode into the theme actually shown ("light" or "dark").
+export const resolveTheme = (mode) =>
+  mode === "system"
+    ? window.matchMedia(DARK_QUERY).matches
+      ? "dark"
+      : "light"
+    : mode;
+
+// The design tokens in index.css switch on this attribute.
+const applyTheme = (mode) => {
+  document.documentElement.dataset.theme = resolveTheme(mode);
+};
+
+let currentMode = "system";
+if (typeof window !== "undefined") currentMode = readThemeMode();
+
+// setThemeMode switches the theme for the whole app and remembers the choice.
+export function setThemeMode(mode) {
+  if (!THEME_MODES.includes(mode) || mode === currentMode) return;
+  currentMode = mode;
+  try {
+    localStorage.setItem(STORAGE_KEY, mode);
+  } catch {
+    // Storage can be unavailable (private mode); the choice then lasts for this visit.
+  }
+  window.dispatchEvent(new Event(THEME_EVENT));
+}
+
+const subscribe = (callback) => {
+  window.addEventListener(THEME_EVENT, callback);
+  return () => window.removeEventListener(THEME_EVENT, callback);
+};
+
+// useThemeMode returns [mode, setMode]. Changing the mode applies and persists
+// it; in "system" mode the page also follows later OS changes. Prerendered
+// HTML is built in "system" mode, so hydration starts there and then switches
+// to the stored mode (the page colors are already right: index.html applies
+// the theme before the first paint).
+export function useThemeMode() {
+  const mode = useSyncExternalStore(
+    subscribe,
+    () => currentMode,
+    () => "system"
+  );
+
+  useEffect(() => {
+    applyTheme(mode);
+    if (mode !== "system") return;
+    const media = window.matchMedia(DARK_QUERY);
+    const handleChange = () => applyTheme(mode);
+    media.addEventListener("change", handleChange);
+    return () => media.removeEventListener("change", handleChange);
+  }, [mode]);
+
+  return [mode, setThemeMode];
+}
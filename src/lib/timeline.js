@@ -0,0 +1,38 @@
+// Kinds of timeline entry. Labels live in the message catalogs under
+// timeline.types.
+export const TIMELINE_TYPES = ["job", "internship", "education"];
+
+// Current positions (no end date) count as running until now. "YYYY-MM"
+// strings compare correctly as text, so no date parsing is needed.
+const ONGOING = "9999-12";
+const endOf = (entry) => entry.endDate ?? ONGOING;
+
+// sortTimeline orders entries most recent first: current positions, then by
+// end date and, for equal end dates, by start date.
+export function sortTimeline(entries) {
+  return [...entries].sort(
+    (a, b) =>
+      endOf(b).localeCompare(endOf(a)) ||
+      (b.startDate ?? "").localeCompare(a.startDate ?? "")
+  );
+}
+
+// findConcurrent maps each entry id to the other entries whose date ranges
+// overlap it, e.g. an internship taken during a degree. Entries without a
+// start date are left out.
+export function findConcurrent(entries) {
+  const dated = entries.filter((entry) => entry.startDate);
+  const concurrent = new Map();
+  for (const entry of dated) {
+    concurrent.set(
+      entry.id,
+      dated.filter(
+        (other) =>
+          other !== entry &&
+          other.startDate <= endOf(entry) &&
+          entry.startDate <= endOf(other)
+      )
+    );
+  }
+  return concurrent;
+}
@@ -0,0 +1,182 @@
+import { useEffect, useMemo, useState, useSyncExternalStore } from "react";
+import { usePrefersReducedMotion } from "./motion";
+
+// Default timings in milliseconds. Each phrase can override the first three.
+export const TYPEWRITER_DEFAULTS = {
+  typeSpeed: 150, // Per character while typing.
+  deleteSpeed: 50, // Per character while deleting.
+  holdDelay: 1000, // Pause once a phrase is fully typed.
+  nextDelay: 500, // Pause before typing the next phrase.
+  reducedMotionDelay: 3000, // How long each phrase shows with reduced motion.
+};
+
+// Phrases may be plain strings or { text, typeSpeed, deleteSpeed, holdDelay }
+// objects such as hero role content items; missing timings use the defaults.
+const normalizePhrase = (phrase) =>
+  typeof phrase === "string"
+    ? { text: phrase }
+    : {
+        text: phrase?.text ?? "",
+        typeSpeed: phrase?.typeSpeed ?? null,
+        deleteSpeed: phrase?.deleteSpeed ?? null,
+        holdDelay: phrase?.holdDelay ?? null,
+      };
+
+// Fisher-Yates shuffle of the phrase indexes. When avoidFirst is given it is
+// kept out of the first slot so a phrase never shows twice in a row.
+const shuffledOrder = (count, avoidFirst) => {
+  const order = [...Array(count).keys()];
+  for (let i = count - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  if (count > 1 && order[0] === avoidFirst) {
+    [order[0], order[1]] = [order[1], order[0]];
+  }
+  return order;
+};
+
+const makeOrder = (count, shuffle, avoidFirst) =>
+  shuffle ? shuffledOrder(count, avoidFirst) : [...Array(count).keys()];
+
+// phase is "typing", "holding", "deleting", "waiting" or "done".
+const initialState = (key, count, shuffle) => ({
+  key,
+  order: makeOrder(count, shuffle),
+  position: 0,
+  text: "",
+  phase: "typing",
+});
+
+const subscribeVisibility = (callback) => {
+  document.addEventListener("visibilitychange", callback);
+  return () => document.removeEventListener("visibilitychange", callback);
+};
+const getHidden = () => document.hidden;
+
+// useTypewriter types each phrase out, holds it, deletes it and moves on.
+// Options (all optional):
+//   typeSpeed, deleteSpeed, holdDelay, nextDelay, reducedMotionDelay - timings
+//   loop    - start over after the last phrase (default true); otherwise the
+//             last phrase stays on screen
+//   shuffle - random order, reshuffled every round (default false)
+//   paused  - freeze the animation where it is
+// The animation also pauses while the tab is hidden. With reduced motion,
+// phrases are shown whole and swapped without the typing effect.
+// Returns { text, phrase, phase }: the visible text, the full current phrase
+// and the current step.
+export function useTypewriter(phrases, options = {}) {
+  const {
+    loop = true,
+    shuffle = false,
+    paused = false,
+    ...timingOptions
+  } = options;
+  const timings = { ...TYPEWRITER_DEFAULTS, ...timingOptions };
+  const reducedMotion = usePrefersReducedMotion();
+  const hidden = useSyncExternalStore(
+    subscribeVisibility,
+    getHidden,
+    () => false
+  );
+
+  // Callers often pass a new array every render; key the animation on the
+  // phrase contents instead so it only restarts when they really change.
+  const key = JSON.stringify(
+    phrases.map(normalizePhrase).filter((phrase) => phrase.text)
+  );
+  const items = useMemo(() => JSON.parse(key), [key]);
+
+  const [state, setState] = useState(() =>
+    initialState(key, items.length, shuffle)
+  );
+  // Start over when the phrases change (e.g. a live content update or a
+  // language switch).
+  let current = state;
+  if (state.key !== key) {
+    current = initialState(key, items.length, shuffle);
+    setState(current);
+  }
+
+  const item = items[current.order[current.position]];
+  const phrase = item?.text ?? "";
+  const isLast = current.position === items.length - 1;
+
+  const { typeSpeed, deleteSpeed, holdDelay, nextDelay, reducedMotionDelay } =
+    timings;
+  const speeds = {
+    typeSpeed: item?.typeSpeed ?? typeSpeed,
+    deleteSpeed: item?.deleteSpeed ?? deleteSpeed,
+    holdDelay: item?.holdDelay ?? holdDelay,
+  };
+
+  useEffect(() => {
+    if (paused || hidden || !item || current.phase === "done") return;
+
+    // Moves on to the next phrase, reshuffling at the end of a round.
+    const advance = (prev) => {
+      if (prev.position < items.length - 1) {
+        return { ...prev, position: prev.position + 1 };
+      }
+      const lastShown = prev.order[prev.position];
+      return {
+        ...prev,
+        order: makeOrder(items.length, shuffle, lastShown),
+        position: 0,
+      };
+    };
+
+    let delay;
+    let step;
+    if (reducedMotion) {
+      // Whole phrases only: show, wait, swap.
+      if (!loop && isLast) return;
+      delay = reducedMotionDelay;
+      step = (prev) => ({ ...advance(prev), text: "", phase: "typing" });
+    } else if (current.phase === "typing") {
+      delay = speeds.typeSpeed;
+      step = (prev) => {
+        const text = phrase.slice(0, prev.text.length + 1);
+        if (text !== phrase) return { ...prev, text };
+        return { ...prev, text, phase: !loop && isLast ? "done" : "holding" };
+      };
+    } else if (current.phase === "holding") {
+      delay = speeds.holdDelay;
+      step = (prev) => ({ ...prev, phase: "deleting" });
+    } else if (current.phase === "deleting") {
+      delay = speeds.deleteSpeed;
+      step = (prev) => {
+        const text = prev.text.slice(0, -1);
+        return text ? { ...prev, text } : { ...prev, text, phase: "waiting" };
+      };
+    } else {
+      delay = nextDelay;
+      step = (prev) => ({ ...advance(prev), phase: "typing" });
+    }
+
+    const timer = setTimeout(() => setState(step), delay);
+    return () => clearTimeout(timer);
+  }, [
+    current,
+    items,
+    item,
+    phrase,
+    isLast,
+    loop,
+    shuffle,
+    paused,
+    hidden,
+    reducedMotion,
+    speeds.typeSpeed,
+    speeds.deleteSpeed,
+    speeds.holdDelay,
+    nextDelay,
+    reducedMotionDelay,
+  ]);
+
+  return {
+    text: reducedMotion ? phrase : current.text,
+    phrase,
+    phase: current.phase,
+  };
+}
@@ -0,0 +1,163 @@
+import { act, renderHook } from "@testing-library/react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { useTypewriter } from "./typewriter";
+
+const TIMINGS = {
+  typeSpeed: 10,
+  deleteSpeed: 5,
+  holdDelay: 100,
+  nextDelay: 50,
+};
+
+// Moves the fake clock on, letting React apply each state change.
+const advance = (ms) => act(() => vi.advanceTimersByTime(ms));
+
+// Runs one animation step per delay. Each step schedules the next one when it
+// renders, so they can't be skipped through with a single advance.
+const steps = (...delays) => delays.forEach(advance);
+
+// Makes every (prefers-reduced-motion: reduce) query match.
+const preferReducedMotion = () =>
+  vi.spyOn(window, "matchMedia").mockImplementation((query) => ({
+    matches: query.includes("reduce"),
+    media: query,
+    addEventListener() {},
+    removeEventListener() {},
+  }));
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe("useTypewriter", () => {
+  it("types, holds, deletes and moves on to the next phrase", () => {
+    const { result } = renderHook(() => useTypewriter(["ab", "c"], TIMINGS));
+    expect(result.current).toEqual({ text: "", phrase: "ab", phase: "typing" });
+
+    advance(10);
+    expect(result.current.text).toBe("a");
+    advance(10);
+    expect(result.current).toMatchObject({ text: "ab", phase: "holding" });
+
+    advance(99);
+    expect(result.current.phase).toBe("holding");
+    advance(1);
+    expect(result.current.phase).toBe("deleting");
+
+    advance(5);
+    expect(result.current.text).toBe("a");
+    advance(5);
+    expect(result.current).toMatchObject({ text: "", phase: "waiting" });
+
+    advance(50);
+    expect(result.current).toMatchObject({
+      text: "",
+      phrase: "c",
+      phase: "typing",
+    });
+    advance(10);
+    expect(result.current).toMatchObject({ text: "c", phase: "holding" });
+  });
+
+  it("starts over after the last phrase when looping", () => {
+    const { result } = renderHook(() => useTypewriter(["a", "b"], TIMINGS));
+    // "a": type, hold, delete, wait; then the same for "b".
+    steps(10, 100, 5, 50);
+    expect(result.current.phrase).toBe("b");
+    steps(10, 100, 5, 50);
+    expect(result.current).toMatchObject({ phrase: "a", phase: "typing" });
+  });
+
+  it("leaves the last phrase on screen without loop", () => {
+    const { result } = renderHook(() =>
+      useTypewriter(["a", "bc"], { ...TIMINGS, loop: false })
+    );
+    steps(10, 100, 5, 50, 10, 10);
+    expect(result.current).toEqual({ text: "bc", phrase: "bc", phase: "done" });
+    advance(10_000);
+    expect(result.current).toEqual({ text: "bc", phrase: "bc", phase: "done" });
+  });
+
+  it("uses a phrase's own timings over the defaults", () => {
+    const { result } = renderHook(() =>
+      useTypewriter([{ text: "ab", typeSpeed: 40 }], TIMINGS)
+    );
+    advance(39);
+    expect(result.current.text).toBe("");
+    advance(1);
+    expect(result.current.text).toBe("a");
+  });
+
+  it("freezes while paused", () => {
+    const { result, rerender } = renderHook(
+      ({ paused }) => useTypewriter(["abc"], { ...TIMINGS, paused }),
+      { initialProps: { paused: false } }
+    );
+    advance(10);
+    rerender({ paused: true });
+    advance(1000);
+    expect(result.current.text).toBe("a");
+    rerender({ paused: false });
+    advance(10);
+    expect(result.current.text).toBe("ab");
+  });
+
+  it("pauses while the tab is hidden", () => {
+    const hidden = vi.spyOn(document, "hidden", "get").mockReturnValue(true);
+    const { result } = renderHook(() => useTypewriter(["abc"], TIMINGS));
+    advance(1000);
+    expect(result.current.text).toBe("");
+
+    hidden.mockReturnValue(false);
+    act(() => document.dispatchEvent(new Event("visibilitychange")));
+    advance(10);
+    expect(result.current.text).toBe("a");
+  });
+
+  it("shows whole phrases without typing when motion is reduced", () => {
+    preferReducedMotion();
+    const { result } = renderHook(() =>
+      useTypewriter(["web developer", "designer"], {
+        ...TIMINGS,
+        reducedMotionDelay: 3000,
+      })
+    );
+    expect(result.current.text).toBe("web developer");
+    advance(2999);
+    expect(result.current.text).toBe("web developer");
+    advance(1);
+    expect(result.current.text).toBe("designer");
+  });
+
+  it("starts over when the phrases change", () => {
+    const { result, rerender } = renderHook(
+      ({ phrases }) => useTypewriter(phrases, TIMINGS),
+      { initialProps: { phrases: ["abc"] } }
+    );
+    steps(10, 10);
+    expect(result.current.text).toBe("ab");
+
+    // A new array with the same phrases changes nothing.
+    rerender({ phrases: ["abc"] });
+    expect(result.current.text).toBe("ab");
+
+    rerender({ phrases: ["xyz"] });
+    expect(result.current).toEqual({
+      text: "",
+      phrase: "xyz",
+      phase: "typing",
+    });
+  });
+
+  it("skips empty phrases", () => {
+    const { result } = renderHook(() =>
+      useTypewriter(["", { text: "" }, "a"], TIMINGS)
+    );
+    expect(result.current.phrase).toBe("a");
+  });
+});
@@ -0,0 +1,374 @@
+// Arabic messages (see en.js for the full key list). Rendered right-to-left.
+const ar = {
+  nav: {
+    home: "الرئيسية",
+    about: "نبذة عني",
+    timeline: "الخبرات",
+    projects: "المشاريع",
+    skills: "المهارات",
+    contact: "تواصل",
+    blog: "المدونة",
+    toggle: "فتح أو إغلاق القائمة",
+    label: "التنقل الرئيسي",
+    skip: "انتقل إلى المحتوى",
+  },
+  theme: {
+    light: "فاتح",
+    dark: "داكن",
+    system: "النظام",
+    title: "المظهر: {mode}",
+    toggle: "المظهر: {mode}. التبديل إلى {next}.",
+  },
+  language: {
+    label: "اللغة",
+  },
+  hero: {
+    greeting: "مرحبًا، اسمي {name}",
+    intro:
+      "وأنا مطوّر ويب\nFull Stack شغوف\nلديّ خبرة في بناء\nالمواقع وتطبيقات\nالجوال باستخدام\nهذه المهارات",
+    contactMe: "تواصل معي",
+    resume: "عرض السيرة الذاتية",
+  },
+  social: {
+    connect: "تواصل معي عبر وسائل التواصل الاجتماعي:",
+    linkedin: "الملف الشخصي على LinkedIn",
+    facebook: "الملف الشخصي على Facebook",
+    github: "الملف الشخصي على GitHub",
+    youtube: "القناة على YouTube",
+    instagram: "الملف الشخصي على Instagram",
+    twitter: "الملف الشخصي على Twitter",
+    email: "راسلني",
+  },
+  sections: {
+    about: "نبذة عني",
+    timeline: "الخبرات والتعليم",
+    projects: "مشاريعي",
+    skills: "مهاراتي",
+    contact: "تواصل معي",
+  },
+  projects: {
+    searchLabel: "البحث في المشاريع",
+    searchPlaceholder: "ابحث في المشاريع...",
+    sortLabel: "ترتيب المشاريع",
+    sort: {
+      newest: "الأحدث أولًا",
+      oldest: "الأقدم أولًا",
+      name: "الاسم (أ–ي)",
+    },
+    matchLegend: "مطابقة الوسوم",
+    matchAny: "أي وسم",
+    matchAll: "كل الوسوم",
+    count: {
+      zero: "لا توجد مشاريع",
+      one: "مشروع واحد",
+      two: "مشروعان",
+      few: "{count} مشاريع",
+      many: "{count} مشروعًا",
+      other: "{count} مشروع",
+    },
+    clearFilters: "مسح عوامل التصفية",
+    empty: "لا توجد مشاريع تطابق عوامل التصفية الحالية.",
+    technologies: "التقنيات",
+    present: "حتى الآن",
+    caseStudy: "دراسة الحالة",
+    source: "الشيفرة",
+    liveDemo: "عرض مباشر",
+    sourceCode: "الشيفرة المصدرية",
+    allProjects: "→ كل المشاريع",
+    gallery: "معرض الصور",
+    problem: "المشكلة",
+    solution: "الحل",
+    techStack: "التقنيات المستخدمة",
+  },
+  skills: {
+    viewLabel: "طريقة عرض المهارات",
+    views: {
+      grid: "شبكة",
+      category: "حسب الفئة",
+      chart: "مخطط",
+    },
+    categories: {
+      frontend: "الواجهة الأمامية",
+      backend: "الواجهة الخلفية",
+      data: "البيانات",
+      cloud: "السحابة",
+    },
+    levels: {
+      1: "مبتدئ",
+      2: "ملمّ",
+      3: "متمكّن",
+      4: "متقدّم",
+      5: "خبير",
+    },
+    levelLabel: "مستوى الإتقان: {level}",
+    years: {
+      one: "سنة واحدة من الاستخدام",
+      two: "سنتان من الاستخدام",
+      few: "{count} سنوات من الاستخدام",
+      many: "{count} سنة من الاستخدام",
+      other: "{count} سنة من الاستخدام",
+    },
+    usedIn: {
+      zero: "لم تُستخدم في أي مشروع",
+      one: "استُخدمت في مشروع واحد",
+      two: "استُخدمت في مشروعين",
+      few: "استُخدمت في {count} مشاريع",
+      many: "استُخدمت في {count} مشروعًا",
+      other: "استُخدمت في {count} مشروع",
+    },
+    projectsHeading: "مشاريع تستخدم {name}",
+    noProjects: "لم يُنشر أي من المشاريع المذكورة بعد.",
+    close: "إغلاق",
+  },
+  timeline: {
+    types: {
+      job: "وظيفة",
+      internship: "تدريب",
+      education: "تعليم",
+    },
+    current: "حالي",
+    present: "حتى الآن",
+    entry: "{role} في {organization}",
+    concurrent: "بالتزامن مع {entries}.",
+  },
+  resume: {
+    back: "→ العودة إلى الملف",
+    print: "طباعة / حفظ كملف PDF",
+    download: "تنزيل السيرة الذاتية",
+    downloadPdf: "PDF",
+    downloadJson: "JSON Resume",
+    summary: "نبذة",
+    experience: "الخبرات",
+    education: "التعليم",
+    skills: "المهارات",
+    projects: "المشاريع",
+    present: "حتى الآن",
+  },
+  blog: {
+    title: "المدونة",
+    intro: "مقالات تقنية عمّا أبنيه.",
+    filterLabel: "تصفية المقالات حسب الوسم",
+    allTags: "كل المقالات",
+    tags: "الوسوم",
+    readingTime: {
+      one: "دقيقة قراءة واحدة",
+      two: "دقيقتا قراءة",
+      few: "{count} دقائق قراءة",
+      many: "{count} دقيقة قراءة",
+      other: "{count} دقيقة قراءة",
+    },
+    updated: "حُدّث في {date}",
+    empty: "لا توجد مقالات بهذا الوسم بعد.",
+    allPosts: "كل المقالات →",
+    contents: "المحتويات",
+    feed: "موجز Atom",
+  },
+  contact: {
+    location: "مقيم في {location}",
+    honeypot: "اترك هذا الحقل فارغًا",
+    name: "الاسم",
+    namePlaceholder: "اسمك",
+    email: "البريد الإلكتروني",
+    emailPlaceholder: "your.email@example.com",
+    message: "الرسالة",
+    messagePlaceholder: "رسالتك...",
+    send: "إرسال الرسالة",
+    sending: "جارٍ الإرسال...",
+    success: "شكرًا لتواصلك! تم إرسال رسالتك.",
+    queued: "تم حفظ رسالتك وسيتم إرسالها عند توفر الاتصال.",
+    rejected:
+      "عذرًا، تعذّر قبول رسالتك. يُرجى الانتظار قليلًا ثم المحاولة مجددًا.",
+    error: "عذرًا، تعذّر إرسال رسالتك. يُرجى المحاولة لاحقًا.",
+    errors: {
+      name: {
+        required: "يُرجى إدخال اسمك.",
+        tooLong: "يجب ألا يتجاوز الاسم {max} حرفًا.",
+      },
+      email: {
+        required: "يُرجى إدخال بريدك الإلكتروني.",
+        invalid: "يُرجى إدخال بريد إلكتروني صالح.",
+      },
+      message: {
+        required: "يُرجى كتابة رسالة.",
+        tooShort: "يجب أن تتكون الرسالة من {min} أحرف على الأقل.",
+        tooLong: "يجب ألا تتجاوز الرسالة {max} حرف.",
+      },
+    },
+  },
+  update: {
+    label: "تحديث الموقع",
+    message: "يتوفر إصدار جديد من هذا الموقع.",
+    reload: "إعادة التحميل",
+    later: "لاحقًا",
+  },
+  analytics: {
+    label: "الموافقة على الإحصاءات",
+    prompt:
+      "هل تسمح بإحصاء زيارتك؟ لا يستخدم هذا الموقع ملفات تعريف الارتباط، ويحفظ فقط مجاميع يومية مجهولة مثل الصفحات المعروضة والروابط المنقورة، ولا يعرف من أنت أبدًا.",
+    allow: "السماح",
+    decline: "لا، شكرًا",
+    settings: "إعدادات الإحصاءات",
+  },
+  meta: {
+    homeTitle: "{name} | مطوّر ويب متكامل",
+    description:
+      "ملف أعمال {name}، مطوّر ويب متكامل يبني تطبيقات باستخدام React وNext.js وNode.js: المشاريع والخبرات والمهارات والسيرة الذاتية.",
+    projectTitle: "{title} | {name}",
+    resumeTitle: "السيرة الذاتية | {name}",
+    resumeDescription:
+      "السيرة الذاتية لـ {name}: الخبرات والتعليم والمهارات والمشاريع.",
+    blogTitle: "المدونة | {name}",
+    blogDescription: "مقالات تقنية يكتبها {name} عن تطوير الويب.",
+    postTitle: "{title} | {name}",
+    notFoundTitle: "الصفحة غير موجودة | {name}",
+  },
+  notFound: {
+    title: "الصفحة غير موجودة",
+    body: "الصفحة التي تبحث عنها غير موجودة أو تم نقلها.",
+    home: "العودة إلى الرئيسية",
+  },
+  footer: {
+    copyright: "© {year} {name}. جميع الحقوق محفوظة.",
+  },
+  content: {
+    profile: {
+      owner: { name: "جاي سينغ", title: "مطوّر ويب متكامل" },
+    },
+    heroRoles: {
+      "web-developer": { text: "مطوّر ويب" },
+      "frontend-developer": { text: "مطوّر واجهات أمامية" },
+      "backend-developer": { text: "مطوّر واجهات خلفية" },
+      "full-stack-engineer": { text: "مهندس Full Stack" },
+      "ui-ux-designer": { text: "مصمم UI/UX" },
+    },
+    timeline: {
+      "freelance-full-stack": {
+        role: "مطوّر ويب متكامل",
+        organization: "عمل حر",
+        location: "عن بُعد",
+        achievements: [
+          "تصميم تطبيقات ويب متكاملة وتسليمها للشركات الصغيرة، من تصميم قاعدة البيانات حتى النشر.",
+          "بناء منصة تجارة إلكترونية باستخدام Next.js وExpress وMongoDB تشمل الكتالوج والدفع وإدارة الطلبات.",
+          "دمج واجهة Gemini البرمجية في روبوت محادثة لدعم العملاء مع ردود متدفقة.",
+        ],
+      },
+      "brightline-frontend": {
+        role: "مطوّر واجهات أمامية",
+        organization: "Brightline Labs",
+        location: "بنغالور",
+        achievements: [
+          "إعادة بناء لوحة التحليلات باستخدام React وD3.js وتقليص زمن العرض للبيانات الكبيرة إلى أقل من النصف.",
+          "إنشاء مكتبة مكونات مشتركة تستخدمها ثلاثة فرق منتجات.",
+        ],
+      },
+      "pixelcraft-intern": {
+        role: "متدرّب تطوير ويب",
+        organization: "Pixelcraft Studio",
+        location: "بونه",
+        achievements: [
+          "بناء صفحات تسويقية متجاوبة باستخدام Tailwind CSS انطلاقًا من نماذج التصميم.",
+          "إضافة فحوصات آلية لإمكانية الوصول إلى عملية الإصدار.",
+        ],
+      },
+      "btech-computer-science": {
+        role: "بكالوريوس التكنولوجيا في علوم الحاسوب",
+        organization: "المعهد الحكومي للتكنولوجيا",
+        location: "بونه",
+        achievements: [
+          "مشروع التخرج: سبورة تعاونية فورية مبنية على WebSockets.",
+          "قيادة نادي تطوير الويب في الجامعة.",
+        ],
+      },
+    },
+    about: {
+      "who-i-am": {
+        title: "من أنا",
+        body: "أنا مطوّر Full Stack شغوف، أمتلك أساسًا متينًا في تقنيات الويب الحديثة. أحب تحويل الأفكار إلى واقع من خلال شيفرة نظيفة وفعّالة وقابلة للتوسع. بدأت رحلتي في البرمجة بفضول لمعرفة كيف تعمل الأشياء، وسرعان ما تحوّل ذلك إلى شغف بصناعة تجارب رقمية مؤثرة.",
+      },
+      philosophy: {
+        title: "فلسفتي",
+        body: "يقوم أسلوبي في التطوير على التعلّم المستمر وحل المشكلات. أؤمن بكتابة شيفرة معيارية قابلة للاختبار واتباع أفضل الممارسات لضمان سهولة الصيانة والمتانة. تجربة المستخدم هي الأهم، وأسعى إلى بناء واجهات بديهية وجذابة.",
+      },
+      "what-i-do": {
+        title: "ماذا أفعل",
+        body: "أتخصص في بناء تطبيقات الويب من البداية إلى النهاية، من تصميم مخططات قواعد البيانات إلى إنشاء واجهات تفاعلية. تمتد خبرتي عبر العديد من الأطر والمكتبات، مما يتيح لي التكيّف مع متطلبات كل مشروع وتقديم حلول متكاملة.",
+      },
+      "looking-forward": {
+        title: "نحو المستقبل",
+        body: "أتطلع دائمًا إلى استكشاف تقنيات جديدة وخوض مشاريع صعبة توسّع آفاقي. ألتزم بتقديم عمل عالي الجودة والتعاون بفعالية مع الفرق لتحقيق الأهداف المشتركة. لنبنِ معًا شيئًا رائعًا!",
+      },
+    },
+    skills: {
+      "html-css": {
+        name: "HTML و CSS",
+        description:
+          "إتقان HTML5 الدلالي و CSS3 الحديث، بما في ذلك Flexbox و Grid ومبادئ التصميم المتجاوب باستخدام Tailwind CSS.",
+      },
+      "javascript-react": {
+        name: "JavaScript و React.js",
+        description:
+          "احتراف JavaScript (ES6+) وبناء واجهات مستخدم ديناميكية باستخدام React و hooks و Context API ومكتبات إدارة الحالة.",
+      },
+      nextjs: {
+        name: "Next.js",
+        description:
+          "خبرة في بناء تطبيقات React تُعرض على الخادم أو تُولَّد بشكل ثابت باستخدام Next.js لأفضل أداء وتحسين لمحركات البحث.",
+      },
+      "node-express": {
+        name: "Node.js و Express",
+        description:
+          "تطوير الواجهات الخلفية باستخدام Node.js و Express، وإنشاء واجهات RESTful، والتعامل مع المصادقة، والتكامل مع قواعد البيانات.",
+      },
+      databases: {
+        name: "قواعد البيانات",
+        description:
+          "إتقان قواعد بيانات NoSQL مثل MongoDB والحلول السحابية مثل Google Firestore لتخزين مرن للبيانات.",
+      },
+      "cloud-platforms": {
+        name: "المنصات السحابية",
+        description:
+          "نشر التطبيقات وإدارتها على منصات مثل Firebase و Vercel، بما في ذلك الدوال بدون خادم.",
+      },
+    },
+    projects: {
+      "interactive-dashboard": {
+        title: "مشروع ألفا: لوحة معلومات تفاعلية",
+        description:
+          "تضمّن هذا المشروع تطوير لوحة معلومات تفاعلية وسريعة الاستجابة لعرض البيانات. تتميز بتحديثات فورية وعناصر قابلة للتخصيص وواجهة سهلة الاستخدام مبنية باستخدام React و D3.js. كان تحسين الأداء محورًا أساسيًا لضمان سلاسة التفاعل حتى مع مجموعات البيانات الكبيرة.",
+        problem:
+          "كانت الفرق تصدّر البيانات إلى جداول البيانات لرصد الاتجاهات، وهي طريقة بطيئة وغير محدّثة دائمًا. كانوا بحاجة إلى عرض مباشر لمؤشراتهم يبقى سريعًا مع البيانات الكبيرة.",
+        solution:
+          "لوحة معلومات مبنية بـ React مع رسوم بيانية من D3.js تُغذّى بتحديثات فورية. يمكن لكل مستخدم إضافة العناصر وترتيبها وتهيئتها، والعرض مُحسَّن لتبقى التفاعلات سلسة مع مئات الآلاف من النقاط.",
+      },
+      "e-commerce-platform": {
+        title: "مشروع بيتا: منصة تجارة إلكترونية",
+        description:
+          "حل تجارة إلكترونية متكامل يدعم عرض المنتجات وبوابات الدفع الآمنة ومصادقة المستخدمين وإدارة الطلبات. بُني باستخدام Next.js للواجهة الأمامية و Node.js مع Express للواجهة الخلفية و MongoDB لقاعدة البيانات، مع التركيز على قابلية التوسع والأمان.",
+        problem:
+          "احتاج متجر صغير إلى متجر إلكتروني يديره بنفسه، مع دفع آمن وحسابات للعملاء وتتبع للطلبات، دون دفع تكاليف منصة مستضافة باهظة.",
+        solution:
+          "واجهة متجر مبنية بـ Next.js تعتمد على واجهة برمجية بـ Node.js و Express وقاعدة بيانات MongoDB. تشمل عرض المنتجات والمصادقة والدفع عبر بوابة دفع ولوحة لإدارة الطلبات، مع عرض على الخادم لصفحات منتجات سريعة وقابلة للفهرسة.",
+      },
+      "mobile-puzzle-game": {
+        title: "مشروع غاما: تطوير لعبة للجوال",
+        description:
+          "استكشف هذا المشروع تطوير الألعاب مع التركيز على التوافق بين المنصات. إنها لعبة ألغاز خفيفة مبنية باستخدام JavaScript و Canvas API، تتضمن رسومًا متحركة ومؤثرات صوتية (Tone.js) ولوحة للمتصدرين لتجربة ممتعة.",
+        problem:
+          "كان الهدف لعبة خفيفة تعمل بنفس الجودة على الهواتف والحواسيب من شيفرة واحدة، دون إصدار تطبيقات أصلية في المتاجر.",
+        solution:
+          "لعبة ألغاز مرسومة باستخدام Canvas API بلغة JavaScript الخالصة، مع تحجيم متجاوب ودعم اللمس والفأرة. توفّر Tone.js المؤثرات الصوتية، ولوحة المتصدرين تشجع اللاعبين على العودة.",
+      },
+      "ai-chatbot": {
+        title: "مشروع دلتا: روبوت محادثة بالذكاء الاصطناعي",
+        description:
+          "تصميم روبوت محادثة بالذكاء الاصطناعي مدمج في تطبيق ويب. يعتمد على Gemini API من Google لفهم اللغة الطبيعية وتوليدها، وتقديم إجابات مفيدة وتنفيذ المهام للمستخدمين. بُنيت الواجهة الأمامية باستخدام React مع التركيز على واجهة محادثة سلسة.",
+        problem:
+          "كان مستخدمو تطبيق ويب يكررون أسئلة الدعم نفسها ويحتاجون إلى مساعدة لإتمام المهام متعددة الخطوات.",
+        solution:
+          "مساعد محادثة مبني على Gemini API من Google لفهم اللغة الطبيعية وتوليدها، مدمج في التطبيق عبر واجهة محادثة بـ React مع ردود متدفقة وسجل للمحادثات.",
+      },
+    },
+  },
+};
+
+export default ar;
@@ -0,0 +1,219 @@
+// English messages
+// The source catalog: every key used by the app is defined here. Other catalogs
+// only need the keys they translate; anything missing falls back to this file.
+// Bundled content (projects, skills, about cards, hero roles) is written in
+// English in src/data, so it has no "content" section here.
+const en = {
+  nav: {
+    home: "Home",
+    about: "About",
+    timeline: "Experience",
+    projects: "Projects",
+    skills: "Skills",
+    contact: "Contact",
+    blog: "Blog",
+    toggle: "Toggle navigation",
+    label: "Main",
+    skip: "Skip to content",
+  },
+  theme: {
+    light: "Light",
+    dark: "Dark",
+    system: "System",
+    title: "Theme: {mode}",
+    toggle: "Theme: {mode}. Switch to {next}.",
+  },
+  language: {
+    label: "Language",
+  },
+  hero: {
+    // {name} is rendered highlighted; each line of intro is a line break.
+    greeting: "Hi, My name is {name}",
+    intro:
+      "and I am a passionate\nFull stack Web\nDeveloper having\nExperience website and\nMobile application using\nSkills",
+    contactMe: "Contact Me",
+    resume: "See Resume",
+  },
+  social: {
+    connect: "Connect with me on social media:",
+    linkedin: "LinkedIn profile",
+    facebook: "Facebook profile",
+    github: "GitHub profile",
+    youtube: "YouTube channel",
+    instagram: "Instagram profile",
+    twitter: "Twitter profile",
+    email: "Email me",
+  },
+  sections: {
+    about: "About Me",
+    timeline: "Experience",
+    projects: "My Projects",
+    skills: "My Skills",
+    contact: "Contact Me",
+  },
+  projects: {
+    searchLabel: "Search projects",
+    searchPlaceholder: "Search projects...",
+    sortLabel: "Sort projects",
+    sort: {
+      newest: "Newest first",
+      oldest: "Oldest first",
+      name: "Name (A–Z)",
+    },
+    matchLegend: "Tag matching",
+    matchAny: "Match any tag",
+    matchAll: "Match all tags",
+    count: { one: "{count} project", other: "{count} projects" },
+    clearFilters: "Clear filters",
+    empty: "No projects match the current filters.",
+    technologies: "Technologies",
+    present: "Present",
+    caseStudy: "Case Study",
+    source: "Source",
+    liveDemo: "Live Demo",
+    sourceCode: "Source Code",
+    allProjects: "← All projects",
+    gallery: "Gallery",
+    problem: "The Problem",
+    solution: "The Solution",
+    techStack: "Tech Stack",
+  },
+  skills: {
+    viewLabel: "Skills view",
+    views: {
+      grid: "Grid",
+      category: "By category",
+      chart: "Chart",
+    },
+    categories: {
+      frontend: "Frontend",
+      backend: "Backend",
+      data: "Data",
+      cloud: "Cloud",
+    },
+    levels: {
+      1: "Beginner",
+      2: "Familiar",
+      3: "Proficient",
+      4: "Advanced",
+      5: "Expert",
+    },
+    levelLabel: "Proficiency: {level}",
+    years: { one: "{count} year of use", other: "{count} years of use" },
+    usedIn: {
+      one: "Used in {count} project",
+      other: "Used in {count} projects",
+    },
+    projectsHeading: "Projects using {name}",
+    noProjects: "None of the listed projects are published yet.",
+    close: "Close",
+  },
+  timeline: {
+    types: {
+      job: "Job",
+      internship: "Internship",
+      education: "Education",
+    },
+    current: "Current",
+    present: "Present",
+    entry: "{role} at {organization}",
+    concurrent: "Alongside {entries}.",
+  },
+  resume: {
+    back: "← Back to portfolio",
+    print: "Print / Save as PDF",
+    download: "Download CV",
+    downloadPdf: "PDF",
+    downloadJson: "JSON Resume",
+    summary: "Summary",
+    experience: "Experience",
+    education: "Education",
+    skills: "Skills",
+    projects: "Projects",
+    present: "Present",
+  },
+  blog: {
+    title: "Blog",
+    intro: "Technical write-ups about the things I build.",
+    filterLabel: "Filter posts by tag",
+    allTags: "All posts",
+    tags: "Tags",
+    readingTime: { one: "{count} min read", other: "{count} min read" },
+    updated: "Updated {date}",
+    empty: "No posts with this tag yet.",
+    allPosts: "← All posts",
+    contents: "Contents",
+    feed: "Atom feed",
+  },
+  contact: {
+    location: "Based in {location}",
+    honeypot: "Leave this field empty",
+    name: "Name",
+    namePlaceholder: "Your Name",
+    email: "Email",
+    emailPlaceholder: "your.email@example.com",
+    message: "Message",
+    messagePlaceholder: "Your message...",
+    send: "Send Message",
+    sending: "Sending...",
+    success: "Thanks for reaching out! Your message has been sent.",
+    queued:
+      "Your message has been saved and will be sent once the connection is available.",
+    rejected:
+      "Sorry, your message could not be accepted. Please wait a moment and try again.",
+    error: "Sorry, your message could not be sent. Please try again later.",
+    // Keyed by field and the error code from validateContactForm.
+    errors: {
+      name: {
+        required: "Please enter your name.",
+        tooLong: "Name must be at most {max} characters.",
+      },
+      email: {
+        required: "Please enter your email address.",
+        invalid: "Please enter a valid email address.",
+      },
+      message: {
+        required: "Please enter a message.",
+        tooShort: "Message must be at least {min} characters.",
+        tooLong: "Message must be at most {max} characters.",
+      },
+    },
+  },
+  update: {
+    label: "Site update",
+    message: "A new version of this site is available.",
+    reload: "Reload",
+    later: "Later",
+  },
+  analytics: {
+    label: "Analytics consent",
+    prompt:
+      "May I count your visit? This site uses no cookies and only stores anonymous daily totals, such as pages viewed and links clicked, never who you are.",
+    allow: "Allow",
+    decline: "No thanks",
+    settings: "Analytics settings",
+  },
+  meta: {
+    homeTitle: "{name} | Full Stack Web Developer",
+    description:
+      "Portfolio of {name}, a full stack web developer building React, Next.js and Node.js applications: projects, experience, skills and résumé.",
+    projectTitle: "{title} | {name}",
+    resumeTitle: "Résumé | {name}",
+    resumeDescription:
+      "Résumé of {name}: experience, education, skills and projects.",
+    blogTitle: "Blog | {name}",
+    blogDescription: "Technical write-ups by {name} about web development.",
+    postTitle: "{title} | {name}",
+    notFoundTitle: "Page not found | {name}",
+  },
+  notFound: {
+    title: "Page not found",
+    body: "The page you are looking for doesn't exist or has been moved.",
+    home: "Back to Home",
+  },
+  footer: {
+    copyright: "© {year} {name}. All rights reserved.",
+  },
+};
+
+export default en;
@@ -0,0 +1,356 @@
+// Spanish messages (see en.js for the full key list).
+const es = {
+  nav: {
+    home: "Inicio",
+    about: "Sobre mí",
+    timeline: "Experiencia",
+    projects: "Proyectos",
+    skills: "Habilidades",
+    contact: "Contacto",
+    blog: "Blog",
+    toggle: "Abrir o cerrar la navegación",
+    label: "Principal",
+    skip: "Saltar al contenido",
+  },
+  theme: {
+    light: "Claro",
+    dark: "Oscuro",
+    system: "Sistema",
+    title: "Tema: {mode}",
+    toggle: "Tema: {mode}. Cambiar a {next}.",
+  },
+  language: {
+    label: "Idioma",
+  },
+  hero: {
+    greeting: "Hola, mi nombre es {name}",
+    intro:
+      "y soy un apasionado\ndesarrollador web\nFull Stack con experiencia\nen sitios web y\naplicaciones móviles usando\nestas habilidades",
+    contactMe: "Contáctame",
+    resume: "Ver currículum",
+  },
+  social: {
+    connect: "Conecta conmigo en redes sociales:",
+    linkedin: "Perfil de LinkedIn",
+    facebook: "Perfil de Facebook",
+    github: "Perfil de GitHub",
+    youtube: "Canal de YouTube",
+    instagram: "Perfil de Instagram",
+    twitter: "Perfil de Twitter",
+    email: "Escríbeme",
+  },
+  sections: {
+    about: "Sobre mí",
+    timeline: "Experiencia y formación",
+    projects: "Mis proyectos",
+    skills: "Mis habilidades",
+    contact: "Contáctame",
+  },
+  projects: {
+    searchLabel: "Buscar proyectos",
+    searchPlaceholder: "Buscar proyectos...",
+    sortLabel: "Ordenar proyectos",
+    sort: {
+      newest: "Más recientes",
+      oldest: "Más antiguos",
+      name: "Nombre (A–Z)",
+    },
+    matchLegend: "Coincidencia de etiquetas",
+    matchAny: "Cualquier etiqueta",
+    matchAll: "Todas las etiquetas",
+    count: { one: "{count} proyecto", other: "{count} proyectos" },
+    clearFilters: "Borrar filtros",
+    empty: "Ningún proyecto coincide con los filtros actuales.",
+    technologies: "Tecnologías",
+    present: "Actualidad",
+    caseStudy: "Caso de estudio",
+    source: "Código",
+    liveDemo: "Demo en vivo",
+    sourceCode: "Código fuente",
+    allProjects: "← Todos los proyectos",
+    gallery: "Galería",
+    problem: "El problema",
+    solution: "La solución",
+    techStack: "Tecnologías utilizadas",
+  },
+  skills: {
+    viewLabel: "Vista de habilidades",
+    views: {
+      grid: "Cuadrícula",
+      category: "Por categoría",
+      chart: "Gráfico",
+    },
+    categories: {
+      frontend: "Frontend",
+      backend: "Backend",
+      data: "Datos",
+      cloud: "Nube",
+    },
+    levels: {
+      1: "Principiante",
+      2: "Básico",
+      3: "Competente",
+      4: "Avanzado",
+      5: "Experto",
+    },
+    levelLabel: "Nivel: {level}",
+    years: { one: "{count} año de uso", other: "{count} años de uso" },
+    usedIn: {
+      one: "Usada en {count} proyecto",
+      other: "Usada en {count} proyectos",
+    },
+    projectsHeading: "Proyectos con {name}",
+    noProjects: "Ninguno de los proyectos indicados está publicado todavía.",
+    close: "Cerrar",
+  },
+  timeline: {
+    types: {
+      job: "Empleo",
+      internship: "Prácticas",
+      education: "Formación",
+    },
+    current: "Actual",
+    present: "Actualidad",
+    entry: "{role} en {organization}",
+    concurrent: "A la vez que {entries}.",
+  },
+  resume: {
+    back: "← Volver al portafolio",
+    print: "Imprimir / Guardar como PDF",
+    download: "Descargar CV",
+    downloadPdf: "PDF",
+    downloadJson: "JSON Resume",
+    summary: "Perfil",
+    experience: "Experiencia",
+    education: "Formación",
+    skills: "Habilidades",
+    projects: "Proyectos",
+    present: "Actualidad",
+  },
+  blog: {
+    title: "Blog",
+    intro: "Artículos técnicos sobre lo que construyo.",
+    filterLabel: "Filtrar artículos por etiqueta",
+    allTags: "Todos los artículos",
+    tags: "Etiquetas",
+    readingTime: {
+      one: "{count} min de lectura",
+      other: "{count} min de lectura",
+    },
+    updated: "Actualizado el {date}",
+    empty: "Todavía no hay artículos con esta etiqueta.",
+    allPosts: "← Todos los artículos",
+    contents: "Contenido",
+    feed: "Feed Atom",
+  },
+  contact: {
+    location: "Desde {location}",
+    honeypot: "Deja este campo vacío",
+    name: "Nombre",
+    namePlaceholder: "Tu nombre",
+    email: "Correo electrónico",
+    emailPlaceholder: "tu.correo@ejemplo.com",
+    message: "Mensaje",
+    messagePlaceholder: "Tu mensaje...",
+    send: "Enviar mensaje",
+    sending: "Enviando...",
+    success: "¡Gracias por escribir! Tu mensaje ha sido enviado.",
+    queued:
+      "Tu mensaje se ha guardado y se enviará cuando haya conexión disponible.",
+    rejected:
+      "Lo sentimos, tu mensaje no pudo ser aceptado. Espera un momento e inténtalo de nuevo.",
+    error:
+      "Lo sentimos, tu mensaje no pudo enviarse. Inténtalo de nuevo más tarde.",
+    errors: {
+      name: {
+        required: "Escribe tu nombre.",
+        tooLong: "El nombre debe tener como máximo {max} caracteres.",
+      },
+      email: {
+        required: "Escribe tu correo electrónico.",
+        invalid: "Escribe un correo electrónico válido.",
+      },
+      message: {
+        required: "Escribe un mensaje.",
+        tooShort: "El mensaje debe tener al menos {min} caracteres.",
+        tooLong: "El mensaje debe tener como máximo {max} caracteres.",
+      },
+    },
+  },
+  update: {
+    label: "Actualización del sitio",
+    message: "Hay una nueva versión de este sitio.",
+    reload: "Recargar",
+    later: "Más tarde",
+  },
+  analytics: {
+    label: "Consentimiento de analítica",
+    prompt:
+      "¿Puedo contar tu visita? Este sitio no usa cookies y solo guarda totales diarios anónimos, como páginas vistas y enlaces pulsados, nunca quién eres.",
+    allow: "Permitir",
+    decline: "No, gracias",
+    settings: "Ajustes de analítica",
+  },
+  meta: {
+    homeTitle: "{name} | Desarrollador web full stack",
+    description:
+      "Portafolio de {name}, desarrollador web full stack que crea aplicaciones con React, Next.js y Node.js: proyectos, experiencia, habilidades y currículum.",
+    projectTitle: "{title} | {name}",
+    resumeTitle: "Currículum | {name}",
+    resumeDescription:
+      "Currículum de {name}: experiencia, formación, habilidades y proyectos.",
+    blogTitle: "Blog | {name}",
+    blogDescription: "Artículos técnicos de {name} sobre desarrollo web.",
+    postTitle: "{title} | {name}",
+    notFoundTitle: "Página no encontrada | {name}",
+  },
+  notFound: {
+    title: "Página no encontrada",
+    body: "La página que buscas no existe o se ha movido.",
+    home: "Volver al inicio",
+  },
+  footer: {
+    copyright: "© {year} {name}. Todos los derechos reservados.",
+  },
+  content: {
+    profile: {
+      owner: { title: "Desarrollador web full stack" },
+    },
+    heroRoles: {
+      "web-developer": { text: "Desarrollador web" },
+      "frontend-developer": { text: "Desarrollador frontend" },
+      "backend-developer": { text: "Desarrollador backend" },
+      "full-stack-engineer": { text: "Ingeniero full stack" },
+      "ui-ux-designer": { text: "Diseñador UI/UX" },
+    },
+    timeline: {
+      "freelance-full-stack": {
+        role: "Desarrollador full stack",
+        organization: "Autónomo",
+        location: "En remoto",
+        achievements: [
+          "Diseño y entrega de aplicaciones web completas para pequeñas empresas, del esquema de base de datos al despliegue.",
+          "Plataforma de comercio electrónico con Next.js, Express y MongoDB que cubre catálogo, pago y gestión de pedidos.",
+          "Integración de la API de Gemini en un chatbot de atención al cliente con respuestas en streaming.",
+        ],
+      },
+      "brightline-frontend": {
+        role: "Desarrollador frontend",
+        organization: "Brightline Labs",
+        location: "Bengaluru",
+        achievements: [
+          "Reconstrucción del panel de analítica con React y D3.js, reduciendo a menos de la mitad el tiempo de renderizado con grandes volúmenes de datos.",
+          "Creación de una librería de componentes compartida por tres equipos de producto.",
+        ],
+      },
+      "pixelcraft-intern": {
+        role: "Becario de desarrollo web",
+        organization: "Pixelcraft Studio",
+        location: "Pune",
+        achievements: [
+          "Páginas de marketing responsive con Tailwind CSS a partir de maquetas de diseño.",
+          "Comprobaciones automáticas de accesibilidad en el proceso de publicación.",
+        ],
+      },
+      "btech-computer-science": {
+        role: "Grado en Ingeniería Informática",
+        organization: "Instituto Estatal de Tecnología",
+        location: "Pune",
+        achievements: [
+          "Proyecto de fin de grado: una pizarra colaborativa en tiempo real con WebSockets.",
+          "Coordinador del club de desarrollo web de la universidad.",
+        ],
+      },
+    },
+    about: {
+      "who-i-am": {
+        title: "Quién soy",
+        body: "Soy un desarrollador full stack apasionado, con una base sólida en tecnologías web modernas. Me encanta dar vida a las ideas con código limpio, eficiente y escalable. Mi camino en el desarrollo empezó por curiosidad por cómo funcionan las cosas y pronto se convirtió en una dedicación a crear experiencias digitales con impacto.",
+      },
+      philosophy: {
+        title: "Mi filosofía",
+        body: "Mi forma de desarrollar se basa en el aprendizaje continuo y la resolución de problemas. Creo en escribir código modular y fácil de probar, y en seguir buenas prácticas para que sea mantenible y robusto. La experiencia de usuario es lo primero, y me esfuerzo por crear interfaces intuitivas y atractivas.",
+      },
+      "what-i-do": {
+        title: "Qué hago",
+        body: "Me especializo en construir aplicaciones web de principio a fin, desde el diseño de esquemas de bases de datos hasta interfaces interactivas. Mi experiencia abarca varios frameworks y librerías, lo que me permite adaptarme a las necesidades de cada proyecto y ofrecer soluciones completas.",
+      },
+      "looking-forward": {
+        title: "Mirando al futuro",
+        body: "Siempre tengo ganas de explorar nuevas tecnologías y asumir proyectos exigentes que me hagan crecer. Me comprometo a entregar trabajo de calidad y a colaborar con los equipos para alcanzar objetivos comunes. ¡Construyamos algo increíble juntos!",
+      },
+    },
+    skills: {
+      "html-css": {
+        name: "HTML y CSS",
+        description:
+          "Dominio de HTML5 semántico y CSS3 moderno, incluidos Flexbox, Grid y diseño responsive con Tailwind CSS.",
+      },
+      "javascript-react": {
+        name: "JavaScript y React.js",
+        description:
+          "JavaScript ES6+ y desarrollo de interfaces dinámicas con React, hooks, Context API y librerías de gestión de estado.",
+      },
+      nextjs: {
+        name: "Next.js",
+        description:
+          "Aplicaciones React renderizadas en el servidor y generadas estáticamente con Next.js para un rendimiento y SEO óptimos.",
+      },
+      "node-express": {
+        name: "Node.js y Express",
+        description:
+          "Desarrollo backend con Node.js y Express: APIs REST, autenticación e integración con bases de datos.",
+      },
+      databases: {
+        name: "Bases de datos",
+        description:
+          "Bases de datos NoSQL como MongoDB y soluciones en la nube como Google Firestore para un almacenamiento flexible.",
+      },
+      "cloud-platforms": {
+        name: "Plataformas en la nube",
+        description:
+          "Despliegue y gestión de aplicaciones en plataformas como Firebase y Vercel, incluidas funciones serverless.",
+      },
+    },
+    projects: {
+      "interactive-dashboard": {
+        title: "Proyecto Alpha: panel interactivo",
+        description:
+          "Desarrollo de un panel de visualización de datos muy interactivo y responsive. Incluye actualizaciones en tiempo real, widgets personalizables y una interfaz sencilla creada con React y D3.js. La optimización del rendimiento fue clave para que las interacciones sigan siendo fluidas incluso con grandes volúmenes de datos.",
+        problem:
+          "Los equipos exportaban datos a hojas de cálculo para detectar tendencias, algo lento y siempre desactualizado. Necesitaban una vista en vivo de sus métricas que siguiera siendo rápida con grandes volúmenes de datos.",
+        solution:
+          "Un panel en React con gráficos de D3.js alimentados por actualizaciones en tiempo real. Cada usuario puede añadir, reordenar y configurar widgets, y el renderizado está virtualizado y memoizado para que todo siga fluido con cientos de miles de puntos.",
+      },
+      "e-commerce-platform": {
+        title: "Proyecto Beta: plataforma de comercio electrónico",
+        description:
+          "Una solución de comercio electrónico full stack con catálogo de productos, pasarelas de pago seguras, autenticación de usuarios y gestión de pedidos. Se construyó con Next.js en el frontend, Node.js con Express en el backend y MongoDB como base de datos, con foco en la escalabilidad y la seguridad.",
+        problem:
+          "Un pequeño comercio necesitaba una tienda online que pudiera gestionar por su cuenta, con pagos seguros, cuentas de clientes y seguimiento de pedidos, sin pagar una costosa plataforma alojada.",
+        solution:
+          "Una tienda en Next.js respaldada por una API en Node.js y Express y una base de datos MongoDB. Cubre el catálogo, la autenticación, el pago mediante pasarela y un panel de gestión de pedidos, con renderizado en el servidor para páginas de producto rápidas e indexables.",
+      },
+      "mobile-puzzle-game": {
+        title: "Proyecto Gamma: desarrollo de un juego móvil",
+        description:
+          "Este proyecto exploró el desarrollo de videojuegos con foco en la compatibilidad multiplataforma. Es un juego de puzles casual hecho con JavaScript y la API Canvas, con animaciones dinámicas, efectos de sonido (Tone.js) y una tabla de clasificación para una experiencia atractiva.",
+        problem:
+          "El objetivo era un juego casual que funcionara igual de bien en móviles y ordenadores con un único código, sin publicar apps nativas en las tiendas.",
+        solution:
+          "Un juego de puzles dibujado con la API Canvas en JavaScript puro, con escalado adaptable y controles táctiles y de ratón. Tone.js aporta los efectos de sonido y una tabla de clasificación anima a seguir jugando.",
+      },
+      "ai-chatbot": {
+        title: "Proyecto Delta: chatbot con IA",
+        description:
+          "Diseño de un chatbot conversacional con IA integrado en una aplicación web. Usa la API Gemini de Google para comprender y generar lenguaje natural, dar respuestas útiles y realizar tareas para los usuarios. El frontend se hizo con React, cuidando una interfaz de chat fluida.",
+        problem:
+          "Los usuarios de una aplicación web repetían las mismas preguntas de soporte y necesitaban ayuda para completar tareas de varios pasos.",
+        solution:
+          "Un asistente de chat basado en la API Gemini de Google para comprender y generar lenguaje natural, integrado en la aplicación con una interfaz de chat en React con respuestas en streaming e historial de conversación.",
+      },
+    },
+  },
+};
+
+export default es;
@@ -0,0 +1,264 @@
+import React, { useState } from "react";
+import {
+  signInAnonymously,
+  signInWithEmailAndPassword,
+  signOut,
+} from "firebase/auth";
+import ContentEditor from "../components/admin/ContentEditor";
+import Inbox from "../components/admin/Inbox";
+import Stats from "../components/admin/Stats";
+import { CONTENT_TYPES } from "../lib/content";
+import { useOwnerStatus } from "../lib/admin";
+import { countUnread, useInboxMessages } from "../lib/inbox";
+import { useDocumentMeta } from "../lib/seo";
+
+const inputClassName =
+  "w-full px-4 py-3 rounded-lg bg-control border border-line-strong text-fg focus:outline-none focus:ring-2 focus:ring-purple-500 transition duration-300";
+
+// Shared layout for every admin state (sign-in, denied, dashboard).
+// The admin area is owner-only and not translated, so it stays English and
+// left-to-right whatever language the public site is shown in. It is also
+// kept out of search results.
+const AdminShell = ({ children }) => {
+  useDocumentMeta({
+    title: "Admin",
+    description: "Portfolio administration.",
+    noindex: true,
+  });
+  return (
+    <div
+      lang="en"
+      dir="ltr"
+      className="relative z-10 pt-28 p-4 md:p-8 max-w-5xl mx-auto text-left"
+    >
+      <h1 className="text-4xl font-bold mb-8">
+        <span className="bg-gradient-to-r from-purple-400 to-pink-600 text-transparent bg-clip-text">
+          Admin
+        </span>
+      </h1>
+      {children}
+    </div>
+  );
+};
+
+// AdminLogin Component
+// Email/password sign-in for the site owner.
+const AdminLogin = ({ auth }) => {
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [pending, setPending] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setPending(true);
+    setError("");
+    try {
+      await signInWithEmailAndPassword(auth, email, password);
+    } catch (err) {
+      console.error("Admin sign-in failed:", err);
+      setError("Sign-in failed. Check your email and password.");
+    } finally {
+      setPending(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="max-w-md bg-surface p-8 rounded-xl border border-line space-y-4"
+    >
+      <div>
+        <label
+          htmlFor="admin-email"
+          className="block text-sm font-semibold text-fg-soft mb-1"
+        >
+          Email
+        </label>
+        <input
+          id="admin-email"
+          type="email"
+          autoComplete="username"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          className={inputClassName}
+          required
+        />
+      </div>
+      <div>
+        <label
+          htmlFor="admin-password"
+          className="block text-sm font-semibold text-fg-soft mb-1"
+        >
+          Password
+        </label>
+        <input
+          id="admin-password"
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          className={inputClassName}
+          required
+        />
+      </div>
+      {error && (
+        <p role="alert" className="text-red-400">
+          {error}
+        </p>
+      )}
+      <button
+        type="submit"
+        disabled={pending}
+        className="w-full px-6 py-3 rounded-lg bg-purple-600 text-white font-bold hover:bg-purple-700 transition duration-300 disabled:opacity-60"
+      >
+        {pending ? "Signing in..." : "Sign in"}
+      </button>
+    </form>
+  );
+};
+
+// AdminPage Component
+// The /admin area. Only a signed-in, non-anonymous owner (a uid listed under
+// artifacts/{appId}/admins) sees the inbox and content editors; firestore.rules
+// enforces the same check for every read and write of private data.
+const AdminPage = ({ db, auth, appId, user }) => {
+  const status = useOwnerStatus({ db, appId, user });
+
+  // Signing out returns to an anonymous visitor session, as on first load.
+  const handleSignOut = async () => {
+    try {
+      await signOut(auth);
+      await signInAnonymously(auth);
+    } catch (error) {
+      console.error("Sign-out failed:", error);
+    }
+  };
+
+  if (!db || !auth) {
+    return (
+      <AdminShell>
+        <p className="text-lg text-fg-muted">
+          Firebase is not configured, so there is no content to edit.
+        </p>
+      </AdminShell>
+    );
+  }
+
+  if (status === "signedOut") {
+    return (
+      <AdminShell>
+        <AdminLogin auth={auth} />
+      </AdminShell>
+    );
+  }
+
+  if (status === "loading") {
+    return (
+      <AdminShell>
+        <p className="text-lg text-fg-muted">Checking access...</p>
+      </AdminShell>
+    );
+  }
+
+  if (status === "denied") {
+    return (
+      <AdminShell>
+        <p className="text-lg text-fg-muted mb-6">
+          {user.email ?? "This account"} is not allowed to edit this site.
+        </p>
+        <button
+          type="button"
+          onClick={handleSignOut}
+          className="px-6 py-2 rounded-lg bg-control text-fg font-semibold hover:bg-control-hover transition duration-300"
+        >
+          Sign out
+        </button>
+      </AdminShell>
+    );
+  }
+
+  return (
+    <AdminShell>
+      <AdminDashboard
+        db={db}
+        appId={appId}
+        user={user}
+        onSignOut={handleSignOut}
+      />
+    </AdminShell>
+  );
+};
+
+// AdminDashboard Component
+// Tabs for the contact inbox, visitor stats and each editable content type.
+// The inbox listener lives here so the unread badge stays current on every tab.
+const AdminDashboard = ({ db, appId, user, onSignOut }) => {
+  const [activeTab, setActiveTab] = useState("inbox");
+  const { messages, error } = useInboxMessages({ db, appId });
+  const unread = countUnread(messages);
+
+  const tabs = [
+    ["inbox", "Inbox"],
+    ["stats", "Stats"],
+    ...Object.entries(CONTENT_TYPES).map(([name, type]) => [name, type.label]),
+  ];
+
+  return (
+    <>
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-8">
+        <div role="tablist" className="flex flex-wrap gap-2">
+          {tabs.map(([name, label]) => (
+            <button
+              key={name}
+              type="button"
+              role="tab"
+              aria-selected={activeTab === name}
+              onClick={() => setActiveTab(name)}
+              className={`px-4 py-2 rounded-lg font-semibold transition duration-300 ${
+                activeTab === name
+                  ? "bg-purple-600 text-white"
+                  : "bg-surface text-fg-muted hover:bg-control"
+              }`}
+            >
+              {label}
+              {name === "inbox" && unread > 0 && (
+                <span className="ml-2 px-2 py-0.5 rounded-full bg-pink-600 text-xs text-white">
+                  {unread}
+                  <span className="sr-only"> unread</span>
+                </span>
+              )}
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center gap-4 text-fg-muted">
+          <span>{user.email}</span>
+          <button
+            type="button"
+            onClick={onSignOut}
+            className="px-4 py-2 rounded-lg bg-control text-fg font-semibold hover:bg-control-hover transition duration-300"
+          >
+            Sign out
+          </button>
+        </div>
+      </div>
+      <div role="tabpanel">
+        {activeTab === "inbox" ? (
+          <Inbox db={db} appId={appId} messages={messages} error={error} />
+        ) : activeTab === "stats" ? (
+          <Stats db={db} appId={appId} />
+        ) : (
+          // Keyed by type so switching tabs resets the editor state.
+          <ContentEditor
+            key={activeTab}
+            db={db}
+            appId={appId}
+            name={activeTab}
+          />
+        )}
+      </div>
+    </>
+  );
+};
+
+export default AdminPage;
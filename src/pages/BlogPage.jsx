@@ -0,0 +1,94 @@
+import React from "react";
+import Link from "../components/Link";
+import PostCard from "../components/PostCard";
+import Reveal from "../components/Reveal";
+import { POST_TAGS, postsWithTag } from "../lib/blog";
+import { useLocation } from "../lib/router";
+import { useI18n } from "../lib/i18n";
+import { useProfile } from "../lib/profile";
+import { SITE_URL, useDocumentMeta } from "../lib/seo";
+
+// BlogPage Component
+// The blog index at /blog: every post, newest first, with a tag filter kept in
+// the URL (/blog?tag=React) so filtered lists can be linked to.
+const BlogPage = () => {
+  const { t } = useI18n();
+  const { name } = useProfile();
+  const { search } = useLocation();
+  const tag = new URLSearchParams(search).get("tag");
+  const posts = postsWithTag(tag);
+  useDocumentMeta({
+    title: t("meta.blogTitle", { name }),
+    description: t("meta.blogDescription", { name }),
+    path: "/blog",
+  });
+
+  const tagClassName = (isActive) =>
+    `block px-4 py-2 rounded-full text-sm font-semibold transition duration-300 ${
+      isActive
+        ? "bg-purple-600 text-white"
+        : "bg-control text-fg-muted hover:bg-control-hover"
+    }`;
+
+  return (
+    <div className="relative z-10 pt-28 p-4 md:p-8 max-w-7xl mx-auto flex flex-col items-center">
+      <Reveal as="section" className="w-full text-center">
+        <h1 className="text-4xl md:text-5xl font-bold mb-4 drop-shadow-md">
+          <span className="bg-gradient-to-r from-teal-400 to-blue-600 text-transparent bg-clip-text">
+            {t("blog.title")}
+          </span>
+        </h1>
+        <p className="text-lg text-fg-muted mb-8">{t("blog.intro")}</p>
+
+        {POST_TAGS.length > 0 && (
+          <nav aria-label={t("blog.filterLabel")} className="mb-12">
+            <ul className="flex flex-wrap justify-center gap-2">
+              <li>
+                <Link
+                  to="/blog"
+                  aria-current={tag ? undefined : "page"}
+                  className={tagClassName(!tag)}
+                >
+                  {t("blog.allTags")}
+                </Link>
+              </li>
+              {POST_TAGS.map((postTag) => (
+                <li key={postTag}>
+                  <Link
+                    to={`/blog?tag=${encodeURIComponent(postTag)}`}
+                    aria-current={postTag === tag ? "page" : undefined}
+                    className={tagClassName(postTag === tag)}
+                  >
+                    {postTag}
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          </nav>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-8 max-w-4xl mx-auto">
+          {posts.map((post) => (
+            <PostCard key={post.slug} post={post} />
+          ))}
+        </div>
+        {posts.length === 0 && (
+          <p className="text-lg text-fg-subtle mt-8">{t("blog.empty")}</p>
+        )}
+
+        {/* The build only writes the feed when VITE_SITE_URL is set. */}
+        {SITE_URL && (
+          <a
+            href="/feed.xml"
+            type="application/atom+xml"
+            className="inline-block mt-12 text-link hover:text-fg font-semibold transition duration-300"
+          >
+            {t("blog.feed")}
+          </a>
+        )}
+      </Reveal>
+    </div>
+  );
+};
+
+export default BlogPage;
@@ -0,0 +1,36 @@
+import React from "react";
+import Link from "../components/Link";
+import { useI18n } from "../lib/i18n";
+import { useProfile } from "../lib/profile";
+import { useDocumentMeta } from "../lib/seo";
+
+// NotFoundPage Component
+// Shown for any path that does not match a route.
+const NotFoundPage = () => {
+  const { t } = useI18n();
+  const { name } = useProfile();
+  useDocumentMeta({
+    title: t("meta.notFoundTitle", { name }),
+    description: t("notFound.body"),
+    noindex: true,
+  });
+  return (
+    <div className="relative z-10 pt-20 p-4 md:p-8 max-w-7xl mx-auto flex flex-col items-center justify-center min-h-[calc(100vh-100px)] text-center">
+      <p className="text-8xl font-extrabold bg-gradient-to-r from-purple-400 to-pink-600 text-transparent bg-clip-text">
+        404
+      </p>
+      <h1 className="text-3xl md:text-4xl font-bold mt-4 mb-4">
+        {t("notFound.title")}
+      </h1>
+      <p className="text-lg text-fg-muted mb-8">{t("notFound.body")}</p>
+      <Link
+        to="/"
+        className="px-8 py-3 rounded-full bg-blue-600 text-white text-lg font-bold shadow-lg hover:bg-blue-700 transition duration-300 transform hover:scale-105"
+      >
+        {t("notFound.home")}
+      </Link>
+    </div>
+  );
+};
+
+export default NotFoundPage;
@@ -0,0 +1,114 @@
+import React from "react";
+import Link from "../components/Link";
+import NotFoundPage from "./NotFoundPage";
+import { POSTS, postDate } from "../lib/blog";
+import { useI18n } from "../lib/i18n";
+import { postSchema, useDocumentMeta, usePersonSchema } from "../lib/seo";
+
+// PostPage Component
+// One blog post at /blog/:post: title, dates, reading time and tags, a table
+// of contents built from its headings, and the body rendered from Markdown at
+// build time (code blocks come highlighted).
+const PostPage = ({ slug }) => {
+  const { t, formatDate } = useI18n();
+  const post = POSTS.find((p) => p.slug === slug);
+  const person = usePersonSchema();
+  // An unknown slug renders NotFoundPage, which sets its own tags.
+  useDocumentMeta(
+    post && {
+      title: t("meta.postTitle", { title: post.title, name: person.name }),
+      description: post.description,
+      path: `/blog/${post.slug}`,
+      type: "article",
+      jsonLd: postSchema(post, person),
+    }
+  );
+
+  if (!post) return <NotFoundPage />;
+
+  const formatDay = (value) =>
+    formatDate(postDate(value), { dateStyle: "long" });
+
+  return (
+    <article className="relative z-10 pt-28 p-4 md:p-8 max-w-4xl mx-auto text-start">
+      <Link
+        to="/blog"
+        className="text-link hover:text-fg font-semibold transition duration-300"
+      >
+        {t("blog.allPosts")}
+      </Link>
+
+      <header className="mt-6 mb-10">
+        <p className="text-sm text-link mb-2">
+          <time dateTime={post.date}>{formatDay(post.date)}</time>
+          {" · "}
+          {t("blog.readingTime", { count: post.readingTime })}
+          {post.updated && (
+            <>
+              {" · "}
+              {t("blog.updated", { date: formatDay(post.updated) })}
+            </>
+          )}
+        </p>
+        <h1 className="text-4xl md:text-5xl font-bold mb-4">
+          <span className="bg-gradient-to-r from-teal-400 to-blue-600 text-transparent bg-clip-text">
+            {post.title}
+          </span>
+        </h1>
+        {post.description && (
+          <p className="text-lg leading-relaxed text-fg-soft">
+            {post.description}
+          </p>
+        )}
+        {post.tags.length > 0 && (
+          <ul className="flex flex-wrap gap-2 mt-4" aria-label={t("blog.tags")}>
+            {post.tags.map((tag) => (
+              <li key={tag}>
+                <Link
+                  to={`/blog?tag=${encodeURIComponent(tag)}`}
+                  className="block px-3 py-1 rounded-full bg-control text-sm text-link hover:bg-control-hover transition duration-300"
+                >
+                  {tag}
+                </Link>
+              </li>
+            ))}
+          </ul>
+        )}
+      </header>
+
+      {/* Table of contents */}
+      {post.headings.length > 0 && (
+        <nav
+          aria-labelledby="toc-heading"
+          className="bg-surface bg-opacity-70 backdrop-blur-sm p-6 rounded-xl shadow-2xl border border-line mb-10"
+        >
+          <h2 id="toc-heading" className="text-xl font-bold mb-3 text-fg">
+            {t("blog.contents")}
+          </h2>
+          <ol className="space-y-1">
+            {post.headings.map((heading) => (
+              <li
+                key={heading.id}
+                className={heading.depth === 3 ? "ps-4" : undefined}
+              >
+                <a
+                  href={`#${heading.id}`}
+                  className="text-link hover:text-fg transition duration-300"
+                >
+                  {heading.text}
+                </a>
+              </li>
+            ))}
+          </ol>
+        </nav>
+      )}
+
+      <div
+        className="post-body"
+        dangerouslySetInnerHTML={{ __html: post.html }}
+      />
+    </article>
+  );
+};
+
+export default PostPage;
@@ -0,0 +1,157 @@
+import React from "react";
+import Link from "../components/Link";
+import NotFoundPage from "./NotFoundPage";
+import { formatProjectDates, useProjects } from "../lib/projects";
+import { useI18n } from "../lib/i18n";
+import { projectSchema, useDocumentMeta, usePersonSchema } from "../lib/seo";
+
+// ProjectPage Component
+// Full case study for one project at /projects/:slug: gallery, problem and
+// solution write-up, tech stack and links.
+const ProjectPage = ({ db, appId, slug }) => {
+  const { t, locale } = useI18n();
+  const projects = useProjects({ db, appId });
+  const project = projects.find((p) => p.slug === slug);
+  const person = usePersonSchema();
+  // An unknown slug renders NotFoundPage, which sets its own tags.
+  useDocumentMeta(
+    project && {
+      title: t("meta.projectTitle", {
+        title: project.title,
+        name: person.name,
+      }),
+      description: project.description,
+      path: `/projects/${project.slug}`,
+      image: project.images[0]?.src,
+      type: "article",
+      jsonLd: projectSchema(project, person),
+    }
+  );
+
+  if (!project) return <NotFoundPage />;
+
+  const dates = formatProjectDates(project, {
+    locale,
+    present: t("projects.present"),
+  });
+
+  return (
+    <article className="relative z-10 pt-28 p-4 md:p-8 max-w-4xl mx-auto text-start">
+      <Link
+        to="/#projects"
+        className="text-link hover:text-fg font-semibold transition duration-300"
+      >
+        {t("projects.allProjects")}
+      </Link>
+
+      <header className="mt-6 mb-10">
+        {dates && <p className="text-sm text-link mb-2">{dates}</p>}
+        <h1 className="text-4xl md:text-5xl font-bold mb-4">
+          <span className="bg-gradient-to-r from-teal-400 to-blue-600 text-transparent bg-clip-text">
+            {project.title}
+          </span>
+        </h1>
+        <p className="text-lg leading-relaxed text-fg-soft">
+          {project.description}
+        </p>
+      </header>
+
+      {/* Gallery */}
+      {project.images.length > 0 && (
+        <section aria-labelledby="gallery-heading" className="mb-10">
+          <h2 id="gallery-heading" className="text-2xl font-bold mb-4">
+            {t("projects.gallery")}
+          </h2>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            {project.images.map((image) => (
+              <a
+                key={image.src}
+                href={image.src}
+                target="_blank"
+                rel="noopener noreferrer"
+              >
+                <img
+                  src={image.src}
+                  alt={image.alt ?? ""}
+                  loading="lazy"
+                  className="w-full h-56 object-cover rounded-xl shadow-2xl border border-line hover:shadow-teal-500/50 transition duration-300"
+                />
+              </a>
+            ))}
+          </div>
+        </section>
+      )}
+
+      {/* Problem / solution write-up */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-8 mb-10">
+        {project.problem && (
+          <section className="bg-surface bg-opacity-70 backdrop-blur-sm p-8 rounded-xl shadow-2xl border border-line">
+            <h2 className="text-2xl font-bold mb-4 text-fg">
+              {t("projects.problem")}
+            </h2>
+            <p className="text-lg leading-relaxed text-fg-muted">
+              {project.problem}
+            </p>
+          </section>
+        )}
+        {project.solution && (
+          <section className="bg-surface bg-opacity-70 backdrop-blur-sm p-8 rounded-xl shadow-2xl border border-line">
+            <h2 className="text-2xl font-bold mb-4 text-fg">
+              {t("projects.solution")}
+            </h2>
+            <p className="text-lg leading-relaxed text-fg-muted">
+              {project.solution}
+            </p>
+          </section>
+        )}
+      </div>
+
+      {/* Tech stack */}
+      {project.tags.length > 0 && (
+        <section aria-labelledby="stack-heading" className="mb-10">
+          <h2 id="stack-heading" className="text-2xl font-bold mb-4">
+            {t("projects.techStack")}
+          </h2>
+          <ul className="flex flex-wrap gap-2">
+            {project.tags.map((tag) => (
+              <li
+                key={tag}
+                className="px-4 py-2 rounded-full bg-control text-link"
+              >
+                {tag}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {/* Links */}
+      {(project.repoUrl || project.demoUrl) && (
+        <div className="flex flex-col sm:flex-row gap-4">
+          {project.demoUrl && (
+            <a
+              href={project.demoUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="px-8 py-3 rounded-full bg-blue-600 text-white text-lg font-bold text-center shadow-lg hover:bg-blue-700 transition duration-300"
+            >
+              {t("projects.liveDemo")}
+            </a>
+          )}
+          {project.repoUrl && (
+            <a
+              href={project.repoUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="px-8 py-3 rounded-full border border-blue-600 text-secondary text-lg font-bold text-center shadow-lg hover:bg-blue-600 hover:text-white transition duration-300"
+            >
+              {t("projects.sourceCode")}
+            </a>
+          )}
+        </div>
+      )}
+    </article>
+  );
+};
+
+export default ProjectPage;
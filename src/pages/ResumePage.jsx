@@ -0,0 +1,213 @@
+import React, { useEffect } from "react";
+import Link from "../components/Link";
+import { formatLocation } from "../lib/profile";
+import { formatProjectDates } from "../lib/projects";
+import { navigate, useLocation } from "../lib/router";
+import { PRINT_PARAM, downloadResumeJson, useResume } from "../lib/resume";
+import { useI18n } from "../lib/i18n";
+import { useDocumentMeta, usePersonSchema } from "../lib/seo";
+
+// Links print without the protocol: "github.com/octocat".
+const stripProtocol = (url) => url.replace(/^https?:\/\//, "");
+
+// One résumé section: a heading over its entries.
+const ResumeSection = ({ id, title, children }) => (
+  <section aria-labelledby={id} className="mb-8">
+    <h2
+      id={id}
+      className="text-xl font-bold uppercase tracking-wide text-accent border-b border-line pb-1 mb-4"
+    >
+      {title}
+    </h2>
+    {children}
+  </section>
+);
+
+// ResumePage Component
+// Print-optimized résumé at /resume, rendered from the same JSON Resume
+// document that "Download JSON" saves, so the page, the PDF (printed from
+// here) and the export always match. The toolbar and site chrome are hidden
+// when printing.
+const ResumePage = ({ db, appId }) => {
+  const { t, locale } = useI18n();
+  const resume = useResume({ db, appId });
+  const { search } = useLocation();
+  const { basics, work, education, skills, projects } = resume;
+  const person = usePersonSchema();
+  useDocumentMeta({
+    title: t("meta.resumeTitle", { name: person.name }),
+    description: t("meta.resumeDescription", { name: person.name }),
+    path: "/resume",
+    type: "profile",
+    jsonLd: person,
+  });
+  const dates = (item) =>
+    formatProjectDates(item, { locale, present: t("resume.present") });
+
+  // "/resume?print" (from the hero's Download CV menu) opens the print
+  // dialog once, then drops the parameter so a reload doesn't print again.
+  useEffect(() => {
+    if (!new URLSearchParams(search).has(PRINT_PARAM)) return;
+    // Wait a tick so the page is painted before the dialog opens.
+    const timer = setTimeout(() => {
+      navigate("/resume", { replace: true });
+      window.print();
+    }, 0);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  return (
+    <article className="relative z-10 pt-28 p-4 md:p-8 max-w-4xl mx-auto text-start print:p-0 print:max-w-none">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-8 print:hidden">
+        <Link
+          to="/"
+          className="text-link hover:text-fg font-semibold transition duration-300"
+        >
+          {t("resume.back")}
+        </Link>
+        <div className="flex flex-wrap gap-3">
+          <button
+            type="button"
+            onClick={() => window.print()}
+            className="px-6 py-2 rounded-full bg-blue-600 text-white font-bold shadow-lg hover:bg-blue-700 transition duration-300"
+          >
+            {t("resume.print")}
+          </button>
+          <button
+            type="button"
+            onClick={() => downloadResumeJson(resume)}
+            className="px-6 py-2 rounded-full border border-blue-600 text-secondary font-bold shadow-lg hover:bg-blue-600 hover:text-white transition duration-300"
+          >
+            {t("resume.downloadJson")}
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-surface p-8 md:p-12 rounded-xl shadow-2xl border border-line print:bg-transparent print:p-0 print:shadow-none print:border-0 print:rounded-none">
+        <header className="mb-8">
+          <h1 className="text-4xl font-extrabold text-fg">{basics.name}</h1>
+          {basics.label && (
+            <p className="text-xl text-fg-muted mt-1">{basics.label}</p>
+          )}
+          {/* Contact line: site, email, location and social profiles. */}
+          <ul className="flex flex-wrap gap-x-4 gap-y-1 text-sm mt-2">
+            {basics.url && (
+              <li className="text-link">
+                <a href={basics.url}>{stripProtocol(basics.url)}</a>
+              </li>
+            )}
+            {basics.email && (
+              <li className="text-link">
+                <a href={`mailto:${basics.email}`}>{basics.email}</a>
+              </li>
+            )}
+            {basics.location && (
+              <li className="text-fg-muted">
+                {formatLocation(basics.location, locale)}
+              </li>
+            )}
+            {basics.profiles?.map((account) => (
+              <li key={account.url} className="text-link">
+                <a href={account.url}>{stripProtocol(account.url)}</a>
+              </li>
+            ))}
+          </ul>
+        </header>
+
+        {basics.summary && (
+          <ResumeSection id="resume-summary" title={t("resume.summary")}>
+            {basics.summary.split("\n\n").map((paragraph) => (
+              <p key={paragraph} className="text-fg-soft leading-relaxed mb-3">
+                {paragraph}
+              </p>
+            ))}
+          </ResumeSection>
+        )}
+
+        {work.length > 0 && (
+          <ResumeSection id="resume-work" title={t("resume.experience")}>
+            {work.map((job) => (
+              <div
+                key={`${job.name}-${job.startDate}`}
+                className="mb-5 break-inside-avoid"
+              >
+                <div className="flex flex-wrap items-baseline justify-between gap-x-4">
+                  <h3 className="text-lg font-bold text-fg">
+                    {t("timeline.entry", {
+                      role: job.position,
+                      organization: job.name,
+                    })}
+                  </h3>
+                  <p className="text-sm text-fg-subtle">{dates(job)}</p>
+                </div>
+                {job.location && (
+                  <p className="text-sm text-fg-subtle">{job.location}</p>
+                )}
+                {job.highlights && (
+                  <ul className="list-disc ps-5 mt-2 space-y-1 text-fg-soft">
+                    {job.highlights.map((highlight) => (
+                      <li key={highlight}>{highlight}</li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </ResumeSection>
+        )}
+
+        {education.length > 0 && (
+          <ResumeSection id="resume-education" title={t("resume.education")}>
+            {education.map((school) => (
+              <div
+                key={`${school.institution}-${school.startDate}`}
+                className="mb-4 flex flex-wrap items-baseline justify-between gap-x-4 break-inside-avoid"
+              >
+                <div>
+                  <h3 className="text-lg font-bold text-fg">
+                    {school.studyType}
+                  </h3>
+                  <p className="text-fg-muted">{school.institution}</p>
+                </div>
+                <p className="text-sm text-fg-subtle">{dates(school)}</p>
+              </div>
+            ))}
+          </ResumeSection>
+        )}
+
+        {skills.length > 0 && (
+          <ResumeSection id="resume-skills" title={t("resume.skills")}>
+            <ul className="grid grid-cols-1 sm:grid-cols-2 print:grid-cols-2 gap-x-8 gap-y-2">
+              {skills.map((skill) => (
+                <li key={skill.name} className="text-fg-soft">
+                  <span className="font-semibold text-fg">{skill.name}</span>
+                  {skill.level && ` · ${skill.level}`}
+                </li>
+              ))}
+            </ul>
+          </ResumeSection>
+        )}
+
+        {projects.length > 0 && (
+          <ResumeSection id="resume-projects" title={t("resume.projects")}>
+            {projects.map((project) => (
+              <div key={project.name} className="mb-5 break-inside-avoid">
+                <div className="flex flex-wrap items-baseline justify-between gap-x-4">
+                  <h3 className="text-lg font-bold text-fg">{project.name}</h3>
+                  <p className="text-sm text-fg-subtle">{dates(project)}</p>
+                </div>
+                <p className="text-fg-soft mt-1">{project.description}</p>
+                {project.keywords && (
+                  <p className="text-sm text-link mt-1">
+                    {project.keywords.join(" · ")}
+                  </p>
+                )}
+              </div>
+            ))}
+          </ResumeSection>
+        )}
+      </div>
+    </article>
+  );
+};
+
+export default ResumePage;
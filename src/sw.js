@@ -0,0 +1,90 @@
+// Service worker, built into dist/sw.js by plugins/pwa.js, which prepends
+//   self.__SW_MANIFEST = { version, urls, offlinePage }
+// version changes with every build that changes a file; urls are the pages,
+// built assets and public files to keep for offline use.
+//   - Pages: network first, then the cached copy, then the offline page.
+//   - Cached files (hashed assets, the profile photo...): cache first.
+//   - Everything else, including Firebase, goes straight to the network.
+// A new version waits until the page asks it to take over (see lib/pwa), so an
+// open tab never mixes old pages with new assets.
+const { version, urls, offlinePage } = self.__SW_MANIFEST;
+const CACHE_NAME = `portfolio-${version}`;
+const CACHE_PREFIX = "portfolio-";
+
+// Redirected responses (cleanUrls turns /offline.html into /offline) cannot
+// answer a navigation, so they are stored as plain copies.
+const storable = async (response) =>
+  response.redirected
+    ? new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+      })
+    : response;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) =>
+      Promise.all(
+        urls.map(async (url) => {
+          const response = await fetch(url, { cache: "reload" });
+          if (!response.ok) throw new Error(`${url}: ${response.status}`);
+          await cache.put(url, await storable(response));
+        })
+      )
+    )
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name.startsWith(CACHE_PREFIX))
+            .filter((name) => name !== CACHE_NAME)
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page posts "skipWaiting" when the visitor accepts the update.
+self.addEventListener("message", (event) => {
+  if (event.data === "skipWaiting") self.skipWaiting();
+});
+
+const handleNavigation = async (request) => {
+  try {
+    return await fetch(request);
+  } catch {
+    const cache = await caches.open(CACHE_NAME);
+    const url = new URL(request.url);
+    return (
+      (await cache.match(url.pathname, { ignoreSearch: true })) ??
+      (await cache.match(offlinePage)) ??
+      Response.error()
+    );
+  }
+};
+
+const handleCached = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  return (await cache.match(request)) ?? fetch(request);
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(handleNavigation(request));
+  } else if (urls.includes(url.pathname)) {
+    event.respondWith(handleCached(request));
+  }
+});
@@ -0,0 +1,105 @@
+import React from "react";
+import { act, render } from "@testing-library/react";
+import axe from "axe-core";
+import { describe, expect, it, vi } from "vitest";
+import App from "../App";
+import projects from "../data/projects";
+import { POSTS } from "../lib/blog";
+import { HOME_SECTIONS } from "../lib/sections";
+
+// src/data/timeline.js ships empty, which hides the timeline section and the
+// résumé's experience; one entry brings them back for the checks.
+vi.mock("../data/timeline", () => ({
+  default: [
+    {
+      id: "acme-frontend",
+      type: "job",
+      role: "Frontend Developer",
+      organization: "Acme",
+      location: "Remote",
+      url: null,
+      logo: null,
+      startDate: "2024-01",
+      endDate: null,
+      achievements: ["Rebuilt the storefront in React."],
+    },
+  ],
+}));
+
+// Accessibility checks with axe-core for every page and every section of the
+// home page, rendered in jsdom from the bundled content (no Firebase, no
+// network). jsdom has no layout, so rules that measure rendered colours are
+// left to manual checks.
+const AXE_OPTIONS = {
+  rules: { "color-contrast": { enabled: false } },
+};
+
+// Renders the whole app at path and waits for its effects to settle.
+const renderAt = async (path) => {
+  window.history.replaceState(null, "", path);
+  await act(async () => render(<App />));
+};
+
+// One line per violation and the elements it was found on, so a failure says
+// what is wrong and where.
+const describeViolations = (violations) =>
+  violations
+    .map(
+      (violation) =>
+        `${violation.id}: ${violation.help}\n${violation.nodes
+          .map((node) => `  ${node.target.join(" ")}`)
+          .join("\n")}`
+    )
+    .join("\n");
+
+const expectNoViolations = async (context) => {
+  const { violations } = await axe.run(context, AXE_OPTIONS);
+  expect(describeViolations(violations)).toBe("");
+};
+
+describe("home page sections", () => {
+  it.each(HOME_SECTIONS)("#%s has no axe violations", async (id) => {
+    await renderAt("/");
+    const section = document.getElementById(id);
+    expect(section).not.toBeNull();
+    await expectNoViolations(section);
+  });
+});
+
+describe("pages", () => {
+  it.each([
+    ["home", "/"],
+    ["project", `/projects/${projects[0].slug}`],
+    ["blog", "/blog"],
+    [
+      "blog filtered by tag",
+      `/blog?tag=${encodeURIComponent(POSTS[0].tags[0])}`,
+    ],
+    ["post", `/blog/${POSTS[0].slug}`],
+    ["résumé", "/resume"],
+    ["admin", "/admin"],
+    ["not found", "/no-such-page"],
+  ])("%s page has no axe violations", async (_, path) => {
+    await renderAt(path);
+    await expectNoViolations(document);
+  });
+});
+
+describe("page structure", () => {
+  it("starts with a skip link to the main landmark", async () => {
+    await renderAt("/");
+    const skip = document.querySelector("a[href='#main']");
+    expect(skip).not.toBeNull();
+    expect(document.querySelector("main#main")).not.toBeNull();
+    const focusable = document.querySelectorAll("a[href], button, input");
+    expect(focusable[0]).toBe(skip);
+  });
+
+  it.each(["/", "/blog", "/resume", "/no-such-page"])(
+    "%s has exactly one h1",
+    async (path) => {
+      await renderAt(path);
+      expect(document.querySelectorAll("h1")).toHaveLength(1);
+    }
+  );
+});
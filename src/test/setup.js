@@ -0,0 +1,29 @@
+// Test environment setup (vitest setupFiles). jsdom has no layout engine, so
+// the few browser APIs the app needs and jsdom lacks are stubbed here. Tests
+// that need another answer (reduced motion, say) spy on them.
+import "@testing-library/jest-dom/vitest";
+import { cleanup } from "@testing-library/react";
+import { afterEach } from "vitest";
+
+// Media queries never match: light theme, motion allowed, mobile layout.
+window.matchMedia ??= (query) => ({
+  matches: false,
+  media: query,
+  onchange: null,
+  addEventListener() {},
+  removeEventListener() {},
+  addListener() {},
+  removeListener() {},
+  dispatchEvent: () => false,
+});
+
+// jsdom implements scrolling as a "not implemented" error.
+window.scrollTo = () => {};
+Element.prototype.scrollIntoView = () => {};
+
+// Unmount what each test rendered and forget saved settings (theme, language,
+// analytics consent, queued contact messages).
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+});
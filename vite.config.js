@@ -1,8 +1,20 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import blog from './plugins/blog.js'
+import seoFiles from './plugins/seo.js'
+import prerender from './plugins/prerender.js'
+import profileCheck from './plugins/profile.js'
+import timelineCheck from './plugins/timeline.js'
+import pwa from './plugins/pwa.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(),tailwindcss()],
+  plugins: [react(),tailwindcss(),profileCheck(),timelineCheck(),blog(),seoFiles(),pwa(),prerender()],
+  // Tests run in jsdom without Firebase, so they need no network or emulators.
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['./src/test/setup.js'],
+    env: { VITE_FIREBASE_EMULATORS: 'false' },
+  },
 })